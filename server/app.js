@@ -0,0 +1,94 @@
+// server/app.js
+// REST API keeping each signed-in user's accounts and transactions, so the
+// browser's offline copy can follow them across devices.
+//
+//   GET    /api/health
+//   GET    /api/changes?since=<cursor>   changes after a cursor, including deletes
+//   GET    /api/:collection              live records
+//   PUT    /api/:collection/:id          { record, baseVersion, updatedAt }
+//   DELETE /api/:collection/:id          { baseVersion, updatedAt }
+//   POST   /api/llm/...                  chat proxy, when `llm` is given (see llmProxy.js)
+//
+// Writes carry the version the client last saw (0 for a new record). If the
+// server has moved on since, the write is refused with 409 and the server's
+// copy, and the client decides which one wins.
+const express = require('express');
+const { AuthError } = require('./auth');
+
+const SYNC_COLLECTIONS = ['accounts', 'transactions'];
+
+function createApp({ store, verifyToken, allowedOrigin = '*', llm = null }) {
+  const app = express();
+  app.use(express.json({ limit: '1mb' }));
+
+  app.use((req, res, next) => {
+    res.set('Access-Control-Allow-Origin', allowedOrigin);
+    res.set('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+    res.set('Access-Control-Allow-Methods', 'GET, PUT, POST, DELETE, OPTIONS');
+    if (req.method === 'OPTIONS') return res.sendStatus(204);
+    return next();
+  });
+
+  app.get('/api/health', (req, res) => res.json({ ok: true }));
+
+  // Every other route belongs to the user named by the access token
+  app.use('/api', async (req, res, next) => {
+    const match = /^Bearer (.+)$/.exec(req.get('Authorization') || '');
+    if (!match) return res.status(401).json({ error: 'Missing bearer token' });
+    try {
+      req.userId = (await verifyToken(match[1])).sub;
+      return next();
+    } catch (error) {
+      if (error instanceof AuthError) return res.status(401).json({ error: error.message });
+      return next(error);
+    }
+  });
+
+  if (llm) app.use('/api/llm', llm);
+
+  // Async handlers pass their failures on to the error handler
+  const handle = (fn) => (req, res, next) => fn(req, res).catch(next);
+
+  app.get('/api/changes', handle(async (req, res) => {
+    const since = Number(req.query.since) || 0;
+    res.json(await store.changesSince(req.userId, since));
+  }));
+
+  app.param('collection', (req, res, next, collection) => {
+    if (!SYNC_COLLECTIONS.includes(collection)) return res.status(404).json({ error: `Unknown collection "${collection}"` });
+    return next();
+  });
+
+  app.get('/api/:collection', handle(async (req, res) => {
+    res.json({ records: await store.list(req.userId, req.params.collection) });
+  }));
+
+  const write = (deleting) => handle(async (req, res) => {
+    const { collection, id } = req.params;
+    const { record = null, baseVersion = 0, updatedAt } = req.body || {};
+    if (!deleting && (typeof record !== 'object' || record === null || Array.isArray(record) || String(record.id) !== id)) {
+      return res.status(400).json({ error: 'Body needs a record whose id matches the URL' });
+    }
+    const current = await store.get(req.userId, collection, id);
+    if ((current ? current.version : 0) !== Number(baseVersion)) {
+      return res.status(409).json({ error: 'Changed on another device', server: current });
+    }
+    const entry = await store.put(req.userId, collection, id, { record: deleting ? null : record, updatedAt });
+    return res.json(entry);
+  });
+
+  app.put('/api/:collection/:id', write(false));
+  app.delete('/api/:collection/:id', write(true));
+
+  // eslint-disable-next-line no-unused-vars
+  app.use((error, req, res, next) => {
+    console.error(error);
+    // A proxied stream that fails halfway has already sent its status
+    if (res.headersSent) return res.destroy();
+    return res.status(500).json({ error: 'Something went wrong' });
+  });
+
+  return app;
+}
+
+module.exports = { createApp, SYNC_COLLECTIONS };
@@ -0,0 +1,107 @@
+const http = require('http');
+const { createApp } = require('./app');
+const { createMemoryStore } = require('./memoryStore');
+const { createJwtVerifier } = require('./auth');
+const { createMockIssuer, acceptDevToken } = require('./mockIssuer');
+const { createLlmProxy } = require('./llmProxy');
+
+const issuer = createMockIssuer();
+let server;
+let baseUrl;
+let upstreamCalls;
+
+// Stands in for the Anthropic API behind the chat proxy
+const fakeUpstream = async (url, init) => {
+  upstreamCalls.push({ url, headers: init.headers, body: JSON.parse(init.body) });
+  return { status: 200, headers: { get: () => 'application/json' }, body: [Buffer.from('{"reply":"hi"}')] };
+};
+
+beforeEach((done) => {
+  upstreamCalls = [];
+  const app = createApp({
+    store: createMemoryStore(),
+    verifyToken: acceptDevToken(createJwtVerifier(issuer)),
+    llm: createLlmProxy({ anthropic: { apiKey: 'server-key' }, fetchImpl: fakeUpstream }),
+  });
+  server = app.listen(0, () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    done();
+  });
+});
+
+afterEach((done) => {
+  server.close(done);
+});
+
+// Jest's node environment has no fetch, so talk to the server over http
+const request = (method, path, { user = 'alice', token = issuer.sign(user), body } = {}) =>
+  new Promise((resolve, reject) => {
+    const payload = body ? JSON.stringify(body) : '';
+    const headers = { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) };
+    if (token) headers.Authorization = `Bearer ${token}`;
+    const req = http.request(`${baseUrl}${path}`, { method, headers }, (res) => {
+      let text = '';
+      res.on('data', (chunk) => { text += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(text) }));
+    });
+    req.on('error', reject);
+    req.end(payload);
+  });
+
+const account = { id: 'a1', name: 'Checking', accountType: 'debit' };
+
+test('rejects missing, forged and expired tokens', async () => {
+  expect((await request('GET', '/api/accounts', { token: null })).status).toBe(401);
+  const forged = createMockIssuer({ issuer: issuer.issuer, audience: issuer.audience }).sign('alice');
+  expect((await request('GET', '/api/accounts', { token: forged })).status).toBe(401);
+  const expired = issuer.sign('alice', { exp: Math.floor(Date.now() / 1000) - 3600 });
+  expect((await request('GET', '/api/accounts', { token: expired })).body.error).toBe('Token expired');
+  expect((await request('GET', '/api/accounts', { token: issuer.sign('alice', { aud: 'other' }) })).status).toBe(401);
+});
+
+test('keeps each user\'s records apart', async () => {
+  const saved = await request('PUT', '/api/accounts/a1', { body: { record: account, baseVersion: 0 } });
+  expect(saved.status).toBe(200);
+  expect(saved.body).toMatchObject({ id: 'a1', version: 1, deleted: false });
+  expect((await request('GET', '/api/accounts')).body.records).toEqual([account]);
+  expect((await request('GET', '/api/accounts', { user: 'bob' })).body.records).toEqual([]);
+  expect((await request('GET', '/api/budgets')).status).toBe(404);
+});
+
+test('refuses stale writes and reports changes since a cursor', async () => {
+  await request('PUT', '/api/accounts/a1', { body: { record: account, baseVersion: 0 } });
+  const renamed = { ...account, name: 'Main' };
+  const stale = await request('PUT', '/api/accounts/a1', { body: { record: renamed, baseVersion: 0 } });
+  expect(stale.status).toBe(409);
+  expect(stale.body.server).toMatchObject({ version: 1, record: account });
+
+  await request('PUT', '/api/accounts/a1', { body: { record: renamed, baseVersion: 1 } });
+  await request('DELETE', '/api/accounts/a1', { body: { baseVersion: 2 } });
+  const { body } = await request('GET', '/api/changes?since=1');
+  expect(body.cursor).toBe(3);
+  expect(body.changes).toEqual([expect.objectContaining({ id: 'a1', version: 3, deleted: true, record: null })]);
+  expect((await request('PUT', '/api/accounts/a1', { body: { record: { id: 'other' }, baseVersion: 3 } })).status).toBe(400);
+});
+
+test('accepts the dev auth stub token as the local dev user', async () => {
+  await request('PUT', '/api/accounts/a1', { token: 'dev-token', body: { record: account, baseVersion: 0 } });
+  expect((await request('GET', '/api/accounts', { user: 'dev|local-user' })).body.records).toEqual([account]);
+  expect((await request('GET', '/api/accounts', { token: 'dev-token2' })).status).toBe(401);
+});
+
+test('proxies chat requests with the server\'s key and model for signed-in users only', async () => {
+  const body = { model: 'expensive-model', max_tokens: 10, messages: [{ role: 'user', content: 'hi' }] };
+  expect((await request('POST', '/api/llm/anthropic/messages', { token: null, body })).status).toBe(401);
+
+  const reply = await request('POST', '/api/llm/anthropic/messages', { body });
+  expect(reply).toEqual({ status: 200, body: { reply: 'hi' } });
+  expect(upstreamCalls).toEqual([{
+    url: 'https://api.anthropic.com/v1/messages',
+    headers: expect.objectContaining({ 'x-api-key': 'server-key', 'anthropic-version': '2023-06-01' }),
+    body: { ...body, model: 'claude-3-5-haiku-latest' },
+  }]);
+
+  const openai = await request('POST', '/api/llm/openai/chat/completions', { body });
+  expect(openai.status).toBe(503);
+  expect(upstreamCalls).toHaveLength(1);
+});
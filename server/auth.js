@@ -0,0 +1,90 @@
+// server/auth.js
+// Verifies RS256 access tokens issued by Auth0 (or any OIDC issuer publishing a
+// JWKS), using Node's built-in crypto so the API needs no JWT library.
+const crypto = require('crypto');
+
+// Allowed clock drift between the issuer and this server
+const CLOCK_TOLERANCE_SECONDS = 60;
+
+class AuthError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuthError';
+  }
+}
+
+const decodeSegment = (segment) => {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new AuthError('Malformed token');
+  }
+};
+
+// `getKey(kid)` resolves the issuer's public KeyObject for a key id
+function createJwtVerifier({ issuer, audience, getKey, now = () => Date.now() }) {
+  return async function verifyToken(token) {
+    const parts = String(token || '').split('.');
+    if (parts.length !== 3) throw new AuthError('Malformed token');
+    const [headerPart, payloadPart, signaturePart] = parts;
+    const header = decodeSegment(headerPart);
+    const payload = decodeSegment(payloadPart);
+    if (header.alg !== 'RS256') throw new AuthError(`Unsupported algorithm "${header.alg}"`);
+
+    const key = await getKey(header.kid);
+    if (!key) throw new AuthError('Unknown signing key');
+    const valid = crypto.verify(
+      'RSA-SHA256',
+      Buffer.from(`${headerPart}.${payloadPart}`),
+      key,
+      Buffer.from(signaturePart, 'base64url')
+    );
+    if (!valid) throw new AuthError('Invalid signature');
+
+    const seconds = Math.floor(now() / 1000);
+    if (payload.iss !== issuer) throw new AuthError('Wrong issuer');
+    const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+    if (!audiences.includes(audience)) throw new AuthError('Wrong audience');
+    if (typeof payload.exp !== 'number' || payload.exp + CLOCK_TOLERANCE_SECONDS < seconds) {
+      throw new AuthError('Token expired');
+    }
+    if (typeof payload.nbf === 'number' && payload.nbf - CLOCK_TOLERANCE_SECONDS > seconds) {
+      throw new AuthError('Token not yet valid');
+    }
+    if (!payload.sub) throw new AuthError('Token has no subject');
+    return payload;
+  };
+}
+
+// Key lookup against a JWKS endpoint; keys are cached and the set is fetched
+// again when a token names a key id we haven't seen (issuers rotate keys),
+// at most once per `minRefreshMs` so made-up key ids can't flood the issuer
+function jwksKeyResolver(jwksUri, { fetchImpl = fetch, minRefreshMs = 60 * 1000 } = {}) {
+  let keys = new Map();
+  let fetchedAt = 0;
+  const refresh = async () => {
+    fetchedAt = Date.now();
+    const response = await fetchImpl(jwksUri);
+    if (!response.ok) throw new AuthError(`Could not load signing keys (${response.status})`);
+    const { keys: jwks = [] } = await response.json();
+    keys = new Map(
+      jwks
+        .filter(jwk => jwk.kty === 'RSA' && (!jwk.use || jwk.use === 'sig'))
+        .map(jwk => [jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' })])
+    );
+  };
+  return async (kid) => {
+    if (!keys.has(kid) && Date.now() - fetchedAt >= minRefreshMs) await refresh();
+    return keys.get(kid) || null;
+  };
+}
+
+function auth0Verifier({ domain, audience }) {
+  return createJwtVerifier({
+    issuer: `https://${domain}/`,
+    audience,
+    getKey: jwksKeyResolver(`https://${domain}/.well-known/jwks.json`),
+  });
+}
+
+module.exports = { AuthError, createJwtVerifier, jwksKeyResolver, auth0Verifier };
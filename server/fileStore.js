@@ -0,0 +1,31 @@
+// server/fileStore.js
+// Sync store kept in a JSON file, so records and each user's change sequence
+// survive a restart (clients' saved cursors stay valid). Every write replaces
+// the file through a temporary copy, one write at a time.
+const fs = require('fs');
+const { createMemoryStore } = require('./memoryStore');
+
+const readSaved = (filePath) => {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return {};
+    throw error;
+  }
+};
+
+function createFileStore(filePath) {
+  let writes = Promise.resolve();
+  const save = (data) => {
+    // Queue behind the previous write, even if that one failed
+    writes = writes.catch(() => {}).then(async () => {
+      const temporary = `${filePath}.tmp`;
+      await fs.promises.writeFile(temporary, JSON.stringify(data));
+      await fs.promises.rename(temporary, filePath);
+    });
+    return writes;
+  };
+  return createMemoryStore({ saved: readSaved(filePath), onWrite: save });
+}
+
+module.exports = { createFileStore };
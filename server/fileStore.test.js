@@ -0,0 +1,29 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFileStore } = require('./fileStore');
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-store-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('keeps records and the change sequence across a restart', async () => {
+  const file = path.join(dir, 'sync.json');
+  const first = createFileStore(file);
+  await first.put('alice', 'accounts', 'a1', { record: { id: 'a1' }, updatedAt: '2025-01-01T00:00:00.000Z' });
+  await first.put('alice', 'accounts', 'a1', { record: null });
+
+  // A client that pulled up to cursor 2 still hears about writes after the restart
+  const restarted = createFileStore(file);
+  expect(await restarted.get('alice', 'accounts', 'a1')).toMatchObject({ version: 2, deleted: true });
+  const entry = await restarted.put('alice', 'transactions', 't1', { record: { id: 't1' } });
+  expect(entry.version).toBe(3);
+  expect(await restarted.changesSince('alice', 2)).toEqual({ changes: [entry], cursor: 3 });
+  expect(fs.readdirSync(dir)).toEqual(['sync.json']);
+});
@@ -0,0 +1,48 @@
+// server/index.js
+// Starts the sync API. Configure with environment variables:
+//   AUTH0_DOMAIN, AUTH0_AUDIENCE        verify Auth0 access tokens (required unless MOCK_AUTH=1)
+//   MOCK_AUTH=1                         sign and accept tokens from a local mock issuer instead,
+//                                       plus the web app's dev auth stub token
+//   MOCK_TOKEN, MOCK_USER               that stub token and its user (default dev-token, dev|local-user)
+//   CORS_ORIGIN                         the web app's origin (defaults to http://localhost:3000)
+//   OPENAI_API_KEY, ANTHROPIC_API_KEY   keys for the chat proxy; a provider without one is off
+//   OPENAI_MODEL, ANTHROPIC_MODEL       override the proxy's default models
+//   OPENAI_BASE_URL, ANTHROPIC_BASE_URL point the proxy at compatible endpoints
+//   DATA_FILE                           where synced data is kept (defaults to sync-data.json here)
+//   PORT                                defaults to 4000
+const path = require('path');
+const { createApp } = require('./app');
+const { createFileStore } = require('./fileStore');
+const { auth0Verifier, createJwtVerifier } = require('./auth');
+const { createMockIssuer, acceptDevToken } = require('./mockIssuer');
+const { createLlmProxy } = require('./llmProxy');
+
+const port = Number(process.env.PORT) || 4000;
+
+let verifyToken;
+if (process.env.MOCK_AUTH === '1') {
+  const issuer = createMockIssuer();
+  const devToken = process.env.MOCK_TOKEN || 'dev-token';
+  const devUser = process.env.MOCK_USER || 'dev|local-user';
+  verifyToken = acceptDevToken(createJwtVerifier(issuer), { token: devToken, sub: devUser });
+  console.log(`Mock auth: use "Bearer ${devToken}" (as ${devUser}) or "Bearer ${issuer.sign(devUser)}"`);
+} else {
+  const { AUTH0_DOMAIN, AUTH0_AUDIENCE } = process.env;
+  if (!AUTH0_DOMAIN || !AUTH0_AUDIENCE) {
+    console.error('Set AUTH0_DOMAIN and AUTH0_AUDIENCE, or MOCK_AUTH=1 for local development.');
+    process.exit(1);
+  }
+  verifyToken = auth0Verifier({ domain: AUTH0_DOMAIN, audience: AUTH0_AUDIENCE });
+}
+
+const app = createApp({
+  store: createFileStore(process.env.DATA_FILE || path.join(__dirname, 'sync-data.json')),
+  verifyToken,
+  allowedOrigin: process.env.CORS_ORIGIN || 'http://localhost:3000',
+  llm: createLlmProxy({
+    openai: { apiKey: process.env.OPENAI_API_KEY, model: process.env.OPENAI_MODEL, baseUrl: process.env.OPENAI_BASE_URL },
+    anthropic: { apiKey: process.env.ANTHROPIC_API_KEY, model: process.env.ANTHROPIC_MODEL, baseUrl: process.env.ANTHROPIC_BASE_URL },
+  }),
+});
+
+app.listen(port, () => console.log(`Sync API listening on http://localhost:${port}`));
@@ -0,0 +1,65 @@
+// server/llmProxy.js
+// Forwards the chat assistant's requests to OpenAI and Anthropic so their API
+// keys never reach the browser. Mounted behind the API's token check:
+//
+//   POST /api/llm/openai/chat/completions
+//   POST /api/llm/anthropic/messages
+//
+// The browser sends the provider's own request body; the server picks the
+// model, adds its key and streams the provider's response back unchanged.
+const express = require('express');
+const { Readable } = require('stream');
+
+const PROVIDERS = {
+  openai: {
+    path: '/chat/completions',
+    baseUrl: 'https://api.openai.com/v1',
+    model: 'gpt-4o-mini',
+    headers: (apiKey) => ({ Authorization: `Bearer ${apiKey}` }),
+  },
+  anthropic: {
+    path: '/messages',
+    baseUrl: 'https://api.anthropic.com/v1',
+    model: 'claude-3-5-haiku-latest',
+    headers: (apiKey) => ({ 'x-api-key': apiKey, 'anthropic-version': '2023-06-01' }),
+  },
+};
+
+// `openai` and `anthropic` are { apiKey, model, baseUrl }; a provider without
+// an apiKey answers 503
+function createLlmProxy({ openai = {}, anthropic = {}, fetchImpl = (...args) => fetch(...args) } = {}) {
+  const settings = { openai, anthropic };
+  const router = express.Router();
+
+  Object.entries(PROVIDERS).forEach(([name, provider]) => {
+    router.post(`/${name}${provider.path}`, async (req, res, next) => {
+      const { apiKey, model = provider.model } = settings[name];
+      const baseUrl = (settings[name].baseUrl || provider.baseUrl).replace(/\/$/, '');
+      if (!apiKey) return res.status(503).json({ error: { message: `The ${name} chat provider is not configured` } });
+
+      // Stop paying for a response nobody is reading
+      const controller = new AbortController();
+      res.on('close', () => {
+        if (!res.writableEnded) controller.abort();
+      });
+      try {
+        const upstream = await fetchImpl(`${baseUrl}${provider.path}`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', ...provider.headers(apiKey) },
+          body: JSON.stringify({ ...req.body, model }),
+          signal: controller.signal,
+        });
+        res.status(upstream.status);
+        res.set('Content-Type', upstream.headers.get('content-type') || 'application/json');
+        if (!upstream.body) return res.end();
+        return Readable.from(upstream.body).on('error', next).pipe(res);
+      } catch (error) {
+        if (error.name === 'AbortError') return undefined;
+        return next(error);
+      }
+    });
+  });
+  return router;
+}
+
+module.exports = { createLlmProxy };
@@ -0,0 +1,70 @@
+// server/memoryStore.js
+// In-memory sync store for local development and tests. Every write gets the
+// next number in the user's change sequence, which doubles as the record's
+// version and as the cursor clients pull changes from. Deletes are kept as
+// tombstones so other devices hear about them.
+// A persistent store only needs the same async methods; fileStore.js keeps
+// this one's data in a file through `saved` and `onWrite`.
+
+// `saved` is data from an earlier `onWrite`; `onWrite(data)` runs after every
+// write with a JSON-ready copy of everything, and put waits for it
+function createMemoryStore({ saved = {}, onWrite = async () => {} } = {}) {
+  const keyOf = (collection, id) => `${collection}:${id}`;
+
+  const users = new Map(Object.entries(saved).map(([userId, { sequence, entries }]) => [
+    userId,
+    { sequence, entries: new Map(entries.map(entry => [keyOf(entry.collection, entry.id), entry])) },
+  ]));
+
+  const toJSON = () => Object.fromEntries([...users].map(([userId, { sequence, entries }]) => [
+    userId,
+    { sequence, entries: [...entries.values()] },
+  ]));
+
+  const userData = (userId) => {
+    if (!users.has(userId)) users.set(userId, { sequence: 0, entries: new Map() });
+    return users.get(userId);
+  };
+
+  return {
+    // The stored entry { collection, id, version, deleted, record, updatedAt }, or null
+    async get(userId, collection, id) {
+      return userData(userId).entries.get(keyOf(collection, id)) || null;
+    },
+
+    // Live records in a collection
+    async list(userId, collection) {
+      return [...userData(userId).entries.values()]
+        .filter(entry => entry.collection === collection && !entry.deleted)
+        .map(entry => entry.record);
+    },
+
+    // Write a record (or a tombstone when `record` is null) and return the new entry
+    async put(userId, collection, id, { record, updatedAt }) {
+      const data = userData(userId);
+      data.sequence += 1;
+      const entry = {
+        collection,
+        id,
+        version: data.sequence,
+        deleted: record === null,
+        record,
+        updatedAt: updatedAt || new Date().toISOString(),
+      };
+      data.entries.set(keyOf(collection, id), entry);
+      await onWrite(toJSON());
+      return entry;
+    },
+
+    // Entries written after `since`, oldest first, and the cursor to ask from next time
+    async changesSince(userId, since = 0) {
+      const data = userData(userId);
+      const changes = [...data.entries.values()]
+        .filter(entry => entry.version > since)
+        .sort((a, b) => a.version - b.version);
+      return { changes, cursor: data.sequence };
+    },
+  };
+}
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,34 @@
+// server/mockIssuer.js
+// A stand-in for Auth0 in tests and offline development: it signs RS256 access
+// tokens with a throwaway key pair and hands the verifier its public key.
+const crypto = require('crypto');
+
+const base64url = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+function createMockIssuer({ issuer = 'https://mock-issuer.test/', audience = 'https://api.trackbalances.test', kid = 'mock-key' } = {}) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+  // Sign a token for `sub`; `claims` overrides any default (e.g. exp, aud)
+  const sign = (sub, claims = {}) => {
+    const now = Math.floor(Date.now() / 1000);
+    const header = base64url({ alg: 'RS256', typ: 'JWT', kid });
+    const payload = base64url({ iss: issuer, aud: audience, sub, iat: now, exp: now + 3600, ...claims });
+    const signature = crypto.sign('RSA-SHA256', Buffer.from(`${header}.${payload}`), privateKey).toString('base64url');
+    return `${header}.${payload}.${signature}`;
+  };
+
+  return {
+    issuer,
+    audience,
+    sign,
+    getKey: async (requested) => (requested === kid ? publicKey : null),
+  };
+}
+
+// Also accept the fixed token the web app's dev auth stub sends (devToken in
+// config.json, 'dev-token' by default) as its user, so MOCK_AUTH=1 works with it
+function acceptDevToken(verifyToken, { token = 'dev-token', sub = 'dev|local-user' } = {}) {
+  return async (candidate) => (candidate === token ? { sub } : verifyToken(candidate));
+}
+
+module.exports = { createMockIssuer, acceptDevToken };
@@ -1,14 +1,18 @@
 // src/App.js
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
-import { Auth0Provider, useAuth0 } from '@auth0/auth0-react';
 import EnhancedFinanceManager from './EnhancedFinanceManager';
 import LoginPage from './LoginPage';
 import sessionManager from './sessionManager';
 import LiveAgentChat from './LiveAgentChat';
+import AuthProvider, { useAuth } from './AuthProvider';
+import { useConfig } from './config';
+import financeStore, { useFinanceStore } from './financeStore';
+import SessionTimeoutDialog from './SessionTimeoutDialog';
+import { signOut, signOutHere } from './signOut';
 // A simple PrivateRoute component to protect your main app route.
 const PrivateRoute = ({ element }) => {
-  const { isAuthenticated, isLoading } = useAuth0();
+  const { isAuthenticated, isLoading } = useAuth();
   const [auth, setAuth] = useState(isAuthenticated);
 
   useEffect(() => {
@@ -19,28 +23,99 @@ const PrivateRoute = ({ element }) => {
   return auth ? element : <LoginPage />;
 };
 
-function App() {
-  // Replace these values with your Auth0 credentials.
-  const domain = process.env.REACT_APP_OKTA_DOMAIN;
-  const clientId = process.env.REACT_APP_OKTA_CLIENT_ID;
+// Point the finance store at the signed-in user's data, and at none once they
+// sign out. The chat is only mounted for a signed-in user and starts fresh
+// for each one.
+const UserScope = ({ children }) => {
+  const { isAuthenticated, isLoading, user } = useAuth();
+  const { userId } = useFinanceStore();
+  const { features } = useConfig();
+
+  useEffect(() => {
+    if (isLoading) return;
+    financeStore.setUser(isAuthenticated ? user?.sub : null);
+  }, [isAuthenticated, isLoading, user]);
+
+  return (
+    <>
+      {children}
+      {userId && features.chat && <LiveAgentChat key={userId} />}
+    </>
+  );
+};
+
+// Keep every tab's login state in step and log out after a period of
+// inactivity, warning the user first.
+const SessionGuard = () => {
+  const auth = useAuth();
+  const { isAuthenticated, refreshSession } = auth;
+  const { returnTo, idleTimeoutMinutes } = useConfig();
+  const [warningDeadline, setWarningDeadline] = useState(null);
+
+  // `auth` changes with every auth state change; the timers below read the
+  // latest one through this ref so they don't restart each time
+  const authRef = useRef(auth);
+  useEffect(() => {
+    authRef.current = auth;
+  }, [auth]);
+  const returnToRef = useRef(returnTo);
+  useEffect(() => {
+    returnToRef.current = returnTo;
+  }, [returnTo]);
 
+  useEffect(() => {
+    if (isAuthenticated) sessionManager.notifyLogin();
+  }, [isAuthenticated]);
+
+  // Follow logins and logouts made in other tabs
+  useEffect(() => sessionManager.onSessionChange((status) => {
+    if (status === 'loggedOut') {
+      setWarningDeadline(null);
+      signOutHere(authRef.current);
+    } else if (status === 'loggedIn' && !isAuthenticated) {
+      refreshSession();
+    }
+  }), [isAuthenticated, refreshSession]);
+
+  useEffect(() => {
+    if (!isAuthenticated) return undefined;
+    return sessionManager.startIdleTimer({
+      timeoutMs: idleTimeoutMinutes * 60 * 1000,
+      onWarning: (msLeft) => setWarningDeadline(Date.now() + msLeft),
+      onActive: () => setWarningDeadline(null),
+      onTimeout: () => {
+        setWarningDeadline(null);
+        signOut(authRef.current, returnToRef.current);
+      },
+    });
+  }, [isAuthenticated, idleTimeoutMinutes]);
+
+  if (!warningDeadline) return null;
+  return (
+    <SessionTimeoutDialog
+      deadline={warningDeadline}
+      onStay={sessionManager.keepAlive}
+      onLogout={() => signOut(auth, returnTo)}
+    />
+  );
+};
+
+function App() {
+  // The identity provider (Auth0, Okta or the dev stub) comes from the runtime config
   return (
-    <Auth0Provider
-      domain={domain}
-      clientId={clientId}
-      redirectUri={window.location.origin}
-    >
+    <AuthProvider>
       <Router>
-        <Routes>
-          <Route path="/" element={<PrivateRoute element={<EnhancedFinanceManager />} />} />
-          <Route path="/login" element={<LoginPage />} />
-        </Routes>
-        <LiveAgentChat 
-          brandColor="#2563eb"
-          websiteName="My Website Chat"
-        />
+        <SessionGuard />
+        <UserScope>
+          <Routes>
+            <Route path="/" element={<PrivateRoute element={<EnhancedFinanceManager />} />} />
+            <Route path="/login" element={<LoginPage />} />
+            {/* Okta returns here; the auth adapter finishes the sign-in */}
+            <Route path="/login/callback" element={<div>Loading...</div>} />
+          </Routes>
+        </UserScope>
       </Router>
-    </Auth0Provider>
+    </AuthProvider>
   );
 }
 
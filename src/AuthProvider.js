@@ -0,0 +1,145 @@
+// src/AuthProvider.js
+// One sign-in interface over every identity provider in authProviders.js.
+// useAuth() returns:
+//   { provider, label, isLoading, isAuthenticated, user: { sub, name, email },
+//     login(), logout({ returnTo }), logoutLocally(), getAccessToken(), refreshSession() }
+// `logoutLocally` ends the session in this tab only (no redirect);
+// `refreshSession` picks up a login made in another tab.
+import React, { createContext, useContext, useEffect, useMemo, useState } from 'react';
+import { Auth0Provider, useAuth0 } from '@auth0/auth0-react';
+import { OktaAuth, toRelativeUrl } from '@okta/okta-auth-js';
+import { Security, useOktaAuth } from '@okta/okta-react';
+import { getAuthConfig } from './authProviders';
+import { useConfig } from './config';
+
+const AuthContext = createContext(null);
+
+export const useAuth = () => {
+  const auth = useContext(AuthContext);
+  if (!auth) throw new Error('useAuth must be used inside <AuthProvider>');
+  return auth;
+};
+
+const pickUser = (profile) =>
+  profile ? { sub: profile.sub, name: profile.name, email: profile.email } : null;
+
+// --- Auth0 ---
+const Auth0Bridge = ({ config, children }) => {
+  const auth0 = useAuth0();
+  const { isLoading, isAuthenticated, user, loginWithRedirect, logout, getAccessTokenSilently } = auth0;
+  const value = useMemo(() => ({
+    provider: config.provider,
+    label: config.label,
+    isLoading,
+    isAuthenticated,
+    user: pickUser(user),
+    login: () => loginWithRedirect(),
+    logout: ({ returnTo } = {}) => logout({ logoutParams: { returnTo, federated: true } }),
+    logoutLocally: () => logout({ openUrl: false }),
+    getAccessToken: () => getAccessTokenSilently({ authorizationParams: { audience: config.audience || undefined } }),
+    refreshSession: () => getAccessTokenSilently().catch(() => {}),
+  }), [config, isLoading, isAuthenticated, user, loginWithRedirect, logout, getAccessTokenSilently]);
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+};
+
+const Auth0Adapter = ({ config, children }) => (
+  <Auth0Provider
+    domain={config.domain}
+    clientId={config.clientId}
+    // Access tokens for the sync API (server/) are issued for its audience
+    authorizationParams={{ redirect_uri: window.location.origin, audience: config.audience || undefined }}
+  >
+    <Auth0Bridge config={config}>{children}</Auth0Bridge>
+  </Auth0Provider>
+);
+
+// --- Okta ---
+const OktaBridge = ({ config, children }) => {
+  const { oktaAuth, authState } = useOktaAuth();
+  const redirecting = oktaAuth.isLoginRedirect();
+
+  // Finish the sign-in when Okta sends the browser back to /login/callback
+  useEffect(() => {
+    if (redirecting) oktaAuth.handleLoginRedirect().catch(error => console.error('Okta sign-in failed:', error));
+  }, [oktaAuth, redirecting]);
+
+  const value = useMemo(() => ({
+    provider: config.provider,
+    label: config.label,
+    isLoading: !authState || redirecting,
+    isAuthenticated: Boolean(authState?.isAuthenticated),
+    user: pickUser(authState?.idToken?.claims),
+    login: () => oktaAuth.signInWithRedirect(),
+    logout: ({ returnTo } = {}) => oktaAuth.signOut({ postLogoutRedirectUri: returnTo }),
+    logoutLocally: () => {
+      oktaAuth.tokenManager.clear();
+    },
+    getAccessToken: async () => oktaAuth.getAccessToken(),
+    refreshSession: () => oktaAuth.authStateManager.updateAuthState(),
+  }), [config, oktaAuth, authState, redirecting]);
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+};
+
+const OktaAdapter = ({ config, children }) => {
+  const oktaAuth = useMemo(() => new OktaAuth({
+    issuer: config.issuer,
+    clientId: config.clientId,
+    redirectUri: config.redirectUri,
+    scopes: config.scopes,
+    pkce: config.pkce,
+  }), [config]);
+  const restoreOriginalUri = (_oktaAuth, originalUri) => {
+    window.location.replace(toRelativeUrl(originalUri || '/', window.location.origin));
+  };
+  return (
+    <Security oktaAuth={oktaAuth} restoreOriginalUri={restoreOriginalUri}>
+      <OktaBridge config={config}>{children}</OktaBridge>
+    </Security>
+  );
+};
+
+// --- Local stub for development: signs in a fixed user with no password ---
+const DEV_SESSION_KEY = 'myapp_dev_auth_session';
+
+const DevAdapter = ({ config, children }) => {
+  const [signedIn, setSignedIn] = useState(() => localStorage.getItem(DEV_SESSION_KEY) === 'true');
+
+  useEffect(() => {
+    console.warn('Using the dev auth stub; anyone can sign in. Never enable it in production.');
+  }, []);
+
+  const value = useMemo(() => {
+    const setSession = (next) => {
+      localStorage.setItem(DEV_SESSION_KEY, String(next));
+      setSignedIn(next);
+    };
+    return {
+      provider: config.provider,
+      label: config.label,
+      isLoading: false,
+      isAuthenticated: signedIn,
+      user: signedIn ? config.user : null,
+      login: async () => setSession(true),
+      logout: async () => setSession(false),
+      logoutLocally: () => setSignedIn(false),
+      getAccessToken: async () => config.token,
+      refreshSession: () => setSignedIn(localStorage.getItem(DEV_SESSION_KEY) === 'true'),
+    };
+  }, [config, signedIn]);
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+};
+
+const ADAPTERS = {
+  auth0: Auth0Adapter,
+  okta: OktaAdapter,
+  dev: DevAdapter,
+};
+
+// Sign-in for the provider named in the runtime config, which was checked
+// at startup (see config.js)
+export default function AuthProvider({ children }) {
+  const runtimeConfig = useConfig();
+  const config = useMemo(() => getAuthConfig(runtimeConfig), [runtimeConfig]);
+  const Adapter = ADAPTERS[config.provider];
+  return <Adapter config={config}>{children}</Adapter>;
+}
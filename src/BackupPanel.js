@@ -0,0 +1,164 @@
+// src/BackupPanel.js
+import React, { useState } from 'react';
+import { useFinanceStore } from './financeStore';
+import {
+  exportJSON,
+  exportAccountsCSV,
+  exportTransactionsCSV,
+  encryptBackup,
+  isEncryptedBackup,
+  readBackup,
+  restoreData,
+  downloadFile,
+} from './dataBackup';
+
+const inputClass = "w-full p-2 rounded bg-gray-800 border border-gray-600 text-white";
+
+export default function BackupPanel({ onClose }) {
+  const { accounts, transactions, budgets, categories, categoryRules, recurring, exchangeRates, filterPresets, replaceData } = useFinanceStore();
+  const data = { accounts, transactions, budgets, categories, categoryRules, recurring, exchangeRates, filterPresets };
+
+  const [passphrase, setPassphrase] = useState('');
+  const [restoreText, setRestoreText] = useState(null);
+  const [restoreName, setRestoreName] = useState('');
+  const [restorePassphrase, setRestorePassphrase] = useState('');
+  const [restoreMode, setRestoreMode] = useState('merge'); // "merge" | "replace"
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const stamp = new Date().toISOString().slice(0, 10);
+
+  const handleEncryptedBackup = async () => {
+    setError('');
+    setBusy(true);
+    try {
+      const content = await encryptBackup(data, passphrase);
+      downloadFile(`trackbalances-${stamp}.backup`, content);
+      setMessage('Encrypted backup downloaded. Keep the passphrase safe; it cannot be recovered.');
+      setPassphrase('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRestoreFile = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      setRestoreText(String(reader.result));
+      setRestoreName(file.name);
+      setError('');
+    };
+    reader.onerror = () => setError('Could not read the file.');
+    reader.readAsText(file);
+  };
+
+  const handleRestore = async () => {
+    setError('');
+    setBusy(true);
+    try {
+      const backup = await readBackup(restoreText, restorePassphrase);
+      replaceData(restoreData(data, backup, restoreMode));
+      setMessage(
+        `Restored ${backup.accounts.length} accounts and ${backup.transactions.length} transactions` +
+        (backup.skipped ? ` (${backup.skipped} invalid records skipped).` : '.')
+      );
+      setRestoreText(null);
+      setRestorePassphrase('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-80 flex justify-center items-center p-4 z-50">
+      <div className="bg-gray-800 rounded-lg p-6 w-full max-w-md border border-gray-600 text-white space-y-4">
+        <div className="flex justify-between items-center">
+          <h2 className="text-2xl font-bold">Backup &amp; Restore</h2>
+          <button onClick={onClose} className="text-gray-300 hover:text-white">
+            Close
+          </button>
+        </div>
+
+        {message && <p className="text-sm text-green-400">{message}</p>}
+        {error && <p className="text-sm text-red-400">{error}</p>}
+
+        {/* Export */}
+        <div className="space-y-2">
+          <h3 className="text-lg font-bold">Export</h3>
+          <div className="flex gap-2">
+            <button
+              onClick={() => downloadFile(`trackbalances-${stamp}.json`, exportJSON(data))}
+              className="flex-1 py-2 rounded bg-blue-600 hover:bg-blue-700 text-white"
+            >
+              JSON
+            </button>
+            <button
+              onClick={() => {
+                downloadFile(`accounts-${stamp}.csv`, exportAccountsCSV(accounts), 'text/csv');
+                downloadFile(`transactions-${stamp}.csv`, exportTransactionsCSV(accounts, transactions), 'text/csv');
+              }}
+              className="flex-1 py-2 rounded bg-blue-600 hover:bg-blue-700 text-white"
+            >
+              CSV
+            </button>
+          </div>
+          <input
+            type="password"
+            placeholder="Backup passphrase"
+            value={passphrase}
+            onChange={(e) => setPassphrase(e.target.value)}
+            className={inputClass}
+          />
+          <button
+            onClick={handleEncryptedBackup}
+            disabled={!passphrase || busy}
+            className="w-full py-2 rounded bg-blue-600 hover:bg-blue-700 text-white disabled:opacity-50"
+          >
+            Download Encrypted Backup
+          </button>
+        </div>
+
+        {/* Restore */}
+        <div className="space-y-2">
+          <h3 className="text-lg font-bold">Restore</h3>
+          <input type="file" accept=".json,.backup,application/json" onChange={handleRestoreFile} className={inputClass} />
+          {restoreText && (
+            <>
+              <p className="text-sm text-gray-300">{restoreName}</p>
+              {isEncryptedBackup(restoreText) && (
+                <input
+                  type="password"
+                  placeholder="Passphrase"
+                  value={restorePassphrase}
+                  onChange={(e) => setRestorePassphrase(e.target.value)}
+                  className={inputClass}
+                />
+              )}
+              <select value={restoreMode} onChange={(e) => setRestoreMode(e.target.value)} className={inputClass}>
+                <option value="merge">Merge with existing data</option>
+                <option value="replace">Replace existing data</option>
+              </select>
+              {restoreMode === 'replace' && (
+                <p className="text-xs text-yellow-400">All current data in the backup's collections will be replaced.</p>
+              )}
+              <button
+                onClick={handleRestore}
+                disabled={busy}
+                className="w-full py-2 rounded bg-red-600 hover:bg-red-700 text-white disabled:opacity-50"
+              >
+                Restore
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,93 @@
+// src/BalanceHistory.js
+import React, { useMemo, useState } from 'react';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+} from 'recharts';
+import { useFinanceStore } from './financeStore';
+import { currencyHelpers } from './currency';
+import { BALANCE_RANGES, balanceSeries } from './balanceHistory';
+
+const LINE_COLORS = ['#2EB67D', '#36C5F0', '#ECB22E', '#E01E5A', '#4A154B', '#1264A3'];
+
+const selectClass = "bg-white border border-gray-300 rounded px-2 py-1 text-sm text-black";
+
+export default function BalanceHistory() {
+  const { accounts, transactions, exchangeRates, settings } = useFinanceStore();
+  const [range, setRange] = useState('3m');
+  const [selectedAccount, setSelectedAccount] = useState('all');
+  const { format, formatForAccount } = currencyHelpers({ accounts, exchangeRates, settings });
+
+  const shownAccounts = useMemo(
+    () => accounts.filter(account => selectedAccount === 'all' || account.id === selectedAccount),
+    [accounts, selectedAccount]
+  );
+  // One account charts in its own currency; several share the base currency
+  const single = shownAccounts.length === 1 ? shownAccounts[0] : null;
+  const points = useMemo(() => {
+    const series = balanceSeries(shownAccounts, transactions, { range });
+    if (single) return series;
+    const { accountToBase } = currencyHelpers({ accounts, exchangeRates, settings });
+    return series.map(point => ({
+      ...point,
+      ...Object.fromEntries(shownAccounts.map(a => [a.id, accountToBase(a, point[a.id], point.date)])),
+    }));
+  }, [accounts, shownAccounts, single, transactions, exchangeRates, settings, range]);
+
+  return (
+    <div className="mt-4 bg-white rounded shadow border border-gray-300 p-4">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+        <h3 className="text-xl font-bold">Balance History</h3>
+        <div className="flex gap-2">
+          <select value={range} onChange={(e) => setRange(e.target.value)} className={selectClass}>
+            {Object.entries(BALANCE_RANGES).map(([key, { label }]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+          <select value={selectedAccount} onChange={(e) => setSelectedAccount(e.target.value)} className={selectClass}>
+            <option value="all">All Accounts</option>
+            {accounts.map(account => (
+              <option key={account.id} value={account.id}>{account.name}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+      {shownAccounts.length === 0 ? (
+        <p className="py-4 text-center text-gray-600">Add an account to see its balance history.</p>
+      ) : (
+        <>
+          <ResponsiveContainer width="100%" height={240}>
+            <LineChart data={points} margin={{ top: 5, right: 5, bottom: 20, left: 5 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#e0e0e0" />
+              <XAxis dataKey="label" tick={{ fill: "#666666", fontSize: 10 }} angle={-45} textAnchor="end" height={40} />
+              <YAxis tick={{ fill: "#666666", fontSize: 10 }} tickFormatter={value => `${(value/1000).toFixed(1)}k`} />
+              <Tooltip
+                formatter={(value) => (single ? formatForAccount(value, single.id) : format(value))}
+                contentStyle={{ backgroundColor: "#36393F", border: "none", borderRadius: "0.375rem", padding: "0.5rem", color: "#FFFFFF" }}
+              />
+              <Legend />
+              {shownAccounts.map((account, idx) => (
+                <Line
+                  key={account.id}
+                  type="monotone"
+                  dataKey={account.id}
+                  name={account.name}
+                  stroke={LINE_COLORS[idx % LINE_COLORS.length]}
+                  strokeWidth={2}
+                  dot={false}
+                />
+              ))}
+            </LineChart>
+          </ResponsiveContainer>
+          <p className="mt-1 text-xs text-gray-500">Credit cards show the amount owed.</p>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,147 @@
+// src/BudgetPanel.js
+import React, { useState } from 'react';
+import { useFinanceStore } from './financeStore';
+import { useCurrency } from './currency';
+import {
+  DEFAULT_ALERT_THRESHOLD,
+  monthKey,
+  getBudgetStatuses,
+  describeBudgetAlert,
+} from './budgets';
+
+const barColor = { ok: 'bg-green-500', warning: 'bg-yellow-500', over: 'bg-red-600' };
+
+export default function BudgetPanel({ categories }) {
+  const { budgets, transactions, categories: categoryRecords, setBudgets } = useFinanceStore();
+  const { format, toBaseTransactions } = useCurrency();
+  const [newCategory, setNewCategory] = useState('');
+  const [newAmount, setNewAmount] = useState('');
+
+  const statuses = getBudgetStatuses(budgets, toBaseTransactions(transactions), new Date(), categoryRecords);
+  const alerts = statuses.filter(s => s.status !== 'ok');
+  const unbudgeted = categories.filter(c => !budgets.some(b => b.category === c));
+
+  const handleAdd = () => {
+    const category = newCategory || unbudgeted[0];
+    if (!category || !(Number(newAmount) > 0)) return;
+    setBudgets(prev => [
+      ...prev,
+      {
+        id: Date.now().toString(),
+        category,
+        amount: Number(newAmount),
+        rollover: false,
+        alertThreshold: DEFAULT_ALERT_THRESHOLD,
+        startMonth: monthKey(new Date()),
+      },
+    ]);
+    setNewCategory('');
+    setNewAmount('');
+  };
+
+  const updateBudget = (id, changes) => {
+    setBudgets(prev => prev.map(b => (b.id === id ? { ...b, ...changes } : b)));
+  };
+
+  return (
+    <div className="mt-4 bg-white rounded shadow border border-gray-300 p-4">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+        <h3 className="text-xl font-bold">Budgets</h3>
+        {unbudgeted.length > 0 && (
+          <div className="flex items-center gap-2">
+            <select
+              value={newCategory || unbudgeted[0]}
+              onChange={(e) => setNewCategory(e.target.value)}
+              className="bg-white border border-gray-300 rounded px-2 py-1 text-sm text-black"
+            >
+              {unbudgeted.map(category => (
+                <option key={category} value={category}>{category}</option>
+              ))}
+            </select>
+            <input
+              type="number"
+              placeholder="Monthly amount"
+              value={newAmount}
+              onChange={(e) => setNewAmount(e.target.value)}
+              className="w-32 bg-white border border-gray-300 rounded px-2 py-1 text-sm text-black"
+            />
+            <button onClick={handleAdd} className="px-3 py-1 rounded bg-blue-600 hover:bg-blue-700 text-white text-sm">
+              Add Budget
+            </button>
+          </div>
+        )}
+      </div>
+
+      {alerts.length > 0 && (
+        <ul className="mb-2 space-y-1">
+          {alerts.map(alert => (
+            <li key={alert.budget.id} className={`text-sm ${alert.status === 'over' ? 'text-red-700' : 'text-yellow-700'}`}>
+              {describeBudgetAlert(alert, format)}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {statuses.length === 0 ? (
+        <p className="py-4 text-center text-gray-600">No budgets yet. Add one to track monthly spending by category.</p>
+      ) : (
+        <div className="space-y-3">
+          {statuses.map(({ budget, spent, available, remaining, percent, carryover, status }) => (
+            <div key={budget.id}>
+              <div className="flex justify-between text-sm">
+                <span className="font-bold">{budget.category}</span>
+                <span>
+                  {format(spent)} of {format(available)}
+                  <span className={remaining < 0 ? 'text-red-700 ml-2' : 'text-gray-600 ml-2'}>
+                    {remaining < 0 ? `${format(Math.abs(remaining))} over` : `${format(remaining)} left`}
+                  </span>
+                </span>
+              </div>
+              <div className="w-full h-2 bg-gray-200 rounded">
+                <div className={`h-2 rounded ${barColor[status]}`} style={{ width: `${Math.min(percent, 100)}%` }} />
+              </div>
+              <div className="flex flex-wrap items-center gap-3 mt-1 text-xs text-gray-700">
+                <label className="flex items-center gap-1">
+                  Amount
+                  <input
+                    type="number"
+                    value={budget.amount}
+                    onChange={(e) => updateBudget(budget.id, { amount: Number(e.target.value) || 0 })}
+                    className="w-20 border border-gray-300 rounded px-1"
+                  />
+                </label>
+                <label className="flex items-center gap-1">
+                  <input
+                    type="checkbox"
+                    checked={!!budget.rollover}
+                    onChange={(e) => updateBudget(budget.id, { rollover: e.target.checked })}
+                  />
+                  Roll over unspent
+                </label>
+                <label className="flex items-center gap-1">
+                  Alert at
+                  <input
+                    type="number"
+                    value={budget.alertThreshold ?? DEFAULT_ALERT_THRESHOLD}
+                    onChange={(e) => updateBudget(budget.id, { alertThreshold: Number(e.target.value) || 0 })}
+                    className="w-14 border border-gray-300 rounded px-1"
+                  />
+                  %
+                </label>
+                {budget.rollover && carryover !== 0 && (
+                  <span>{carryover > 0 ? '+' : '-'}{format(Math.abs(carryover))} carried over</span>
+                )}
+                <button
+                  onClick={() => setBudgets(prev => prev.filter(b => b.id !== budget.id))}
+                  className="text-red-700 hover:underline"
+                >
+                  Remove
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,104 @@
+// src/CashFlowForecast.js
+import React, { useMemo, useState } from 'react';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ReferenceLine,
+  ResponsiveContainer,
+} from 'recharts';
+import { useFinanceStore } from './financeStore';
+import { forecastCashFlow, forecastDays } from './cashFlow';
+import { useCurrency } from './currency';
+
+const LINE_COLORS = ['#2EB67D', '#36C5F0', '#ECB22E', '#E01E5A', '#4A154B', '#1264A3'];
+
+const selectClass = "bg-white border border-gray-300 rounded px-2 py-1 text-sm text-black";
+
+export default function CashFlowForecast() {
+  const { accounts, transactions, recurring } = useFinanceStore();
+  const [timeframe, setTimeframe] = useState('6m');
+  const [selectedAccount, setSelectedAccount] = useState('all');
+  const { format, formatForAccount, accountToBase } = useCurrency();
+
+  const shownAccounts = accounts.filter(account => selectedAccount === 'all' || account.id === selectedAccount);
+  const { points, warnings } = useMemo(
+    () => forecastCashFlow({ accounts, transactions, recurring }, { days: forecastDays(timeframe) }),
+    [accounts, transactions, recurring, timeframe]
+  );
+  // Chart every account in the base currency so the lines share one axis
+  const chartPoints = points.map(point => ({
+    ...point,
+    ...Object.fromEntries(accounts.map(account => [account.id, accountToBase(account, point[account.id])])),
+  }));
+  const shownWarnings = warnings.filter(w => shownAccounts.some(a => a.id === w.account.id));
+
+  return (
+    <div className="mt-4 bg-white rounded shadow border border-gray-300 p-4">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+        <h3 className="text-xl font-bold">Cash-Flow Forecast</h3>
+        <div className="flex gap-2">
+          <select value={timeframe} onChange={(e) => setTimeframe(e.target.value)} className={selectClass}>
+            <option value="6m">6 Months</option>
+            <option value="1y">1 Year</option>
+            <option value="2y">2 Years</option>
+          </select>
+          <select value={selectedAccount} onChange={(e) => setSelectedAccount(e.target.value)} className={selectClass}>
+            <option value="all">All Accounts</option>
+            {accounts.map(account => (
+              <option key={account.id} value={account.id}>{account.name}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+      {shownAccounts.length === 0 ? (
+        <p className="py-4 text-center text-gray-600">Add an account to see its forecast.</p>
+      ) : (
+        <>
+          <ResponsiveContainer width="100%" height={240}>
+            <LineChart data={chartPoints} margin={{ top: 5, right: 5, bottom: 20, left: 5 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#e0e0e0" />
+              <XAxis dataKey="label" tick={{ fill: "#666666", fontSize: 10 }} angle={-45} textAnchor="end" height={40} />
+              <YAxis tick={{ fill: "#666666", fontSize: 10 }} tickFormatter={value => `${(value/1000).toFixed(1)}k`} />
+              <Tooltip
+                formatter={(value) => format(value)}
+                contentStyle={{ backgroundColor: "#36393F", border: "none", borderRadius: "0.375rem", padding: "0.5rem", color: "#FFFFFF" }}
+              />
+              <Legend />
+              <ReferenceLine y={0} stroke="#E01E5A" strokeDasharray="4 4" />
+              {shownAccounts.map((account, idx) => (
+                <Line
+                  key={account.id}
+                  type="monotone"
+                  dataKey={account.id}
+                  name={account.name}
+                  stroke={LINE_COLORS[idx % LINE_COLORS.length]}
+                  strokeWidth={2}
+                  dot={false}
+                />
+              ))}
+            </LineChart>
+          </ResponsiveContainer>
+          {shownWarnings.length > 0 ? (
+            <ul className="mt-2 space-y-1">
+              {shownWarnings.map(({ account, date, balance }) => (
+                <li key={`${account.id}-${date}`} className="text-sm text-red-700">
+                  {account.name} is projected to go negative on {new Date(date).toLocaleDateString()} ({formatForAccount(balance, account.id)}).
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="mt-2 text-sm text-gray-600">No account is projected to go negative in this timeframe.</p>
+          )}
+          <p className="mt-1 text-xs text-gray-500">
+            Based on the last 90 days of activity plus scheduled recurring items.
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
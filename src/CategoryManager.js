@@ -0,0 +1,221 @@
+// src/CategoryManager.js
+import React, { useState } from 'react';
+import { useFinanceStore } from './financeStore';
+import {
+  RULE_MATCHES,
+  categoryTree,
+  activeCategoryNames,
+  createCategory,
+  renameCategory,
+  mergeCategory,
+  setCategoryArchived,
+} from './categories';
+
+const inputClass = "p-2 rounded bg-gray-800 border border-gray-600 text-white";
+
+const matchLabels = { contains: 'contains', startsWith: 'starts with', equals: 'equals' };
+
+export default function CategoryManager({ onClose }) {
+  const {
+    transactions,
+    budgets,
+    categories,
+    categoryRules,
+    recurring,
+    setCategories,
+    setCategoryRules,
+    replaceData,
+  } = useFinanceStore();
+
+  const [newName, setNewName] = useState('');
+  const [newParent, setNewParent] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const [editingName, setEditingName] = useState('');
+  const [mergingId, setMergingId] = useState(null);
+  const [mergeTarget, setMergeTarget] = useState('');
+  const [rulePattern, setRulePattern] = useState('');
+  const [ruleMatch, setRuleMatch] = useState('contains');
+  const [ruleCategory, setRuleCategory] = useState('');
+  const [error, setError] = useState('');
+
+  const tree = categoryTree(categories, { includeArchived: true });
+  const activeNames = activeCategoryNames(categories);
+  const data = { categories, transactions, budgets, categoryRules, recurring };
+
+  // Surface validation errors from the category helpers inline
+  const attempt = (action) => {
+    setError('');
+    try {
+      action();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    }
+  };
+
+  const handleAdd = () => {
+    if (attempt(() => setCategories(createCategory(categories, newName, newParent || null)))) {
+      setNewName('');
+      setNewParent('');
+    }
+  };
+
+  const handleRename = (id) => {
+    if (attempt(() => replaceData(renameCategory(data, id, editingName)))) setEditingId(null);
+  };
+
+  const handleMerge = (id) => {
+    if (attempt(() => replaceData(mergeCategory(data, id, mergeTarget)))) setMergingId(null);
+  };
+
+  const handleAddRule = () => {
+    const category = ruleCategory || activeNames[0];
+    if (!rulePattern.trim() || !category) return;
+    setCategoryRules(prev => [
+      ...prev,
+      { id: Date.now().toString(), pattern: rulePattern.trim(), match: ruleMatch, category },
+    ]);
+    setRulePattern('');
+  };
+
+  const usage = (name) => transactions.filter(t => t.category === name).length;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-80 flex justify-center items-center p-4 z-50">
+      <div className="bg-gray-800 rounded-lg p-6 w-full max-w-2xl max-h-full overflow-y-auto border border-gray-600 text-white space-y-4">
+        <div className="flex justify-between items-center">
+          <h2 className="text-2xl font-bold">Categories</h2>
+          <button onClick={onClose} className="text-gray-300 hover:text-white">
+            Close
+          </button>
+        </div>
+
+        {error && <p className="text-sm text-red-400">{error}</p>}
+
+        {/* Category tree */}
+        <ul className="space-y-1">
+          {tree.map(category => (
+            <li key={category.id} className="flex flex-wrap items-center gap-2 text-sm" style={{ paddingLeft: `${category.depth * 1.25}rem` }}>
+              {editingId === category.id ? (
+                <>
+                  <input
+                    value={editingName}
+                    onChange={(e) => setEditingName(e.target.value)}
+                    className={`${inputClass} py-1`}
+                  />
+                  <button onClick={() => handleRename(category.id)} className="text-blue-400 hover:underline">Save</button>
+                  <button onClick={() => setEditingId(null)} className="text-gray-300 hover:underline">Cancel</button>
+                </>
+              ) : (
+                <>
+                  <span className={category.archived ? 'line-through text-gray-400' : 'font-bold'}>{category.name}</span>
+                  <span className="text-gray-400">({usage(category.name)})</span>
+                  <button
+                    onClick={() => { setEditingId(category.id); setEditingName(category.name); setMergingId(null); }}
+                    className="text-blue-400 hover:underline"
+                  >
+                    Rename
+                  </button>
+                  <button
+                    onClick={() => { setMergingId(category.id); setMergeTarget(''); setEditingId(null); }}
+                    className="text-blue-400 hover:underline"
+                  >
+                    Merge
+                  </button>
+                  <button
+                    onClick={() => setCategories(setCategoryArchived(categories, category.id, !category.archived))}
+                    className="text-yellow-400 hover:underline"
+                  >
+                    {category.archived ? 'Unarchive' : 'Archive'}
+                  </button>
+                </>
+              )}
+              {mergingId === category.id && (
+                <>
+                  <select value={mergeTarget} onChange={(e) => setMergeTarget(e.target.value)} className={`${inputClass} py-1`}>
+                    <option value="">Merge into...</option>
+                    {tree.filter(c => c.id !== category.id).map(c => (
+                      <option key={c.id} value={c.id}>{c.label}</option>
+                    ))}
+                  </select>
+                  <button onClick={() => handleMerge(category.id)} disabled={!mergeTarget} className="text-red-400 hover:underline disabled:opacity-50">
+                    Merge
+                  </button>
+                  <button onClick={() => setMergingId(null)} className="text-gray-300 hover:underline">Cancel</button>
+                </>
+              )}
+            </li>
+          ))}
+        </ul>
+
+        {/* New category */}
+        <div className="flex flex-wrap gap-2">
+          <input
+            placeholder="New category"
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            className={`${inputClass} flex-1`}
+          />
+          <select value={newParent} onChange={(e) => setNewParent(e.target.value)} className={inputClass}>
+            <option value="">Top level</option>
+            {categoryTree(categories).map(c => (
+              <option key={c.id} value={c.id}>Under {c.label}</option>
+            ))}
+          </select>
+          <button onClick={handleAdd} className="px-4 py-2 rounded bg-blue-600 hover:bg-blue-700 text-white">
+            Add
+          </button>
+        </div>
+
+        {/* Auto-categorization rules */}
+        <div className="space-y-2">
+          <h3 className="text-lg font-bold">Rules</h3>
+          <p className="text-xs text-gray-300">
+            Applied to new transactions, chat entries and imports that have no category (or "Other").
+          </p>
+          {categoryRules.length === 0 ? (
+            <p className="text-sm text-gray-400">No rules yet.</p>
+          ) : (
+            <ul className="space-y-1 text-sm">
+              {categoryRules.map(rule => (
+                <li key={rule.id} className="flex justify-between">
+                  <span>
+                    Details {matchLabels[rule.match] || 'contains'} "{rule.pattern}" &rarr; {rule.category}
+                  </span>
+                  <button
+                    onClick={() => setCategoryRules(prev => prev.filter(r => r.id !== rule.id))}
+                    className="text-red-400 hover:underline"
+                  >
+                    Remove
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+          <div className="flex flex-wrap gap-2">
+            <select value={ruleMatch} onChange={(e) => setRuleMatch(e.target.value)} className={inputClass}>
+              {RULE_MATCHES.map(match => (
+                <option key={match} value={match}>Details {matchLabels[match]}</option>
+              ))}
+            </select>
+            <input
+              placeholder="e.g. Uber"
+              value={rulePattern}
+              onChange={(e) => setRulePattern(e.target.value)}
+              className={`${inputClass} flex-1`}
+            />
+            <select value={ruleCategory || activeNames[0] || ''} onChange={(e) => setRuleCategory(e.target.value)} className={inputClass}>
+              {activeNames.map(name => (
+                <option key={name} value={name}>{name}</option>
+              ))}
+            </select>
+            <button onClick={handleAddRule} className="px-4 py-2 rounded bg-blue-600 hover:bg-blue-700 text-white">
+              Add Rule
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,28 @@
+// src/ConfigErrorScreen.js
+import React from 'react';
+
+// Shown instead of the app when /config.json is missing or invalid (see config.js)
+export default function ConfigErrorScreen({ error }) {
+  const problems = error.problems || [];
+
+  return (
+    <div className="min-h-screen flex justify-center items-center bg-gray-800 p-4">
+      <div role="alert" className="p-8 bg-gray-700 rounded shadow max-w-xl w-full text-white space-y-4">
+        <h2 className="text-2xl font-bold">TrackBalances can't start</h2>
+        <p className="text-sm text-gray-200">{error.message}</p>
+        {problems.length > 0 && (
+          <ul className="text-sm list-disc ml-5 space-y-1">
+            {problems.map(({ key, message }) => (
+              <li key={key}>
+                <code className="text-yellow-300">{key}</code>: {message}
+              </li>
+            ))}
+          </ul>
+        )}
+        <p className="text-xs text-gray-400">
+          Fix the settings in config.json for this environment and reload the page.
+        </p>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,156 @@
+// src/CurrencySettings.js
+import React, { useState } from 'react';
+import { useFinanceStore } from './financeStore';
+import { COMMON_CURRENCIES, formatMoney, parseRatesCSV, useCurrency } from './currency';
+
+const inputClass = "p-2 rounded bg-gray-800 border border-gray-600 text-white";
+
+export default function CurrencySettings({ onClose }) {
+  const { exchangeRates, settings, setExchangeRates, setSettings } = useFinanceStore();
+  const { missingRates } = useCurrency();
+  const [draft, setDraft] = useState({ base: 'EUR', quote: settings.baseCurrency, rate: '', date: new Date().toISOString().slice(0, 10) });
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const currencies = [...new Set([...COMMON_CURRENCIES, settings.baseCurrency, ...exchangeRates.flatMap(r => [r.base, r.quote])])];
+  const sortedRates = [...exchangeRates].sort((a, b) => new Date(b.date) - new Date(a.date));
+
+  const handleAdd = () => {
+    if (draft.base === draft.quote || !(Number(draft.rate) > 0)) {
+      setError('Choose two different currencies and a positive rate.');
+      return;
+    }
+    setError('');
+    setExchangeRates(prev => [
+      ...prev,
+      {
+        id: Date.now().toString(),
+        base: draft.base,
+        quote: draft.quote,
+        rate: Number(draft.rate),
+        date: new Date(`${draft.date}T00:00:00`).toISOString(),
+      },
+    ]);
+    setDraft(prev => ({ ...prev, rate: '' }));
+  };
+
+  const handleImport = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const imported = parseRatesCSV(String(reader.result));
+        setExchangeRates(prev => [...prev, ...imported]);
+        setMessage(`Imported ${imported.length} rates.`);
+        setError('');
+      } catch (err) {
+        setError(err.message);
+      }
+    };
+    reader.onerror = () => setError('Could not read the file.');
+    reader.readAsText(file);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-80 flex justify-center items-center p-4 z-50">
+      <div className="bg-gray-800 rounded-lg p-6 w-full max-w-lg max-h-full overflow-y-auto border border-gray-600 text-white space-y-4">
+        <div className="flex justify-between items-center">
+          <h2 className="text-2xl font-bold">Currencies</h2>
+          <button onClick={onClose} className="text-gray-300 hover:text-white">
+            Close
+          </button>
+        </div>
+
+        {message && <p className="text-sm text-green-400">{message}</p>}
+        {error && <p className="text-sm text-red-400">{error}</p>}
+
+        <div className="grid grid-cols-2 gap-2 text-sm">
+          <label>
+            Base currency
+            <select
+              value={settings.baseCurrency}
+              onChange={(e) => setSettings({ baseCurrency: e.target.value })}
+              className={`${inputClass} w-full`}
+            >
+              {currencies.map(code => (
+                <option key={code} value={code}>{code}</option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Number format
+            <input
+              placeholder="Browser default, e.g. en-GB"
+              value={settings.locale}
+              onChange={(e) => setSettings({ locale: e.target.value.trim() })}
+              className={`${inputClass} w-full`}
+            />
+          </label>
+          <p className="col-span-2 text-xs text-gray-300">
+            Preview: {formatMoney(1234.5, settings.baseCurrency, settings.locale || undefined)}
+          </p>
+        </div>
+
+        {missingRates.length > 0 && (
+          <p className="text-sm text-yellow-400">
+            No rate to {settings.baseCurrency} for {missingRates.join(', ')}; those balances are added unconverted.
+          </p>
+        )}
+
+        {/* Exchange-rate table */}
+        <div className="space-y-2">
+          <h3 className="text-lg font-bold">Exchange Rates</h3>
+          <div className="flex flex-wrap items-center gap-2 text-sm">
+            <span>1</span>
+            <select value={draft.base} onChange={(e) => setDraft(prev => ({ ...prev, base: e.target.value }))} className={inputClass}>
+              {currencies.map(code => <option key={code} value={code}>{code}</option>)}
+            </select>
+            <span>=</span>
+            <input
+              type="number"
+              step="0.0001"
+              placeholder="Rate"
+              value={draft.rate}
+              onChange={(e) => setDraft(prev => ({ ...prev, rate: e.target.value }))}
+              className={`${inputClass} w-24`}
+            />
+            <select value={draft.quote} onChange={(e) => setDraft(prev => ({ ...prev, quote: e.target.value }))} className={inputClass}>
+              {currencies.map(code => <option key={code} value={code}>{code}</option>)}
+            </select>
+            <input
+              type="date"
+              value={draft.date}
+              onChange={(e) => setDraft(prev => ({ ...prev, date: e.target.value }))}
+              className={inputClass}
+            />
+            <button onClick={handleAdd} className="px-3 py-2 rounded bg-blue-600 hover:bg-blue-700 text-white">Add</button>
+          </div>
+          <label className="block text-sm">
+            Import CSV (date, base, quote, rate)
+            <input type="file" accept=".csv,text/csv" onChange={handleImport} className={`${inputClass} w-full`} />
+          </label>
+          {sortedRates.length === 0 ? (
+            <p className="text-sm text-gray-400">No rates yet.</p>
+          ) : (
+            <ul className="max-h-48 overflow-y-auto text-sm space-y-1">
+              {sortedRates.map(rate => (
+                <li key={rate.id} className="flex justify-between">
+                  <span>
+                    {new Date(rate.date).toLocaleDateString()}: 1 {rate.base} = {rate.rate} {rate.quote}
+                  </span>
+                  <button
+                    onClick={() => setExchangeRates(prev => prev.filter(r => r.id !== rate.id))}
+                    className="text-red-400 hover:underline"
+                  >
+                    Remove
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,51 +1,87 @@
 // src/EnhancedFinanceManager.js
-import React, { useState, useEffect } from 'react';
-import {
-  LineChart,
-  Line,
-  XAxis,
-  YAxis,
-  CartesianGrid,
-  Tooltip,
-  ResponsiveContainer,
-} from 'recharts';
-import { useAuth0 } from '@auth0/auth0-react';
+import React, { useMemo, useState } from 'react';
 import { ArrowUp, ArrowDown } from 'lucide-react';
-
-const ACCOUNTS_KEY = "myapp_finance_accounts";
-const TRANSACTIONS_KEY = "myapp_finance_transactions";
+import {
+  useFinanceStore,
+  accountBalance,
+  isLiability,
+  calculateCreditUtilization as calculateAccountsUtilization,
+  calculateStatementBalance,
+} from './financeStore';
+import ImportWizard from './ImportWizard';
+import BackupPanel from './BackupPanel';
+import BudgetPanel from './BudgetPanel';
+import CategoryManager from './CategoryManager';
+import RecurringPanel from './RecurringPanel';
+import CashFlowForecast from './CashFlowForecast';
+import PayoffPlanner from './PayoffPlanner';
+import NetWorthHistory from './NetWorthHistory';
+import BalanceHistory from './BalanceHistory';
+import SpendingAnalytics from './SpendingAnalytics';
+import { runningBalances } from './balanceHistory';
+import TransactionFilters from './TransactionFilters';
+import { EMPTY_FILTERS, PAGE_SIZES, searchTransactions, compareTransactions } from './transactionSearch';
+import { netWorthOn } from './netWorth';
+import CurrencySettings from './CurrencySettings';
+import { COMMON_CURRENCIES, DEFAULT_CURRENCY, useCurrency } from './currency';
+import { isTransfer, describeTransfer, saveTransfer, removeTransaction, validateTransfer } from './transfers';
+import { DEFAULT_CREDIT_TERMS, creditTerms, nextDueDate, minimumPaymentDue } from './creditTerms';
+import { categoryTree, activeCategoryNames, applyCategoryRules } from './categories';
+import { useFinanceSync } from './syncClient';
+import { useAuth } from './AuthProvider';
+import { useConfig } from './config';
+import SyncStatus from './SyncStatus';
+import { signOut } from './signOut';
 
 export default function EnhancedFinanceManager() {
-  const { logout, isAuthenticated, isLoading } = useAuth0();
+  const auth = useAuth();
+  const { isAuthenticated, isLoading, getAccessToken } = auth;
+  const { returnTo, features } = useConfig();
 
-  // Finance data state
-  const [accounts, setAccounts] = useState([]);
-  const [transactions, setTransactions] = useState([]);
-  const [initialized, setInitialized] = useState(false);
+  // Finance data from the shared store, scoped to the signed-in user
+  const {
+    userId,
+    clearOnLogout,
+    setClearOnLogout,
+    accounts,
+    transactions,
+    categories,
+    categoryRules,
+    recurring,
+    exchangeRates,
+    quarantine,
+    settings,
+    setSettings,
+    setAccounts,
+    setTransactions,
+    replaceData,
+    saveTransaction,
+    clearQuarantine,
+  } = useFinanceStore();
+
+  // Keep accounts and transactions in step with the sync API, when one is configured
+  const syncStatus = useFinanceSync({
+    userId,
+    getAccessToken,
+  });
 
   // Other UI state
-  const [categories] = useState([
-    'Housing',
-    'Transportation',
-    'Food',
-    'Utilities',
-    'Healthcare',
-    'Entertainment',
-    'Shopping',
-    'Other',
-  ]);
   const [showForm, setShowForm] = useState(false);
   const [formType, setFormType] = useState('account'); // "account" or "transaction"
   const [editingItem, setEditingItem] = useState(null);
+  // Why the transaction form could not be saved
+  const [formError, setFormError] = useState('');
+  const [showImport, setShowImport] = useState(false);
+  const [showBackup, setShowBackup] = useState(false);
+  const [showCategories, setShowCategories] = useState(false);
+  const [showCurrencies, setShowCurrencies] = useState(false);
+  const { baseCurrency, format, formatForAccount, accountToBase } = useCurrency();
 
   // Delete modal state
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
   const [deleteItem, setDeleteItem] = useState(null);
   const [deleteType, setDeleteType] = useState(null);
 
-  const [projectionScenario, setProjectionScenario] = useState('current');
-  const [selectedAccount, setSelectedAccount] = useState('all');
-  const [timeframe, setTimeframe] = useState('6m');
 
   const [acctSortField, setAcctSortField] = useState('name');
   const [acctSortOrder, setAcctSortOrder] = useState('asc');
@@ -55,54 +91,8 @@ export default function EnhancedFinanceManager() {
   const [transSortField, setTransSortField] = useState('date');
   const [transSortOrder, setTransSortOrder] = useState('desc');
   const [transCurrentPage, setTransCurrentPage] = useState(1);
-  const transPageSize = 5;
-
-  // Load data from localStorage on mount
-  const loadData = () => {
-    try {
-      const storedAccounts = localStorage.getItem(ACCOUNTS_KEY);
-      const storedTransactions = localStorage.getItem(TRANSACTIONS_KEY);
-      setAccounts(storedAccounts ? JSON.parse(storedAccounts) : []);
-      setTransactions(storedTransactions ? JSON.parse(storedTransactions) : []);
-    } catch (error) {
-      console.error('Error loading data:', error);
-      setAccounts([]);
-      setTransactions([]);
-    }
-  };
-
-  useEffect(() => {
-    loadData();
-    setInitialized(true);
-  }, []);
-
-  // Listen for custom event (e.g. from LiveAgentChat) to reload data
-  useEffect(() => {
-    const handleFinanceDataUpdate = () => {
-      loadData();
-    };
-    window.addEventListener('financeDataUpdated', handleFinanceDataUpdate);
-    return () => window.removeEventListener('financeDataUpdated', handleFinanceDataUpdate);
-  }, []);
-
-  // Persist finance data only after initial load
-  useEffect(() => {
-    if (initialized) {
-      localStorage.setItem(ACCOUNTS_KEY, JSON.stringify(accounts));
-      localStorage.setItem(TRANSACTIONS_KEY, JSON.stringify(transactions));
-    }
-  }, [accounts, transactions, initialized]);
-
-  // Listen for storage events for cross-tab sync
-  useEffect(() => {
-    const handleStorageChange = (event) => {
-      if (event.key === ACCOUNTS_KEY || event.key === TRANSACTIONS_KEY) {
-        loadData();
-      }
-    };
-    window.addEventListener('storage', handleStorageChange);
-    return () => window.removeEventListener('storage', handleStorageChange);
-  }, []);
+  const [transFilters, setTransFilters] = useState(EMPTY_FILTERS);
+  const transPageSize = settings.transactionPageSize;
 
   // --- Helper Functions ---
   const monthsDifference = (startDate, endDate) => {
@@ -111,68 +101,23 @@ export default function EnhancedFinanceManager() {
     return (end.getFullYear() - start.getFullYear()) * 12 + (end.getMonth() - start.getMonth());
   };
 
-  const calculateBalance = (accountId, date = new Date()) => {
-    const account = accounts.find(a => a.id === accountId);
-    if (!account) return 0;
-    const relevant = transactions.filter(t => t.accountId === accountId && new Date(t.date) <= date);
-    return relevant.reduce((sum, t) => sum + (t.type === 'credit' ? Number(t.amount) : -Number(t.amount)), 0);
-  };
+  // What an asset holds or a card owes
+  const calculateBalance = (account, date = new Date()) =>
+    accountBalance(account, transactions, date);
 
-  const calculateCreditUtilization = () => {
-    const creditAccounts = accounts.filter(a => a.accountType === 'credit');
-    const totalLimit = creditAccounts.reduce((sum, a) => sum + Number(a.limit || 0), 0);
-    if (totalLimit === 0) return 0;
-    const totalUsed = creditAccounts.reduce((sum, a) => sum + Math.max(0, calculateBalance(a.id)), 0);
-    return (totalUsed / totalLimit) * 100;
-  };
+  const toBase = (amount, account, date) => accountToBase(account, amount, date);
 
-  const calculateProjections = (scenario = 'current') => {
-    const months = timeframe === '6m' ? 6 : timeframe === '1y' ? 12 : 24;
-    const monthLabels = Array.from({ length: months + 1 }, (_, i) =>
-      i === 0 ? 'Current' : `Month ${i}`
-    );
-    const relevantAccounts = accounts.filter(
-      account =>
-        (selectedAccount === 'all' || account.id === selectedAccount) &&
-        account.accountType === 'credit' &&
-        calculateBalance(account.id) > 0
-    );
-    return monthLabels.map((label, monthIndex) => {
-      let projectedBalance = 0, totalInterest = 0, minimumPayment = 0, additionalPayment = 0;
-      relevantAccounts.forEach(account => {
-        let currentBalance = calculateBalance(account.id);
-        const monthlyRate = (Number(account.apr) / 100) / 12;
-        const baseMinPayment = Math.max(currentBalance * 0.02, 25);
-        let monthlyPayment = baseMinPayment;
-        if (scenario === 'aggressive') monthlyPayment = Math.max(baseMinPayment, currentBalance * 0.1);
-        else if (scenario === 'optimal') monthlyPayment = Math.max(baseMinPayment, currentBalance * 0.05);
-        for (let i = 0; i < monthIndex; i++) {
-          const interest = currentBalance * monthlyRate;
-          totalInterest += interest;
-          currentBalance += interest - monthlyPayment;
-          if (currentBalance < 0) currentBalance = 0;
-        }
-        projectedBalance += currentBalance;
-        minimumPayment += baseMinPayment;
-        additionalPayment += monthlyPayment - baseMinPayment;
-      });
-      return {
-        month: label,
-        balance: projectedBalance,
-        interest: totalInterest,
-        minimumPayment,
-        additionalPayment,
-        totalPayment: minimumPayment + additionalPayment,
-      };
-    });
-  };
+  const calculateCreditUtilization = () =>
+    calculateAccountsUtilization(accounts, transactions, new Date(), toBase);
+
+  const { assets, liabilities, netWorth } = netWorthOn(accounts, transactions, new Date(), toBase);
 
   // --- Sorting & Pagination for Accounts ---
   const sortedAccounts = [...accounts].sort((a, b) => {
     let cmp = 0;
     if (acctSortField === 'name') cmp = a.name.localeCompare(b.name);
     else if (acctSortField === 'type') cmp = a.accountType.localeCompare(b.accountType);
-    else if (acctSortField === 'balance') cmp = calculateBalance(b.id) - calculateBalance(a.id);
+    else if (acctSortField === 'balance') cmp = calculateBalance(b) - calculateBalance(a);
     return acctSortOrder === 'asc' ? cmp : -cmp;
   });
   const totalAcctPages = Math.ceil(sortedAccounts.length / acctPageSize);
@@ -188,21 +133,15 @@ export default function EnhancedFinanceManager() {
   };
 
   // --- Sorting & Pagination for Transactions ---
-  const sortedTransactions = [...transactions].sort((a, b) => {
-    let compare = 0;
-    if (transSortField === 'date') compare = new Date(b.date) - new Date(a.date);
-    else if (transSortField === 'account') {
-      const accA = accounts.find(acc => acc.id === a.accountId)?.name || '';
-      const accB = accounts.find(acc => acc.id === b.accountId)?.name || '';
-      compare = accA.localeCompare(accB);
-    } else if (transSortField === 'category') {
-      compare = (a.details || a.category || '').localeCompare(b.details || b.category || '');
-    } else if (transSortField === 'amount') {
-      compare = Number(b.amount) - Number(a.amount);
-    }
-    return transSortOrder === 'asc' ? -compare : compare;
-  });
-  const totalTransPages = Math.ceil(sortedTransactions.length / transPageSize);
+  // Memoized so paging through thousands of transactions doesn't re-filter and re-sort them
+  const sortedTransactions = useMemo(
+    () => searchTransactions(transactions, transFilters, { accounts, categories })
+      .sort(compareTransactions(transSortField, transSortOrder, accounts)),
+    [accounts, categories, transactions, transFilters, transSortField, transSortOrder]
+  );
+  // Each transaction's account balance right after it
+  const balancesAfter = useMemo(() => runningBalances(accounts, transactions), [accounts, transactions]);
+  const totalTransPages = Math.max(1, Math.ceil(sortedTransactions.length / transPageSize));
   const paginatedTransactions = sortedTransactions.slice((transCurrentPage - 1) * transPageSize, transCurrentPage * transPageSize);
   const toggleTransSort = (field) => {
     if (transSortField === field) {
@@ -217,11 +156,16 @@ export default function EnhancedFinanceManager() {
   // --- Delete Handler ---
   const handleDelete = () => {
     if (deleteType === 'account') {
-      // Remove account and its associated transactions
-      setAccounts(prev => prev.filter(a => a.id !== deleteItem));
-      setTransactions(prev => prev.filter(t => t.accountId !== deleteItem));
+      // Remove the account with its transactions and recurring templates in one update
+      // Transfers touching the account lose both halves
+      const transferIds = new Set(transactions.filter(t => t.accountId === deleteItem && t.transferId).map(t => t.transferId));
+      replaceData({
+        accounts: accounts.filter(a => a.id !== deleteItem),
+        transactions: transactions.filter(t => t.accountId !== deleteItem && !transferIds.has(t.transferId)),
+        recurring: recurring.filter(t => t.accountId !== deleteItem),
+      });
     } else if (deleteType === 'transaction') {
-      setTransactions(prev => prev.filter(t => t.id !== deleteItem));
+      setTransactions(prev => removeTransaction(prev, deleteItem));
     }
     setShowDeleteConfirm(false);
     setDeleteItem(null);
@@ -235,20 +179,109 @@ export default function EnhancedFinanceManager() {
       id: editingItem.id || Date.now().toString(),
       name: editingItem.name,
       accountType: editingItem.accountType || 'debit',
+      currency: editingItem.currency || DEFAULT_CURRENCY,
       limit: Number(editingItem.limit) || 0,
       apr: Number(editingItem.apr) || 0,
     };
+    if (newAccount.accountType === 'credit') {
+      const terms = creditTerms(editingItem);
+      Object.assign(newAccount, {
+        ...terms,
+        promoEndDate: terms.promoEndDate ? new Date(`${terms.promoEndDate.slice(0, 10)}T00:00:00`).toISOString() : null,
+      });
+    }
     const updatedAccounts = editingItem?.id
       ? accounts.map(a => (a.id === newAccount.id ? newAccount : a))
       : [...accounts, newAccount];
     setAccounts(updatedAccounts);
+    closeForm();
+  };
+
+  // Open the transaction form for a transaction, showing a transfer as one item
+  const editTransaction = (transaction) => {
+    if (isTransfer(transaction)) {
+      const transfer = describeTransfer(transactions, transaction.transferId);
+      setEditingItem({
+        ...transaction,
+        ...transfer,
+        type: 'transfer',
+        accountId: transfer.fromAccountId,
+      });
+    } else {
+      setEditingItem(transaction);
+    }
+    setFormType('transaction');
+    setShowForm(true);
+  };
+
+  // "Pay card" shortcut: a transfer from the first debit account to the card
+  const payCard = (account) => {
+    const owed = Math.max(calculateStatementBalance(account, transactions), 0) || calculateBalance(account);
+    setEditingItem({
+      type: 'transfer',
+      accountId: accounts.find(a => a.accountType === 'debit')?.id || '',
+      toAccountId: account.id,
+      amount: owed > 0 ? owed.toFixed(2) : '',
+      details: `Payment to ${account.name}`,
+    });
+    setFormType('transaction');
+    setShowForm(true);
+  };
+
+  const closeForm = () => {
     setShowForm(false);
     setEditingItem(null);
+    setFormError('');
+  };
+
+  const handleSaveTransfer = () => {
+    const transfer = {
+      transferId: editingItem.transferId,
+      fromAccountId: editingItem.accountId,
+      toAccountId: editingItem.toAccountId,
+      amount: editingItem.amount,
+      date: editingItem.date,
+      details: editingItem.details,
+    };
+    // Check before the store update; saveTransfer throws on what this rejects
+    const problem = validateTransfer(transfer, accounts, exchangeRates);
+    if (problem) {
+      setFormError(problem);
+      return;
+    }
+    setTransactions(prev => {
+      // A one-off transaction converted into a transfer is replaced by the pair
+      const base = editingItem.id && !editingItem.transferId ? removeTransaction(prev, editingItem.id) : prev;
+      return saveTransfer(base, { ...transfer, amount: Number(transfer.amount) }, accounts, exchangeRates);
+    });
+    closeForm();
   };
 
   const handleSaveTransaction = () => {
-    if (!editingItem?.accountId || !editingItem?.amount) return;
-    const newTransaction = {
+    if (!editingItem) return;
+    if (editingItem.type === 'transfer') {
+      handleSaveTransfer();
+      return;
+    }
+    if (!editingItem.accountId) {
+      setFormError('Choose an account.');
+      return;
+    }
+    if (String(editingItem.amount ?? '').trim() === '' || !Number.isFinite(Number(editingItem.amount))) {
+      setFormError('Enter the amount as a number.');
+      return;
+    }
+    if (editingItem.transferId) {
+      // A transfer converted back into a one-off transaction drops its linked half
+      const { transferId, transferSide, toAccountId, fromAccountId, ...rest } = editingItem;
+      setTransactions(prev => [
+        ...removeTransaction(prev, editingItem.id),
+        { ...rest, id: Date.now().toString(), amount: Number(rest.amount), category: rest.category === 'Transfer' ? 'Other' : rest.category },
+      ]);
+      closeForm();
+      return;
+    }
+    const transaction = {
       id: editingItem.id || Date.now().toString(),
       accountId: editingItem.accountId,
       amount: Number(editingItem.amount),
@@ -257,9 +290,9 @@ export default function EnhancedFinanceManager() {
       date: editingItem.date || new Date().toISOString(),
       details: editingItem.details || '',
     };
-    setTransactions([...transactions, newTransaction]);
-    setShowForm(false);
-    setEditingItem(null);
+    // Rules only categorize new transactions; an edit keeps the category the user chose, even "Other"
+    saveTransaction(editingItem.id ? transaction : applyCategoryRules(transaction, categoryRules));
+    closeForm();
   };
 
   if (isLoading) return <div>Loading...</div>;
@@ -271,31 +304,66 @@ export default function EnhancedFinanceManager() {
       <header className="bg-gradient-to-r from-pink-500 via-red-500 to-yellow-500 p-4">
         <div className="flex justify-between items-center">
           <h1 className="text-3xl font-bold">TrackBalances</h1>
+          <div className="flex items-center space-x-3">
+          <SyncStatus status={syncStatus} />
+          <label className="flex items-center text-sm text-white" title="Remove your data from this browser when you log out">
+            <input
+              type="checkbox"
+              className="mr-1"
+              checked={clearOnLogout}
+              onChange={(e) => setClearOnLogout(e.target.checked)}
+            />
+            Clear data on logout
+          </label>
           <button
-          onClick={() => {
-            // Remove any trailing slash from the returnTo URL
-            const returnTo = (window._env_.returnTo || window.location.href).replace(/\/$/, '');
-            console.log("Logging out, returnTo:", returnTo);
-            logout({
-              returnTo,
-              federated: true, // Ensures complete logout from SSO
-            });
-          }}
+          onClick={() => signOut(auth, returnTo)}
           className="px-4 py-2 rounded bg-[#4A154B] hover:bg-[#5A1B60] text-white"
         >
             Logout
           </button>
+          </div>
         </div>
       </header>
 
       {/* Main Content */}
       <div className="flex flex-col space-y-4 p-4 flex-1">
+        {/* Quarantined records found while loading stored data */}
+        {quarantine.length > 0 && (
+          <div className="p-4 bg-yellow-100 rounded shadow border border-yellow-400 flex justify-between items-center">
+            <div>
+              <p className="text-sm font-bold">
+                {quarantine.length} stored record{quarantine.length === 1 ? '' : 's'} could not be loaded and {quarantine.length === 1 ? 'was' : 'were'} set aside.
+              </p>
+              <ul className="text-xs text-gray-700 list-disc ml-4">
+                {quarantine.slice(0, 5).map((entry, idx) => (
+                  <li key={idx}>{entry.collection}: {entry.reason}</li>
+                ))}
+              </ul>
+            </div>
+            <button onClick={clearQuarantine} className="px-3 py-1 rounded bg-white text-black border border-gray-300 text-sm">
+              Discard
+            </button>
+          </div>
+        )}
+
         {/* Top Section: Summary Cards */}
-        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
           <div className="p-4 bg-white rounded shadow border border-gray-300">
-            <p className="text-sm text-gray-700">Total Balance</p>
-            <p className="text-xl font-bold">
-              ${accounts.reduce((sum, account) => sum + calculateBalance(account.id), 0).toFixed(2)}
+            <p className="text-sm text-gray-700">Net Worth</p>
+            <p className={`text-xl font-bold ${netWorth < 0 ? 'text-red-600' : ''}`}>
+              {format(netWorth)}
+            </p>
+          </div>
+          <div className="p-4 bg-white rounded shadow border border-gray-300">
+            <p className="text-sm text-gray-700">Assets</p>
+            <p className="text-xl font-bold text-green-700">
+              {format(assets)}
+            </p>
+          </div>
+          <div className="p-4 bg-white rounded shadow border border-gray-300">
+            <p className="text-sm text-gray-700">Liabilities</p>
+            <p className="text-xl font-bold text-red-600">
+              {format(liabilities)}
             </p>
           </div>
           <div className="p-4 bg-white rounded shadow border border-gray-300">
@@ -328,6 +396,32 @@ export default function EnhancedFinanceManager() {
           >
             Add Transaction
           </button>
+          {features.statementImport && (
+            <button
+              onClick={() => setShowImport(true)}
+              className="px-4 py-2 rounded bg-gray-700 hover:bg-gray-800 text-white w-auto"
+            >
+              Import Statement
+            </button>
+          )}
+          <button
+            onClick={() => setShowBackup(true)}
+            className="px-4 py-2 rounded bg-gray-700 hover:bg-gray-800 text-white w-auto"
+          >
+            Backup &amp; Restore
+          </button>
+          <button
+            onClick={() => setShowCategories(true)}
+            className="px-4 py-2 rounded bg-gray-700 hover:bg-gray-800 text-white w-auto"
+          >
+            Categories
+          </button>
+          <button
+            onClick={() => setShowCurrencies(true)}
+            className="px-4 py-2 rounded bg-gray-700 hover:bg-gray-800 text-white w-auto"
+          >
+            Currencies ({baseCurrency})
+          </button>
         </div>
 
         {/* Middle Section: Accounts List & Debt Projection */}
@@ -363,10 +457,25 @@ export default function EnhancedFinanceManager() {
                   {paginatedAccounts && paginatedAccounts.length > 0 ? (
                     paginatedAccounts.map(account => (
                       <tr key={account.id} className="border-b border-gray-300">
-                        <td className="py-2 px-2 text-sm">{account.name}</td>
+                        <td className="py-2 px-2 text-sm">
+                          {account.name}
+                          {isLiability(account) && nextDueDate(account) && calculateBalance(account) > 0 && (
+                            <div className="text-xs text-gray-600">
+                              Min {formatForAccount(minimumPaymentDue(account, calculateStatementBalance(account, transactions)), account.id)} due {nextDueDate(account).toLocaleDateString()}
+                            </div>
+                          )}
+                        </td>
                         <td className="py-2 px-2 text-sm">{account.accountType}</td>
-                        <td className="py-2 px-2 text-sm text-right">${Math.abs(calculateBalance(account.id)).toFixed(2)}</td>
+                        <td className={`py-2 px-2 text-sm text-right ${calculateBalance(account) < 0 ? 'text-red-700' : ''}`}>
+                          {formatForAccount(calculateBalance(account), account.id)}
+                          {isLiability(account) && <span className="text-xs text-gray-600"> owed</span>}
+                        </td>
                         <td className="py-2 px-2 text-sm text-center">
+                          {isLiability(account) && calculateBalance(account) > 0 && (
+                            <button onClick={() => payCard(account)} className="mr-1 text-green-700 hover:underline text-xs">
+                              Pay
+                            </button>
+                          )}
                           <button onClick={() => { setEditingItem(account); setFormType('account'); setShowForm(true); }} className="mr-1 text-blue-700 hover:underline text-xs">
                             Edit
                           </button>
@@ -397,45 +506,38 @@ export default function EnhancedFinanceManager() {
             )}
           </div>
 
-          {/* Debt Projection */}
+          {/* Debt Payoff Planner */}
           <div className="lg:w-1/2 mt-4 lg:mt-0 bg-white rounded shadow border border-gray-300 p-4">
-            <div className="mb-2 flex flex-wrap gap-2 items-center">
-              <select value={projectionScenario} onChange={(e) => setProjectionScenario(e.target.value)} className="bg-white border border-gray-300 rounded px-2 py-1 text-sm text-black">
-                <option value="current">Current Path</option>
-                <option value="optimal">Optimal Path</option>
-                <option value="aggressive">Aggressive Path</option>
-              </select>
-              <select value={timeframe} onChange={(e) => setTimeframe(e.target.value)} className="bg-white border border-gray-300 rounded px-2 py-1 text-sm text-black">
-                <option value="6m">6 Months</option>
-                <option value="1y">1 Year</option>
-                <option value="2y">2 Years</option>
-              </select>
-              <select value={selectedAccount} onChange={(e) => setSelectedAccount(e.target.value)} className="bg-white border border-gray-300 rounded px-2 py-1 text-sm text-black">
-                <option value="all">All Accounts</option>
-                {accounts.map(account => (
-                  <option key={account.id} value={account.id}>{account.name}</option>
-                ))}
-              </select>
-            </div>
-            <div className="w-full">
-              <ResponsiveContainer width="100%" height={240}>
-                <LineChart data={calculateProjections(projectionScenario)} margin={{ top: 5, right: 5, bottom: 20, left: 5 }}>
-                  <CartesianGrid strokeDasharray="3 3" stroke="#e0e0e0" />
-                  <XAxis dataKey="month" tick={{ fill: "#666666", fontSize: 10 }} angle={-45} textAnchor="end" height={40} interval={0} />
-                  <YAxis tick={{ fill: "#666666", fontSize: 10 }} tickFormatter={value => `${(value/1000).toFixed(1)}k`} />
-                  <Tooltip contentStyle={{ backgroundColor: "#36393F", border: "none", borderRadius: "0.375rem", padding: "0.5rem", color: "#FFFFFF" }} />
-                  <Line type="monotone" dataKey="balance" stroke="#2EB67D" strokeWidth={2} dot={false} />
-                  <Line type="monotone" dataKey="interest" stroke="#36C5F0" strokeWidth={2} dot={false} />
-                  <Line type="monotone" dataKey="totalPayment" stroke="#ECB22E" strokeWidth={2} dot={false} />
-                </LineChart>
-              </ResponsiveContainer>
-            </div>
+            <h3 className="text-xl font-bold mb-2">Debt Payoff Plan</h3>
+            <PayoffPlanner />
           </div>
         </div>
 
+        {/* Net worth history: assets minus liabilities */}
+        <NetWorthHistory />
+
+        {/* Balance history per account */}
+        {features.balanceHistory && <BalanceHistory />}
+
+        {/* Spending by category, month and merchant */}
+        {features.spendingAnalytics && <SpendingAnalytics />}
+
+        {/* Cash-Flow Forecast for every account */}
+        {features.cashFlowForecast && <CashFlowForecast />}
+
+        {/* Budgets by Category */}
+        <BudgetPanel categories={activeCategoryNames(categories)} />
+
+        {/* Recurring Transactions & Upcoming Bills */}
+        <RecurringPanel categories={activeCategoryNames(categories)} />
+
         {/* Bottom Section: Recent Transactions */}
         <div className="mt-4 bg-white rounded shadow border border-gray-300 p-4">
           <h2 className="text-2xl font-bold mb-4">Recent Transactions</h2>
+          <TransactionFilters
+            filters={transFilters}
+            onChange={(next) => { setTransFilters(next); setTransCurrentPage(1); }}
+          />
           <div className="flex flex-col sm:flex-row justify-between items-center mb-4">
             <div className="flex flex-wrap gap-2 items-center">
               <span className="text-sm text-gray-700">Sort by:</span>
@@ -469,6 +571,17 @@ export default function EnhancedFinanceManager() {
               </button>
             </div>
             <div className="flex items-center gap-2">
+              <span className="text-sm text-gray-700">{sortedTransactions.length} of {transactions.length}</span>
+              <select
+                value={transPageSize}
+                onChange={(e) => { setSettings({ transactionPageSize: Number(e.target.value) }); setTransCurrentPage(1); }}
+                className="bg-white border border-gray-300 rounded px-2 py-1 text-sm text-black"
+                aria-label="Transactions per page"
+              >
+                {PAGE_SIZES.map(size => (
+                  <option key={size} value={size}>{size} / page</option>
+                ))}
+              </select>
               <button onClick={() => setTransCurrentPage(prev => Math.max(prev - 1, 1))} disabled={transCurrentPage===1} className="px-3 py-1 rounded bg-white text-black disabled:opacity-50 border border-gray-300">
                 Prev
               </button>
@@ -486,6 +599,7 @@ export default function EnhancedFinanceManager() {
                   <th className="w-1/4 py-2 px-2 text-left text-sm">Account</th>
                   <th className="w-1/2 py-2 px-2 text-left text-sm">Category/Details</th>
                   <th className="w-1/4 py-2 px-2 text-right text-sm">Amount</th>
+                  <th className="w-1/4 py-2 px-2 text-right text-sm">Balance</th>
                   <th className="w-1/4 py-2 px-2 text-center text-sm">Actions</th>
                 </tr>
               </thead>
@@ -497,14 +611,21 @@ export default function EnhancedFinanceManager() {
                       <tr key={transaction.id} className="border-b border-gray-400">
                         <td className="py-2 px-2 text-sm">{new Date(transaction.date).toLocaleDateString()}</td>
                         <td className="py-2 px-2 text-sm">{account ? account.name : 'N/A'}</td>
-                        <td className="py-2 px-2 text-sm">{transaction.details || transaction.category}</td>
+                        {/* The category always shows, since the table sorts by it */}
+                        <td className="py-2 px-2 text-sm">
+                          {transaction.category}
+                          {transaction.details && <div className="text-xs text-gray-600 truncate">{transaction.details}</div>}
+                        </td>
                         <td className="py-2 px-2 text-sm text-right">
                           <span className={transaction.type==='credit' ? 'text-green-700' : 'text-red-700'}>
-                            {transaction.type==='credit' ? '+' : '-'}${transaction.amount}
+                            {transaction.type==='credit' ? '+' : '-'}{formatForAccount(transaction.amount, transaction.accountId)}
                           </span>
                         </td>
+                        <td className="py-2 px-2 text-sm text-right text-gray-700">
+                          {formatForAccount(balancesAfter.get(transaction.id) ?? 0, transaction.accountId)}
+                        </td>
                         <td className="py-2 px-2 text-sm text-center">
-                          <button onClick={() => { setEditingItem(transaction); setFormType('transaction'); setShowForm(true); }} className="mr-1 text-blue-700 hover:underline text-xs">
+                          <button onClick={() => editTransaction(transaction)} className="mr-1 text-blue-700 hover:underline text-xs">
                             Edit
                           </button>
                           <button onClick={() => { setDeleteItem(transaction.id); setDeleteType('transaction'); setShowDeleteConfirm(true); }} className="text-red-700 hover:underline text-xs">
@@ -516,7 +637,7 @@ export default function EnhancedFinanceManager() {
                   })
                 ) : (
                   <tr>
-                    <td colSpan="5" className="py-4 text-center text-gray-600">No transactions to display.</td>
+                    <td colSpan="6" className="py-4 text-center text-gray-600">No transactions to display.</td>
                   </tr>
                 )}
               </tbody>
@@ -525,6 +646,18 @@ export default function EnhancedFinanceManager() {
         </div>
       </div>
 
+      {/* Statement Import Wizard */}
+      {showImport && <ImportWizard onClose={() => setShowImport(false)} />}
+
+      {/* Backup & Restore */}
+      {showBackup && <BackupPanel onClose={() => setShowBackup(false)} />}
+
+      {/* Categories & Rules */}
+      {showCategories && <CategoryManager onClose={() => setShowCategories(false)} />}
+
+      {/* Base Currency & Exchange Rates */}
+      {showCurrencies && <CurrencySettings onClose={() => setShowCurrencies(false)} />}
+
       {/* Delete Confirmation Modal */}
       {showDeleteConfirm && (
         <div className="fixed inset-0 bg-black bg-opacity-80 flex justify-center items-center p-4 z-50">
@@ -551,8 +684,14 @@ export default function EnhancedFinanceManager() {
         <div className="fixed inset-0 bg-black bg-opacity-80 flex justify-center items-center p-4 z-50">
           <div className="bg-gray-800 rounded-lg p-6 w-full max-w-md border border-gray-600 text-white">
             <div className="flex justify-between items-center mb-4">
-              <h2 className="text-2xl font-bold">{formType === 'account' ? 'Account Details' : 'Add Transaction'}</h2>
-              <button onClick={() => { setShowForm(false); setEditingItem(null); }} className="text-gray-300 hover:text-white">
+              <h2 className="text-2xl font-bold">
+                {formType === 'account'
+                  ? 'Account Details'
+                  : editingItem?.type === 'transfer'
+                    ? (editingItem?.transferId ? 'Edit Transfer' : 'Transfer')
+                    : editingItem?.id ? 'Edit Transaction' : 'Add Transaction'}
+              </h2>
+              <button onClick={closeForm} className="text-gray-300 hover:text-white">
                 Close
               </button>
             </div>
@@ -573,6 +712,15 @@ export default function EnhancedFinanceManager() {
                   <option value="debit">Debit Account</option>
                   <option value="credit">Credit Card</option>
                 </select>
+                <select
+                  value={editingItem?.currency || DEFAULT_CURRENCY}
+                  onChange={(e) => setEditingItem(prev => ({ ...prev, currency: e.target.value }))}
+                  className="w-full p-2 rounded bg-gray-800 border border-gray-600 text-white"
+                >
+                  {[...new Set([...COMMON_CURRENCIES, baseCurrency, editingItem?.currency || DEFAULT_CURRENCY])].map(code => (
+                    <option key={code} value={code}>{code}</option>
+                  ))}
+                </select>
                 {editingItem && editingItem.accountType === 'credit' && (
                   <>
                     <input
@@ -589,6 +737,86 @@ export default function EnhancedFinanceManager() {
                       onChange={(e) => setEditingItem(prev => ({ ...prev, apr: e.target.value }))}
                       className="w-full p-2 rounded bg-gray-800 border border-gray-600 text-white"
                     />
+                    {/* Issuer terms; blanks fall back to 2% / $25 monthly */}
+                    <div className="grid grid-cols-2 gap-2 text-sm">
+                      <label>
+                        Minimum %
+                        <input
+                          type="number"
+                          value={editingItem.minPaymentPercent ?? DEFAULT_CREDIT_TERMS.minPaymentPercent}
+                          onChange={(e) => setEditingItem(prev => ({ ...prev, minPaymentPercent: e.target.value }))}
+                          className="w-full p-2 rounded bg-gray-800 border border-gray-600 text-white"
+                        />
+                      </label>
+                      <label>
+                        Minimum floor $
+                        <input
+                          type="number"
+                          value={editingItem.minPaymentFloor ?? DEFAULT_CREDIT_TERMS.minPaymentFloor}
+                          onChange={(e) => setEditingItem(prev => ({ ...prev, minPaymentFloor: e.target.value }))}
+                          className="w-full p-2 rounded bg-gray-800 border border-gray-600 text-white"
+                        />
+                      </label>
+                      <label className="col-span-2 flex items-center gap-2">
+                        <input
+                          type="checkbox"
+                          checked={!!editingItem.minPaymentIncludesInterest}
+                          onChange={(e) => setEditingItem(prev => ({ ...prev, minPaymentIncludesInterest: e.target.checked }))}
+                        />
+                        Minimum also includes the month's interest
+                      </label>
+                      <label className="col-span-2">
+                        Interest accrual
+                        <select
+                          value={editingItem.interestMethod || DEFAULT_CREDIT_TERMS.interestMethod}
+                          onChange={(e) => setEditingItem(prev => ({ ...prev, interestMethod: e.target.value }))}
+                          className="w-full p-2 rounded bg-gray-800 border border-gray-600 text-white"
+                        >
+                          <option value="monthly">Monthly (APR / 12)</option>
+                          <option value="daily">Daily balance (APR / 365)</option>
+                        </select>
+                      </label>
+                      <label>
+                        Promo APR %
+                        <input
+                          type="number"
+                          value={editingItem.promoApr || ''}
+                          onChange={(e) => setEditingItem(prev => ({ ...prev, promoApr: e.target.value }))}
+                          className="w-full p-2 rounded bg-gray-800 border border-gray-600 text-white"
+                        />
+                      </label>
+                      <label>
+                        Promo ends
+                        <input
+                          type="date"
+                          value={editingItem.promoEndDate ? editingItem.promoEndDate.slice(0, 10) : ''}
+                          onChange={(e) => setEditingItem(prev => ({ ...prev, promoEndDate: e.target.value || null }))}
+                          className="w-full p-2 rounded bg-gray-800 border border-gray-600 text-white"
+                        />
+                      </label>
+                      <label>
+                        Statement day
+                        <input
+                          type="number"
+                          min="1"
+                          max="31"
+                          value={editingItem.statementDay || ''}
+                          onChange={(e) => setEditingItem(prev => ({ ...prev, statementDay: e.target.value }))}
+                          className="w-full p-2 rounded bg-gray-800 border border-gray-600 text-white"
+                        />
+                      </label>
+                      <label>
+                        Due day
+                        <input
+                          type="number"
+                          min="1"
+                          max="31"
+                          value={editingItem.dueDay || ''}
+                          onChange={(e) => setEditingItem(prev => ({ ...prev, dueDay: e.target.value }))}
+                          className="w-full p-2 rounded bg-gray-800 border border-gray-600 text-white"
+                        />
+                      </label>
+                    </div>
                   </>
                 )}
                 <button onClick={handleSaveAccount} className="w-full py-2 rounded bg-blue-600 hover:bg-blue-700 text-white">
@@ -602,11 +830,23 @@ export default function EnhancedFinanceManager() {
                   onChange={(e) => setEditingItem(prev => ({ ...prev, accountId: e.target.value }))}
                   className="w-full p-2 rounded bg-gray-800 border border-gray-600 text-white"
                 >
-                  <option value="">Select Account</option>
+                  <option value="">{editingItem?.type === 'transfer' ? 'From Account' : 'Select Account'}</option>
                   {accounts.map(a => (
                     <option key={a.id} value={a.id}>{a.name}</option>
                   ))}
                 </select>
+                {editingItem?.type === 'transfer' && (
+                  <select
+                    value={editingItem.toAccountId || ''}
+                    onChange={(e) => setEditingItem(prev => ({ ...prev, toAccountId: e.target.value }))}
+                    className="w-full p-2 rounded bg-gray-800 border border-gray-600 text-white"
+                  >
+                    <option value="">To Account</option>
+                    {accounts.filter(a => a.id !== editingItem.accountId).map(a => (
+                      <option key={a.id} value={a.id}>{a.name}</option>
+                    ))}
+                  </select>
+                )}
                 <input
                   type="number"
                   step="0.01"
@@ -622,16 +862,23 @@ export default function EnhancedFinanceManager() {
                 >
                   <option value="debit">Debit</option>
                   <option value="credit">Credit</option>
+                  <option value="transfer">Transfer</option>
                 </select>
-                <select
-                  value={editingItem ? editingItem.category : 'Other'}
-                  onChange={(e) => setEditingItem(prev => ({ ...prev, category: e.target.value }))}
-                  className="w-full p-2 rounded bg-gray-800 border border-gray-600 text-white"
-                >
-                  {categories.map(category => (
-                    <option key={category} value={category}>{category}</option>
-                  ))}
-                </select>
+                {editingItem?.type !== 'transfer' && (
+                  <select
+                    value={editingItem ? editingItem.category : 'Other'}
+                    onChange={(e) => setEditingItem(prev => ({ ...prev, category: e.target.value }))}
+                    className="w-full p-2 rounded bg-gray-800 border border-gray-600 text-white"
+                  >
+                    {categoryTree(categories).map(category => (
+                      <option key={category.id} value={category.name}>{category.label}</option>
+                    ))}
+                    {/* Keep an archived or removed category selectable on existing transactions */}
+                    {editingItem?.category && !activeCategoryNames(categories).includes(editingItem.category) && (
+                      <option value={editingItem.category}>{editingItem.category}</option>
+                    )}
+                  </select>
+                )}
                 <input
                   type="text"
                   placeholder="Details (optional)"
@@ -639,8 +886,22 @@ export default function EnhancedFinanceManager() {
                   onChange={(e) => setEditingItem(prev => ({ ...prev, details: e.target.value }))}
                   className="w-full p-2 rounded bg-gray-800 border border-gray-600 text-white"
                 />
+                {editingItem?.history?.length > 0 && (
+                  <div className="text-xs text-gray-300">
+                    <p className="font-bold mb-1">Edit history</p>
+                    <ul className="space-y-1 max-h-24 overflow-y-auto">
+                      {[...editingItem.history].reverse().map((entry, idx) => (
+                        <li key={idx}>
+                          {new Date(entry.editedAt).toLocaleString()}:{' '}
+                          {Object.entries(entry.previous).map(([field, value]) => `${field} was "${value}"`).join(', ')}
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+                {formError && <p className="text-sm text-red-400">{formError}</p>}
                 <button onClick={handleSaveTransaction} className="w-full py-2 rounded bg-red-600 hover:bg-red-700 text-white">
-                  Save Transaction
+                  {editingItem?.id ? 'Update Transaction' : 'Save Transaction'}
                 </button>
               </div>
             )}
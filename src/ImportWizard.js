@@ -0,0 +1,212 @@
+// src/ImportWizard.js
+import React, { useState } from 'react';
+import { useFinanceStore } from './financeStore';
+import {
+  IMPORT_FIELDS,
+  parseStatement,
+  suggestMapping,
+  applyMapping,
+  findDuplicates,
+} from './statementImport';
+import { applyCategoryRules } from './categories';
+import { useCurrency } from './currency';
+
+const inputClass = "w-full p-2 rounded bg-gray-800 border border-gray-600 text-white";
+
+export default function ImportWizard({ onClose }) {
+  const { accounts, transactions, categoryRules, setTransactions } = useFinanceStore();
+  const { formatForAccount } = useCurrency();
+
+  const [step, setStep] = useState('upload'); // "upload" | "map" | "preview" | "done"
+  const [fileName, setFileName] = useState('');
+  const [statement, setStatement] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [defaultAccountId, setDefaultAccountId] = useState(accounts[0]?.id || '');
+  const [preview, setPreview] = useState([]);
+  const [error, setError] = useState('');
+  const [importedCount, setImportedCount] = useState(0);
+
+  const handleFile = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      const parsed = parseStatement(file.name, String(reader.result));
+      if (parsed.rows.length === 0) {
+        setError('No transactions were found in this file.');
+        return;
+      }
+      setError('');
+      setFileName(file.name);
+      setStatement(parsed);
+      setMapping(suggestMapping(parsed.headers));
+      setStep('map');
+    };
+    reader.onerror = () => setError('Could not read the file.');
+    reader.readAsText(file);
+  };
+
+  const buildPreview = () => {
+    if (!mapping.amount || !mapping.date) {
+      setError('Map at least the amount and date columns.');
+      return;
+    }
+    if (!mapping.accountId && !defaultAccountId) {
+      setError('Choose an account or map an account column.');
+      return;
+    }
+    const mapped = applyMapping(statement.rows, mapping, { accounts, defaultAccountId })
+      .map(row => (row.error ? row : { ...row, transaction: applyCategoryRules(row.transaction, categoryRules) }));
+    const valid = mapped.filter(row => !row.error);
+    const duplicates = findDuplicates(valid.map(row => row.transaction), transactions);
+    let validIndex = 0;
+    setPreview(mapped.map(row => {
+      if (row.error) return { ...row, duplicate: false, include: false };
+      const duplicate = duplicates[validIndex++];
+      return { ...row, duplicate, include: !duplicate };
+    }));
+    setError('');
+    setStep('preview');
+  };
+
+  const toggleRow = (idx) => {
+    setPreview(prev => prev.map((row, i) => (i === idx && !row.error ? { ...row, include: !row.include } : row)));
+  };
+
+  const handleCommit = () => {
+    const selected = preview.filter(row => row.include).map(row => row.transaction);
+    setTransactions(prev => [...prev, ...selected]);
+    setImportedCount(selected.length);
+    setStep('done');
+  };
+
+  const accountName = (id) => accounts.find(a => a.id === id)?.name || 'N/A';
+  const includedCount = preview.filter(row => row.include).length;
+  const duplicateCount = preview.filter(row => row.duplicate).length;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-80 flex justify-center items-center p-4 z-50">
+      <div className="bg-gray-800 rounded-lg p-6 w-full max-w-3xl border border-gray-600 text-white">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-2xl font-bold">Import Transactions</h2>
+          <button onClick={onClose} className="text-gray-300 hover:text-white">
+            Close
+          </button>
+        </div>
+
+        {error && <p className="mb-4 text-sm text-red-400">{error}</p>}
+
+        {step === 'upload' && (
+          <div className="space-y-4">
+            <p className="text-sm text-gray-300">Choose a CSV, OFX or QIF statement exported from your bank.</p>
+            <input type="file" accept=".csv,.ofx,.qfx,.qif,text/csv" onChange={handleFile} className={inputClass} />
+          </div>
+        )}
+
+        {step === 'map' && statement && (
+          <div className="space-y-4">
+            <p className="text-sm text-gray-300">
+              {fileName} ({statement.format.toUpperCase()}, {statement.rows.length} rows). Match each field to a column.
+            </p>
+            <div className="grid grid-cols-2 gap-2 items-center">
+              {IMPORT_FIELDS.map(field => (
+                <React.Fragment key={field}>
+                  <label className="text-sm">{field}</label>
+                  <select
+                    value={mapping[field] || ''}
+                    onChange={(e) => setMapping(prev => ({ ...prev, [field]: e.target.value }))}
+                    className={inputClass}
+                  >
+                    <option value="">{field === 'accountId' ? '(use account below)' : '(not mapped)'}</option>
+                    {statement.headers.map(header => (
+                      <option key={header} value={header}>{header}</option>
+                    ))}
+                  </select>
+                </React.Fragment>
+              ))}
+            </div>
+            {!mapping.accountId && (
+              <select value={defaultAccountId} onChange={(e) => setDefaultAccountId(e.target.value)} className={inputClass}>
+                <option value="">Select Account</option>
+                {accounts.map(a => (
+                  <option key={a.id} value={a.id}>{a.name}</option>
+                ))}
+              </select>
+            )}
+            <div className="flex gap-4">
+              <button onClick={() => setStep('upload')} className="flex-1 py-2 rounded bg-gray-600 hover:bg-gray-700 text-white">
+                Back
+              </button>
+              <button onClick={buildPreview} className="flex-1 py-2 rounded bg-blue-600 hover:bg-blue-700 text-white">
+                Preview
+              </button>
+            </div>
+          </div>
+        )}
+
+        {step === 'preview' && (
+          <div className="space-y-4">
+            <p className="text-sm text-gray-300">
+              {includedCount} of {preview.length} rows selected. {duplicateCount} possible duplicate{duplicateCount === 1 ? '' : 's'} unchecked.
+            </p>
+            <div className="max-h-80 overflow-y-auto">
+              <table className="table-fixed w-full text-sm">
+                <thead>
+                  <tr className="border-b border-gray-600">
+                    <th className="w-1/12 py-1"></th>
+                    <th className="w-2/12 py-1 text-left">Date</th>
+                    <th className="w-2/12 py-1 text-left">Account</th>
+                    <th className="w-4/12 py-1 text-left">Category/Details</th>
+                    <th className="w-2/12 py-1 text-right">Amount</th>
+                    <th className="w-1/12 py-1"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {preview.map(({ transaction, error: rowError, duplicate, include }, idx) => (
+                    <tr key={idx} className={`border-b border-gray-700 ${rowError ? 'opacity-50' : ''}`}>
+                      <td className="py-1 text-center">
+                        <input type="checkbox" checked={include} disabled={!!rowError} onChange={() => toggleRow(idx)} />
+                      </td>
+                      <td className="py-1">{transaction.date ? new Date(transaction.date).toLocaleDateString() : '—'}</td>
+                      <td className="py-1">{accountName(transaction.accountId)}</td>
+                      <td className="py-1 truncate">{transaction.details || transaction.category}</td>
+                      <td className="py-1 text-right">
+                        <span className={transaction.type === 'credit' ? 'text-green-400' : 'text-red-400'}>
+                          {transaction.type === 'credit' ? '+' : '-'}{Number.isFinite(transaction.amount) ? formatForAccount(transaction.amount, transaction.accountId) : '?'}
+                        </span>
+                      </td>
+                      <td className="py-1 text-xs text-center">
+                        {rowError ? <span className="text-red-400">{rowError}</span> : duplicate ? <span className="text-yellow-400">Dup</span> : null}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <div className="flex gap-4">
+              <button onClick={() => setStep('map')} className="flex-1 py-2 rounded bg-gray-600 hover:bg-gray-700 text-white">
+                Back
+              </button>
+              <button
+                onClick={handleCommit}
+                disabled={includedCount === 0}
+                className="flex-1 py-2 rounded bg-red-600 hover:bg-red-700 text-white disabled:opacity-50"
+              >
+                Import {includedCount} Transaction{includedCount === 1 ? '' : 's'}
+              </button>
+            </div>
+          </div>
+        )}
+
+        {step === 'done' && (
+          <div className="space-y-4">
+            <p className="text-sm text-green-400">Imported {importedCount} transaction{importedCount === 1 ? '' : 's'}.</p>
+            <button onClick={onClose} className="w-full py-2 rounded bg-blue-600 hover:bg-blue-700 text-white">
+              Close
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
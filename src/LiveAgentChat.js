@@ -1,15 +1,40 @@
 // src/LiveAgentChat.js
-import React, { useState, useRef, useEffect } from 'react';
+import React, { useState, useRef, useEffect, useMemo } from 'react';
 import {
   Send,
   Maximize2,
   Minimize2,
   MessageSquare,
   ChevronRight,
+  Square,
 } from 'lucide-react';
+import financeStore, {
+  useFinanceStore,
+  accountBalance,
+  isLiability,
+  calculateNetWorth,
+  calculateCreditUtilization,
+  calculateStatementBalance,
+} from './financeStore';
+import {
+  findAccounts,
+  parseIntent,
+  isMutatingIntent,
+  isConfirmation,
+  isCancellation,
+  summarizeSpending,
+  latestTransaction,
+} from './chatIntents';
+import { createProviders, getProviderConfig, isAbortError } from './llmProviders';
+import { useConfig } from './config';
+import { useAuth } from './AuthProvider';
+import { findBudgetCrossing, describeBudgetAlert } from './budgets';
+import { activeCategoryNames, applyCategoryRules } from './categories';
+import { isTransfer, saveTransfer, removeTransaction, validateTransfer } from './transfers';
+import { currencyHelpers, useCurrency } from './currency';
+import { validateTransaction } from './financeSchema';
 
 const theme = {
-  primary: '#0095F6',
   secondary: '#262626',
   background: '#FFFFFF',
   border: '#DBDBDB',
@@ -25,61 +50,53 @@ const theme = {
 const SUGGESTIONS = [
   "balance info",
   "add account:",
-  "add transaction:"
+  "add transaction:",
+  "how much did I spend this month",
+  "pay my card"
 ];
 
-const ACCOUNTS_KEY = "myapp_finance_accounts";
-const TRANSACTIONS_KEY = "myapp_finance_transactions";
-
-if (!localStorage.getItem(ACCOUNTS_KEY)) {
-  localStorage.setItem(ACCOUNTS_KEY, JSON.stringify([]));
-}
-if (!localStorage.getItem(TRANSACTIONS_KEY)) {
-  localStorage.setItem(TRANSACTIONS_KEY, JSON.stringify([]));
-}
+const SYSTEM_PROMPT =
+  'You are the assistant inside TrackBalances, a personal finance app. ' +
+  'Answer briefly. For account or transaction changes, point the user to the ' +
+  '"add account:" and "add transaction:" commands.';
 
-const getChatResponse = async (userMessage, model) => {
-  await new Promise(resolve => setTimeout(resolve, 1000));
-  return `${model} response: ${userMessage}`;
-};
+// Turn chat messages into provider history, skipping widgets and errors
+const toProviderMessages = (messages) =>
+  messages
+    .filter(m => m.text && !m.component && !m.error)
+    .map(m => ({ role: m.sender === 'user' ? 'user' : 'assistant', content: m.text }));
 
-const loadData = () => {
-  const storedAccounts = localStorage.getItem(ACCOUNTS_KEY);
-  const storedTransactions = localStorage.getItem(TRANSACTIONS_KEY);
-  const accounts = storedAccounts ? JSON.parse(storedAccounts) : [];
-  const transactions = storedTransactions ? JSON.parse(storedTransactions) : [];
-  return { accounts, transactions };
+// Totals in the base currency, plus the formatter to show them with
+const businessMetrics = (state) => {
+  const { accounts, transactions } = state;
+  const { format, accountToBase } = currencyHelpers(state);
+  const toBase = (amount, account, date) => accountToBase(account, amount, date);
+  return {
+    netWorth: calculateNetWorth(accounts, transactions, new Date(), toBase),
+    creditUsed: calculateCreditUtilization(accounts, transactions, new Date(), toBase),
+    format,
+  };
 };
 
-const saveData = (accounts, transactions) => {
-  localStorage.setItem(ACCOUNTS_KEY, JSON.stringify(accounts));
-  localStorage.setItem(TRANSACTIONS_KEY, JSON.stringify(transactions));
-};
+const getBusinessMetrics = () => businessMetrics(financeStore.getSnapshot());
 
-const calculateBalance = (account, transactions, date = new Date()) => {
-  const relevant = transactions.filter(
-    t => t.accountId === account.id && new Date(t.date) <= date
-  );
-  return relevant.reduce(
-    (sum, t) => sum + (t.type === 'credit' ? Number(t.amount) : -Number(t.amount)),
-    0
-  );
-};
+const describeMetrics = ({ netWorth, creditUsed, format }) =>
+  `Net Worth: ${format(netWorth)}\nCredit Used: ${creditUsed.toFixed(1)}%`;
 
-const getBusinessMetrics = () => {
-  const { accounts, transactions } = loadData();
-  const totalBalance = accounts.reduce(
-    (sum, account) => sum + calculateBalance(account, transactions),
-    0
+// Save a transaction and describe the result, including any budget it pushed over
+const saveTransactionAndReport = (entered) => {
+  const { budgets, categories, categoryRules, transactions: before } = financeStore.getSnapshot();
+  const transaction = applyCategoryRules(entered, categoryRules);
+  financeStore.saveTransaction(transaction);
+  const { transactions: after } = financeStore.getSnapshot();
+  const metrics = getBusinessMetrics();
+  // Budgets are in the base currency, as in BudgetPanel
+  const { toBaseTransactions } = currencyHelpers(financeStore.getSnapshot());
+  const crossing = findBudgetCrossing(
+    budgets, toBaseTransactions(before), toBaseTransactions(after), transaction, categories
   );
-  const creditAccounts = accounts.filter(a => a.accountType === 'credit');
-  const totalLimit = creditAccounts.reduce((sum, a) => sum + Number(a.limit || 0), 0);
-  const totalUsed = creditAccounts.reduce(
-    (sum, account) => sum + Math.max(0, calculateBalance(account, transactions)),
-    0
-  );
-  const creditUsed = totalLimit ? (totalUsed / totalLimit) * 100 : 0;
-  return { totalBalance, creditUsed };
+  return `Transaction added.\n${describeMetrics(metrics)}` +
+    (crossing ? `\n${describeBudgetAlert(crossing, metrics.format)}` : '');
 };
 
 const parseKeyValuePairs = (text) => {
@@ -95,12 +112,12 @@ const parseKeyValuePairs = (text) => {
 };
 
 const BusinessCards = () => {
-  const { totalBalance, creditUsed } = getBusinessMetrics();
+  const { netWorth, creditUsed, format } = businessMetrics(useFinanceStore());
   return (
     <div className="flex gap-4 p-4">
       <div className="flex-1 p-4 bg-white rounded shadow border" style={{ borderColor: theme.border }}>
-        <p className="text-sm text-gray-700">Total Balance</p>
-        <p className="text-xl font-bold">${totalBalance.toFixed(2)}</p>
+        <p className="text-sm text-gray-700">Net Worth</p>
+        <p className="text-xl font-bold">{format(netWorth)}</p>
       </div>
       <div className="flex-1 p-4 bg-white rounded shadow border" style={{ borderColor: theme.border }}>
         <p className="text-sm text-gray-700">Credit Used</p>
@@ -123,7 +140,6 @@ const AddAccountWidget = ({ onClose }) => {
       alert('Please provide at least a name and account type.');
       return;
     }
-    const { accounts, transactions } = loadData();
     const newAccount = {
       id: Date.now().toString(),
       name,
@@ -131,9 +147,7 @@ const AddAccountWidget = ({ onClose }) => {
       limit: accountType === 'credit' ? Number(limit) || 0 : 0,
       apr: accountType === 'credit' ? Number(apr) || 0 : 0,
     };
-    const updatedAccounts = [...accounts, newAccount];
-    saveData(updatedAccounts, transactions);
-    window.dispatchEvent(new CustomEvent('financeDataUpdated'));
+    financeStore.setAccounts(prev => [...prev, newAccount]);
     setSubmitted(true);
   };
 
@@ -205,9 +219,50 @@ const AddAccountWidget = ({ onClose }) => {
   );
 };
 
+// Inline account picker for transactions whose account was missing or ambiguous.
+// Picking an account hands the transaction to `onPick` for confirmation.
+const AccountPickerWidget = ({ prompt, transaction, candidateIds, onPick, onClose }) => {
+  const { accounts } = useFinanceStore();
+  const { format } = useCurrency();
+  const [error, setError] = useState(null);
+  const candidates = accounts.filter(a => candidateIds.includes(a.id));
+
+  const handlePick = (accountId) => {
+    // Re-check against the live store in case the account was deleted meanwhile
+    if (!financeStore.getSnapshot().accounts.some(a => a.id === accountId)) {
+      setError('That account no longer exists.');
+      return;
+    }
+    onPick({ ...transaction, accountId });
+  };
+
+  return (
+    <div className="p-4">
+      <p className="text-sm text-gray-700 mb-2">{prompt}</p>
+      {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+      <p className="text-xs text-gray-500 mb-2">
+        {transaction.type} of {format(transaction.amount)} ({transaction.category})
+      </p>
+      <div className="flex flex-wrap gap-2">
+        {candidates.map(account => (
+          <button
+            key={account.id}
+            onClick={() => handlePick(account.id)}
+            className="px-3 py-1 bg-gray-200 text-gray-700 rounded text-sm hover:bg-gray-300"
+          >
+            {account.name}
+          </button>
+        ))}
+        <button onClick={onClose} className="px-3 py-1 text-gray-500 rounded text-sm hover:underline">
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+};
+
 const handleCommand = (trimmed) => {
   const lower = trimmed.toLowerCase();
-  const { accounts, transactions } = loadData();
 
   if (lower === 'balance info') {
     return { component: 'BusinessCards' };
@@ -217,36 +272,181 @@ const handleCommand = (trimmed) => {
   }
   if (lower.startsWith('add transaction:')) {
     const params = parseKeyValuePairs(trimmed.substring(16));
-    if (!params.accountid || !params.amount) {
-      return { text: 'Error: Please provide at least "accountId" and "amount" for transaction.' };
+    const accountQuery = params.account || params.accountid;
+    if (!accountQuery || !params.amount) {
+      return { text: 'Error: Please provide at least "account" (name or accountId) and "amount" for transaction.' };
+    }
+    if (!Number.isFinite(Number(params.amount))) {
+      return { text: `Error: "${params.amount}" is not a valid amount.` };
+    }
+    const { accounts } = financeStore.getSnapshot();
+    if (!accounts.length) {
+      return { text: 'Error: You have no accounts yet. Use "add account:" first.' };
     }
     const newTransaction = {
       id: Date.now().toString(),
-      accountId: params.accountid,
+      accountId: '',
       amount: Number(params.amount),
       type: params.type || 'debit',
       category: params.category || 'Other',
       date: new Date().toISOString(),
       details: params.details || '',
     };
-    const updatedTransactions = [...transactions, newTransaction];
-    saveData(accounts, updatedTransactions);
-    window.dispatchEvent(new CustomEvent('financeDataUpdated'));
-    const metrics = getBusinessMetrics();
+    const matches = findAccounts(accountQuery, accounts);
+    const candidates = matches.length ? matches : accounts;
+    // Check the type, amount and date before asking which account it was;
+    // any candidate will do for the check
+    const problem = validateTransaction({ ...newTransaction, accountId: candidates[0].id });
+    if (problem) {
+      return { text: `Error: ${problem}.` };
+    }
+    if (matches.length !== 1) {
+      return {
+        component: 'AccountPicker',
+        transaction: newTransaction,
+        candidateIds: candidates.map(a => a.id),
+        text: matches.length
+          ? `Several accounts match "${accountQuery}". Which one did you mean?`
+          : `No account matches "${accountQuery}". Pick one:`,
+      };
+    }
+    // Like a typed request, a command waits for a yes before anything is saved
+    return proposeTransaction({ ...newTransaction, accountId: matches[0].id });
+  }
+  return null;
+};
+
+const describeTransaction = (transaction, accounts, money) => {
+  const account = accounts.find(a => a.id === transaction.accountId);
+  return `${transaction.type} of ${money.formatForAccount(transaction.amount, transaction.accountId)} (${transaction.category}` +
+    `${transaction.details ? `, ${transaction.details}` : ''}) on ${account ? account.name : 'unknown account'}` +
+    ` dated ${new Date(transaction.date).toLocaleDateString()}`;
+};
+
+// Ask before saving a transaction entered in the chat
+const proposeTransaction = (transaction) => {
+  const state = financeStore.getSnapshot();
+  return {
+    pending: { intent: 'addTransaction', transaction },
+    text: `Add a ${describeTransaction(transaction, state.accounts, currencyHelpers(state))}? Reply "yes" to confirm or "no" to cancel.`,
+  };
+};
+
+// Answer a parsed intent. Mutating intents come back as `pending` so the
+// chat can ask for confirmation before anything is saved.
+const handleIntent = (intent) => {
+  const state = financeStore.getSnapshot();
+  const { accounts, transactions, categories, categoryRules } = state;
+  const money = currencyHelpers(state);
+  if (intent.intent === 'addTransaction') {
+    const transaction = applyCategoryRules(intent.transaction, categoryRules);
+    if (intent.missing.includes('account')) {
+      if (!accounts.length) return { text: 'You have no accounts yet. Use "add account:" first.' };
+      const candidateIds = intent.accountCandidates.length ? intent.accountCandidates : accounts.map(a => a.id);
+      return {
+        component: 'AccountPicker',
+        transaction: { id: Date.now().toString(), ...transaction },
+        candidateIds,
+        text: intent.accountCandidates.length > 1 ? 'Several accounts match. Which one did you mean?' : 'Which account was this?',
+      };
+    }
+    return proposeTransaction(transaction);
+  }
+  if (intent.intent === 'deleteLastTransaction') {
+    const last = latestTransaction(transactions);
+    if (!last) return { text: 'There are no transactions to delete.' };
     return {
-      text: `Transaction added.\nTotal Balance: $${metrics.totalBalance.toFixed(2)}\nCredit Used: ${metrics.creditUsed.toFixed(1)}%`
+      pending: { ...intent, transactionId: last.id },
+      text: `Delete the ${describeTransaction(last, accounts, money)}? Reply "yes" to confirm or "no" to cancel.`,
     };
   }
+  if (intent.intent === 'payCard') {
+    const names = (ids) => ids.map(id => accounts.find(a => a.id === id)?.name).filter(Boolean).join(', ');
+    if (intent.missing.includes('card')) {
+      if (!intent.cardCandidates.length) return { text: 'You have no credit cards to pay.' };
+      return { text: `Which card should I pay? ${names(intent.cardCandidates)}` };
+    }
+    if (intent.missing.includes('account')) {
+      if (!intent.accountCandidates.length) return { text: 'Add a checking or savings account to pay the card from.' };
+      return { text: `Which account should the payment come from? ${names(intent.accountCandidates)} (e.g. "pay my card from ${names(intent.accountCandidates.slice(0, 1))}")` };
+    }
+    const card = accounts.find(a => a.id === intent.transfer.toAccountId);
+    const from = accounts.find(a => a.id === intent.transfer.fromAccountId);
+    // Without an amount, pay the statement balance (or the current balance)
+    const owed = Math.max(calculateStatementBalance(card, transactions), 0) || accountBalance(card, transactions);
+    const amount = intent.transfer.amount ?? owed;
+    if (!(amount > 0)) return { text: `${card.name} has no balance to pay.` };
+    const transfer = { ...intent.transfer, amount, details: `Payment to ${card.name}` };
+    const problem = validateTransfer(transfer, accounts, state.exchangeRates);
+    if (problem) return { text: problem };
+    return {
+      pending: { ...intent, transfer },
+      text: `Pay ${money.formatForAccount(amount, from.id)} to ${card.name} from ${from.name}? Reply "yes" to confirm or "no" to cancel.`,
+    };
+  }
+  if (intent.intent === 'spendingQuery') {
+    const { total, count } = summarizeSpending(intent, money.toBaseTransactions(transactions), categories);
+    const account = accounts.find(a => a.id === intent.accountId);
+    return {
+      text: `You spent ${money.format(total)}${intent.category ? ` on ${intent.category}` : ''}` +
+        `${account ? ` from ${account.name}` : ''} ${intent.range.label} (${count} transaction${count === 1 ? '' : 's'}).`,
+    };
+  }
+  if (intent.intent === 'balanceQuery') {
+    const account = accounts.find(a => a.id === intent.accountId);
+    if (!account) return { component: 'BusinessCards' };
+    const balance = money.formatForAccount(accountBalance(account, transactions), account.id);
+    return { text: isLiability(account) ? `${account.name}: ${balance} owed` : `${account.name} balance: ${balance}` };
+  }
+  return null;
+};
+
+// Carry out a confirmed mutating intent
+const executeIntent = (intent) => {
+  if (intent.intent === 'addTransaction') {
+    return saveTransactionAndReport({ id: Date.now().toString(), ...intent.transaction });
+  }
+  if (intent.intent === 'deleteLastTransaction') {
+    const target = financeStore.getSnapshot().transactions.find(t => t.id === intent.transactionId);
+    financeStore.setTransactions(prev => removeTransaction(prev, intent.transactionId));
+    return isTransfer(target) ? 'Transfer deleted from both accounts.' : 'Transaction deleted.';
+  }
+  if (intent.intent === 'payCard') {
+    const { accounts, exchangeRates } = financeStore.getSnapshot();
+    financeStore.setTransactions(prev => saveTransfer(prev, intent.transfer, accounts, exchangeRates));
+    const metrics = getBusinessMetrics();
+    return `Payment recorded.\n${describeMetrics(metrics)}`;
+  }
   return null;
 };
 
-export default function LiveAgentChat({ websiteName = 'Live Chat' }) {
+export default function LiveAgentChat() {
+  // Title, brand color and chat providers come from the runtime config
+  const config = useConfig();
+  const websiteName = config.chatTitle;
+  const brandColor = config.chatBrandColor;
   const [windowState, setWindowState] = useState('bottom'); // 'bottom' | 'expanded' | 'side'
   const [messages, setMessages] = useState([]);
   const [inputValue, setInputValue] = useState('');
   const [selectedModel, setSelectedModel] = useState('OpenAI');
   const [lastActivity, setLastActivity] = useState(Date.now());
+  const [isStreaming, setIsStreaming] = useState(false);
+  const [pendingAction, setPendingAction] = useState(null);
   const messagesEndRef = useRef(null);
+  const abortRef = useRef(null);
+  // The chat proxy wants the user's access token; the ref keeps providers stable
+  const { getAccessToken } = useAuth();
+  const tokenRef = useRef(getAccessToken);
+  useEffect(() => {
+    tokenRef.current = getAccessToken;
+  }, [getAccessToken]);
+  const providers = useMemo(
+    () => createProviders(getProviderConfig(config, () => tokenRef.current())),
+    [config]
+  );
+
+  // Cancel any in-flight response when the chat unmounts
+  useEffect(() => () => abortRef.current?.abort(), []);
 
   useEffect(() => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
@@ -292,6 +492,16 @@ export default function LiveAgentChat({ websiteName = 'Live Chat' }) {
     return null;
   };
 
+  // Show a command or intent result; mutating ones wait for a yes or no
+  const respond = ({ pending, ...message }) => {
+    const reply = { ...message, sender: 'agent', timestamp: new Date() };
+    if (pending && isMutatingIntent(pending)) {
+      reply.confirmId = `confirm-${Date.now()}`;
+      setPendingAction({ ...pending, confirmId: reply.confirmId });
+    }
+    setMessages(prev => [...prev, reply]);
+  };
+
   const handleSend = async () => {
     const trimmed = inputValue.trim();
     if (!trimmed) return;
@@ -299,23 +509,69 @@ export default function LiveAgentChat({ websiteName = 'Live Chat' }) {
     const userMsg = { text: trimmed, sender: 'user', timestamp: new Date() };
     setMessages(prev => [...prev, userMsg]);
     setInputValue('');
+    if (pendingAction && (isConfirmation(trimmed) || isCancellation(trimmed))) {
+      resolvePendingAction(isConfirmation(trimmed));
+      return;
+    }
+    setPendingAction(null);
     const commandResult = handleCommand(trimmed);
     if (commandResult !== null) {
-      const agentMsg = { ...commandResult, sender: 'agent', timestamp: new Date() };
-      setMessages(prev => [...prev, agentMsg]);
+      respond(commandResult);
+      return;
+    }
+    const { accounts, categories } = financeStore.getSnapshot();
+    const intent = parseIntent(trimmed, { accounts, categories: activeCategoryNames(categories) });
+    const intentResult = intent && handleIntent(intent);
+    if (intentResult) {
+      respond(intentResult);
       return;
     }
-    const response = await getChatResponse(trimmed, selectedModel);
-    const agentMsg = { text: response, sender: 'agent', timestamp: new Date() };
-    setMessages(prev => [...prev, agentMsg]);
+    const agentId = `agent-${Date.now()}`;
+    const updateAgentMessage = (changes) =>
+      setMessages(prev => prev.map(m => (m.id === agentId ? { ...m, ...changes(m) } : m)));
+    setMessages(prev => [...prev, { id: agentId, text: '', sender: 'agent', timestamp: new Date(), streaming: true }]);
+
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setIsStreaming(true);
+    try {
+      await providers[selectedModel].streamChat({
+        messages: [...toProviderMessages(messages), { role: 'user', content: trimmed }],
+        system: SYSTEM_PROMPT,
+        signal: controller.signal,
+        onToken: (token, text) => updateAgentMessage(() => ({ text })),
+      });
+      updateAgentMessage(() => ({ streaming: false }));
+    } catch (error) {
+      if (isAbortError(error)) {
+        updateAgentMessage(m => ({ streaming: false, text: m.text || 'Response cancelled.' }));
+      } else {
+        updateAgentMessage(() => ({ streaming: false, error: true, text: `${selectedModel} error: ${error.message}` }));
+      }
+    } finally {
+      abortRef.current = null;
+      setIsStreaming(false);
+    }
+  };
+
+  const handleStop = () => abortRef.current?.abort();
+
+  // Run or drop the action waiting for confirmation
+  const resolvePendingAction = (confirmed) => {
+    if (!pendingAction) return;
+    const text = confirmed ? executeIntent(pendingAction) : 'Okay, cancelled.';
+    setPendingAction(null);
+    setMessages(prev => [...prev, { text, sender: 'agent', timestamp: new Date() }]);
   };
 
   const renderMessage = (msg, idx) => {
-    if (msg.text && msg.text.includes("<iframe")) {
+    // Markup such as an embedded iframe, only for messages hard-coded in this
+    // file that set `trustedHtml`. User, agent and model text is always plain.
+    if (msg.trustedHtml) {
       return (
         <div key={idx} className="mb-3">
           <div className="p-3 rounded-lg" style={{ backgroundColor: theme.messageBackground, color: theme.text }}>
-            <div dangerouslySetInnerHTML={{ __html: msg.text }} />
+            <div dangerouslySetInnerHTML={{ __html: msg.trustedHtml }} />
           </div>
         </div>
       );
@@ -326,15 +582,43 @@ export default function LiveAgentChat({ websiteName = 'Live Chat' }) {
     if (msg.component === 'AddAccountWidget') {
       return <AddAccountWidget key={idx} onClose={() => setMessages(prev => prev.filter(m => m !== msg))} />;
     }
+    if (msg.component === 'AccountPicker') {
+      return (
+        <AccountPickerWidget
+          key={idx}
+          prompt={msg.text}
+          transaction={msg.transaction}
+          candidateIds={msg.candidateIds}
+          onPick={(transaction) => {
+            setMessages(prev => prev.filter(m => m !== msg));
+            respond(proposeTransaction(transaction));
+          }}
+          onClose={() => setMessages(prev => prev.filter(m => m !== msg))}
+        />
+      );
+    }
     return (
       <div key={idx} className="mb-3">
         <div className="flex items-start gap-2">
           <div className="w-8 h-8 rounded-full flex items-center justify-center text-white text-sm shrink-0"
-               style={{ backgroundColor: msg.sender === 'user' ? '#5E5E5E' : theme.primary }}>
+               style={{ backgroundColor: msg.sender === 'user' ? '#5E5E5E' : brandColor }}>
             {msg.sender === 'user' ? 'U' : 'A'}
           </div>
           <div className="p-3 rounded-lg max-w-[80%]" style={{ backgroundColor: theme.messageBackground, color: theme.text }}>
-            <div className="text-sm">{msg.text}</div>
+            <div className={`text-sm whitespace-pre-wrap ${msg.error ? 'text-red-600' : ''}`}>
+              {msg.text}
+              {msg.streaming && <span className="animate-pulse">▍</span>}
+            </div>
+            {msg.confirmId && msg.confirmId === pendingAction?.confirmId && (
+              <div className="flex gap-2 mt-2">
+                <button onClick={() => resolvePendingAction(true)} className="px-3 py-1 bg-blue-600 text-white rounded text-xs">
+                  Confirm
+                </button>
+                <button onClick={() => resolvePendingAction(false)} className="px-3 py-1 bg-gray-200 text-gray-700 rounded text-xs">
+                  Cancel
+                </button>
+              </div>
+            )}
             <div className="text-[10px] mt-1 text-gray-500">
               {new Date(msg.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
             </div>
@@ -363,7 +647,7 @@ export default function LiveAgentChat({ websiteName = 'Live Chat' }) {
       <div 
         className={getContainerStyles()}
         onClick={() => setWindowState('bottom')}
-        style={{ backgroundColor: theme.primary }}
+        style={{ backgroundColor: brandColor }}
       >
         <div className="w-full h-full flex items-center justify-center text-white">
           <MessageSquare size={20} />
@@ -380,7 +664,7 @@ export default function LiveAgentChat({ websiteName = 'Live Chat' }) {
         <div className="px-3 py-2 flex justify-between items-center border-b" style={{ background: theme.headerGradient }}>
           <div className="flex items-center gap-2">
             <div className="w-7 h-7 rounded-full bg-white flex items-center justify-center">
-              <span className="text-xs font-semibold" style={{ color: theme.primary }}>AI</span>
+              <span className="text-xs font-semibold" style={{ color: brandColor }}>AI</span>
             </div>
             <div className="flex flex-col">
               <span className="font-semibold text-[13px] text-white">{websiteName}</span>
@@ -435,20 +719,31 @@ export default function LiveAgentChat({ websiteName = 'Live Chat' }) {
                 onKeyDown={(e) => {
                   if (e.key === 'Enter' && !e.shiftKey) {
                     e.preventDefault();
-                    handleSend();
+                    if (!isStreaming) handleSend();
                   }
                 }}
                 className="w-full pl-3 pr-12 text-sm border rounded-full focus:outline-none h-full"
                 style={{ backgroundColor: theme.inputBackground, borderColor: theme.border, color: theme.text }}
               />
-              <button
-                onClick={handleSend}
-                disabled={!inputValue.trim()}
-                className="absolute right-3 top-1/2 transform -translate-y-1/2 p-1.5 rounded-full focus:outline-none transition-colors disabled:opacity-50"
-                style={{ backgroundColor: theme.primary, color: '#fff' }}
-              >
-                <Send size={16} />
-              </button>
+              {isStreaming ? (
+                <button
+                  onClick={handleStop}
+                  className="absolute right-3 top-1/2 transform -translate-y-1/2 p-1.5 rounded-full focus:outline-none transition-colors"
+                  style={{ backgroundColor: brandColor, color: '#fff' }}
+                  aria-label="Stop response"
+                >
+                  <Square size={16} />
+                </button>
+              ) : (
+                <button
+                  onClick={handleSend}
+                  disabled={!inputValue.trim()}
+                  className="absolute right-3 top-1/2 transform -translate-y-1/2 p-1.5 rounded-full focus:outline-none transition-colors disabled:opacity-50"
+                  style={{ backgroundColor: brandColor, color: '#fff' }}
+                >
+                  <Send size={16} />
+                </button>
+              )}
             </div>
           </div>
         </div>
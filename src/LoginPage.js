@@ -1,13 +1,13 @@
 // src/LoginPage.js
 import React from 'react';
-import { useAuth0 } from '@auth0/auth0-react';
+import { useAuth } from './AuthProvider';
 
 const LoginPage = () => {
-  const { loginWithRedirect } = useAuth0();
+  const { login, label } = useAuth();
 
   const handleLogin = () => {
-    // Initiate real Auth0 authentication
-    loginWithRedirect();
+    // Hand off to the configured identity provider
+    login();
   };
 
   return (
@@ -18,7 +18,7 @@ const LoginPage = () => {
           onClick={handleLogin}
           className="w-full py-2 rounded bg-blue-600 hover:bg-blue-700 text-white"
         >
-          Login with Auth0
+          Login with {label}
         </button>
       </div>
     </div>
@@ -0,0 +1,64 @@
+// src/NetWorthHistory.js
+import React, { useMemo, useState } from 'react';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+} from 'recharts';
+import { useFinanceStore } from './financeStore';
+import { currencyHelpers } from './currency';
+import { HISTORY_MONTHS, netWorthHistory } from './netWorth';
+
+const selectClass = "bg-white border border-gray-300 rounded px-2 py-1 text-sm text-black";
+
+export default function NetWorthHistory() {
+  const { accounts, transactions, exchangeRates, settings } = useFinanceStore();
+  const [timeframe, setTimeframe] = useState('1y');
+  const { format } = currencyHelpers({ accounts, exchangeRates, settings });
+
+  const points = useMemo(() => {
+    const { accountToBase } = currencyHelpers({ accounts, exchangeRates, settings });
+    return netWorthHistory(accounts, transactions, {
+      months: HISTORY_MONTHS[timeframe],
+      // Each month-end converts at the rate in effect on that date
+      convert: (amount, account, date) => accountToBase(account, amount, date),
+    });
+  }, [accounts, transactions, exchangeRates, settings, timeframe]);
+
+  return (
+    <div className="mt-4 bg-white rounded shadow border border-gray-300 p-4">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+        <h3 className="text-xl font-bold">Net Worth</h3>
+        <select value={timeframe} onChange={(e) => setTimeframe(e.target.value)} className={selectClass}>
+          <option value="6m">6 Months</option>
+          <option value="1y">1 Year</option>
+          <option value="2y">2 Years</option>
+        </select>
+      </div>
+      {accounts.length === 0 ? (
+        <p className="py-4 text-center text-gray-600">Add an account to track your net worth.</p>
+      ) : (
+        <ResponsiveContainer width="100%" height={240}>
+          <LineChart data={points} margin={{ top: 5, right: 5, bottom: 20, left: 5 }}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#e0e0e0" />
+            <XAxis dataKey="label" tick={{ fill: "#666666", fontSize: 10 }} angle={-45} textAnchor="end" height={40} />
+            <YAxis tick={{ fill: "#666666", fontSize: 10 }} tickFormatter={value => `${(value/1000).toFixed(1)}k`} />
+            <Tooltip
+              formatter={(value) => format(value)}
+              contentStyle={{ backgroundColor: "#36393F", border: "none", borderRadius: "0.375rem", padding: "0.5rem", color: "#FFFFFF" }}
+            />
+            <Legend />
+            <Line type="monotone" dataKey="assets" name="Assets" stroke="#2EB67D" strokeWidth={2} dot={false} />
+            <Line type="monotone" dataKey="liabilities" name="Liabilities" stroke="#E01E5A" strokeWidth={2} dot={false} />
+            <Line type="monotone" dataKey="netWorth" name="Net Worth" stroke="#1264A3" strokeWidth={3} dot={false} />
+          </LineChart>
+        </ResponsiveContainer>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,201 @@
+// src/PayoffPlanner.js
+import React, { useMemo, useState } from 'react';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+} from 'recharts';
+import { ArrowUp, ArrowDown } from 'lucide-react';
+import { useFinanceStore } from './financeStore';
+import { aprOn } from './creditTerms';
+import { useCurrency, toBaseTransactions, accountCurrency, rateOn } from './currency';
+import {
+  STRATEGIES,
+  STRATEGY_LABELS,
+  minimumPayment,
+  debtsFromAccounts,
+  orderDebts,
+  comparePlans,
+} from './debtPayoff';
+
+const STRATEGY_COLORS = { avalanche: '#2EB67D', snowball: '#36C5F0', custom: '#ECB22E' };
+const selectClass = "bg-white border border-gray-300 rounded px-2 py-1 text-sm text-black";
+
+const formatDate = (iso) => (iso ? new Date(iso).toLocaleDateString(undefined, { month: 'short', year: 'numeric' }) : 'Never');
+
+export default function PayoffPlanner() {
+  const { accounts, transactions, recurring, exchangeRates } = useFinanceStore();
+  const [monthlyBudget, setMonthlyBudget] = useState('');
+  const [strategy, setStrategy] = useState('avalanche');
+  const [customOrder, setCustomOrder] = useState([]);
+  const [showSchedule, setShowSchedule] = useState(false);
+  const { baseCurrency, format } = useCurrency();
+
+  // Plan across cards in the base currency; schedules convert at today's rate
+  const debts = useMemo(() => {
+    const scheduled = recurring.map(template => {
+      const rate = rateOn(exchangeRates, accountCurrency(accounts.find(a => a.id === template.accountId)), baseCurrency);
+      return rate === null ? template : { ...template, amount: Number(template.amount) * rate };
+    });
+    return debtsFromAccounts(accounts, toBaseTransactions(transactions, accounts, exchangeRates, baseCurrency), scheduled);
+  }, [accounts, transactions, recurring, exchangeRates, baseCurrency]);
+  const minimumTotal = debts.reduce((sum, d) => sum + minimumPayment(d), 0);
+  // Until a budget is entered, plan with the minimums rounded up to the next $50
+  const budget = monthlyBudget === '' ? Math.ceil(minimumTotal / 50) * 50 : Number(monthlyBudget);
+  const order = useMemo(() => orderDebts(debts, 'custom', customOrder), [debts, customOrder]);
+
+  const plans = useMemo(
+    () => comparePlans(debts, { monthlyBudget: budget, customOrder: order }),
+    [debts, budget, order]
+  );
+  const selected = plans.find(p => p.strategy === strategy).plan;
+
+  const chartData = Array.from({ length: Math.max(...plans.map(p => p.plan.schedule.length), 0) + 1 }, (_, i) => {
+    const row = { label: i === 0 ? 'Now' : `Month ${i}` };
+    plans.forEach(({ strategy: name, plan }) => {
+      row[name] = i === 0
+        ? debts.reduce((sum, d) => sum + d.balance, 0)
+        : (plan.schedule[i - 1] ? plan.schedule[i - 1].totalBalance : 0);
+    });
+    return row;
+  });
+
+  const moveDebt = (id, offset) => {
+    const next = [...order];
+    const from = next.indexOf(id);
+    const to = from + offset;
+    if (to < 0 || to >= next.length) return;
+    [next[from], next[to]] = [next[to], next[from]];
+    setCustomOrder(next);
+  };
+
+  if (debts.length === 0) {
+    return <p className="py-4 text-center text-gray-600">No credit card balances to pay off.</p>;
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap gap-2 items-center">
+        <label className="text-sm flex items-center gap-1">
+          Monthly budget ({baseCurrency})
+          <input
+            type="number"
+            value={monthlyBudget === '' ? budget : monthlyBudget}
+            onChange={(e) => setMonthlyBudget(e.target.value)}
+            className={`${selectClass} w-24`}
+          />
+        </label>
+        <select value={strategy} onChange={(e) => setStrategy(e.target.value)} className={selectClass}>
+          {STRATEGIES.map(name => (
+            <option key={name} value={name}>{STRATEGY_LABELS[name]}</option>
+          ))}
+        </select>
+      </div>
+      {!selected.coversMinimums && (
+        <p className="text-sm text-red-700">
+          The budget doesn't cover the minimum payments ({format(minimumTotal)} this month).
+        </p>
+      )}
+
+      {strategy === 'custom' && (
+        <ol className="text-sm space-y-1">
+          {order.map((id, idx) => {
+            const debt = debts.find(d => d.id === id);
+            return (
+              <li key={id} className="flex items-center gap-2">
+                <span className="w-5 text-gray-600">{idx + 1}.</span>
+                <span className="flex-1">{debt.name} ({format(debt.balance)} at {aprOn(debt)}%)</span>
+                <button onClick={() => moveDebt(id, -1)} disabled={idx === 0} className="disabled:opacity-30"><ArrowUp size={14} /></button>
+                <button onClick={() => moveDebt(id, 1)} disabled={idx === order.length - 1} className="disabled:opacity-30"><ArrowDown size={14} /></button>
+              </li>
+            );
+          })}
+        </ol>
+      )}
+
+      {/* Strategy comparison */}
+      <ResponsiveContainer width="100%" height={240}>
+        <LineChart data={chartData} margin={{ top: 5, right: 5, bottom: 20, left: 5 }}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#e0e0e0" />
+          <XAxis dataKey="label" tick={{ fill: "#666666", fontSize: 10 }} angle={-45} textAnchor="end" height={40} />
+          <YAxis tick={{ fill: "#666666", fontSize: 10 }} tickFormatter={value => `${(value/1000).toFixed(1)}k`} />
+          <Tooltip
+            formatter={(value) => format(value)}
+            contentStyle={{ backgroundColor: "#36393F", border: "none", borderRadius: "0.375rem", padding: "0.5rem", color: "#FFFFFF" }}
+          />
+          <Legend />
+          {STRATEGIES.map(name => (
+            <Line
+              key={name}
+              type="monotone"
+              dataKey={name}
+              name={name.charAt(0).toUpperCase() + name.slice(1)}
+              stroke={STRATEGY_COLORS[name]}
+              strokeWidth={name === strategy ? 3 : 1.5}
+              dot={false}
+            />
+          ))}
+        </LineChart>
+      </ResponsiveContainer>
+
+      <table className="table-fixed w-full text-sm">
+        <thead>
+          <tr className="border-b border-gray-300 bg-gradient-to-r from-pink-300 via-red-300 to-yellow-300">
+            <th className="py-1 px-2 text-left">Strategy</th>
+            <th className="py-1 px-2 text-left">Debt-free</th>
+            <th className="py-1 px-2 text-right">Months</th>
+            <th className="py-1 px-2 text-right">Total interest</th>
+          </tr>
+        </thead>
+        <tbody>
+          {plans.map(({ strategy: name, plan }) => (
+            <tr key={name} className={`border-b border-gray-300 ${name === strategy ? 'font-bold' : ''}`}>
+              <td className="py-1 px-2">{name.charAt(0).toUpperCase() + name.slice(1)}</td>
+              <td className="py-1 px-2">{formatDate(plan.debtFreeDate)}</td>
+              <td className="py-1 px-2 text-right">{plan.months ?? '—'}</td>
+              <td className="py-1 px-2 text-right">{format(plan.totalInterest)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <button onClick={() => setShowSchedule(prev => !prev)} className="text-sm text-blue-700 hover:underline">
+        {showSchedule ? 'Hide' : 'Show'} month-by-month schedule
+      </button>
+      {showSchedule && (
+        <div className="max-h-64 overflow-y-auto">
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="border-b border-gray-300">
+                <th className="py-1 px-1 text-left">Month</th>
+                {selected.order.map(id => (
+                  <th key={id} className="py-1 px-1 text-right">{debts.find(d => d.id === id).name}</th>
+                ))}
+                <th className="py-1 px-1 text-right">Remaining</th>
+              </tr>
+            </thead>
+            <tbody>
+              {selected.schedule.map(row => (
+                <tr key={row.month} className="border-b border-gray-200">
+                  <td className="py-1 px-1">{row.label}</td>
+                  {selected.order.map(id => (
+                    <td key={id} className="py-1 px-1 text-right">
+                      {format(row.cards[id].payment)}
+                      <span className="text-gray-500"> / {format(row.cards[id].balance)}</span>
+                    </td>
+                  ))}
+                  <td className="py-1 px-1 text-right">{format(row.totalBalance)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,221 @@
+// src/RecurringPanel.js
+import React, { useState } from 'react';
+import { useFinanceStore } from './financeStore';
+import {
+  FREQUENCIES,
+  CUSTOM_UNITS,
+  dayKey,
+  upcomingOccurrences,
+  setOccurrenceException,
+  describeFrequency,
+} from './recurring';
+import { useCurrency } from './currency';
+
+const inputClass = "bg-white border border-gray-300 rounded px-2 py-1 text-sm text-black";
+
+const emptyTemplate = () => ({
+  accountId: '',
+  amount: '',
+  type: 'debit',
+  category: 'Other',
+  details: '',
+  frequency: 'monthly',
+  interval: 2,
+  unit: 'weeks',
+  startDate: dayKey(new Date()),
+  endDate: '',
+});
+
+export default function RecurringPanel({ categories }) {
+  const { accounts, recurring, setRecurring } = useFinanceStore();
+  const { formatForAccount } = useCurrency();
+  const [draft, setDraft] = useState(null);
+  const [editing, setEditing] = useState(null); // { templateId, date, amount }
+
+  const upcoming = upcomingOccurrences(recurring);
+  const accountName = (id) => accounts.find(a => a.id === id)?.name || 'Unknown account';
+  const update = (changes) => setDraft(prev => ({ ...prev, ...changes }));
+
+  const handleAdd = () => {
+    const accountId = draft.accountId || accounts[0]?.id;
+    if (!accountId || !(Number(draft.amount) > 0) || !draft.startDate) return;
+    // Dates are entered as local days; keep them at local midnight
+    const toLocalDate = (value) => new Date(`${value}T00:00:00`).toISOString();
+    setRecurring(prev => [
+      ...prev,
+      {
+        ...draft,
+        id: Date.now().toString(),
+        accountId,
+        amount: Number(draft.amount),
+        interval: Number(draft.interval) || 1,
+        startDate: toLocalDate(draft.startDate),
+        endDate: draft.endDate ? toLocalDate(draft.endDate) : null,
+        exceptions: {},
+      },
+    ]);
+    setDraft(null);
+  };
+
+  const updateOccurrence = (templateId, date, changes) => {
+    setRecurring(prev => prev.map(t => (t.id === templateId ? setOccurrenceException(t, date, changes) : t)));
+  };
+
+  const nextDate = (template) => {
+    const next = upcoming.find(o => o.template.id === template.id && !o.skipped);
+    return next ? new Date(next.transaction.date).toLocaleDateString() : '—';
+  };
+
+  return (
+    <div className="mt-4 bg-white rounded shadow border border-gray-300 p-4">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+        <h3 className="text-xl font-bold">Recurring &amp; Bills</h3>
+        {!draft && (
+          <button
+            onClick={() => setDraft(emptyTemplate())}
+            disabled={!accounts.length}
+            className="px-3 py-1 rounded bg-blue-600 hover:bg-blue-700 text-white text-sm disabled:opacity-50"
+          >
+            Add Recurring
+          </button>
+        )}
+      </div>
+
+      {draft && (
+        <div className="flex flex-wrap items-center gap-2 mb-3">
+          <select value={draft.accountId || accounts[0]?.id} onChange={(e) => update({ accountId: e.target.value })} className={inputClass}>
+            {accounts.map(account => (
+              <option key={account.id} value={account.id}>{account.name}</option>
+            ))}
+          </select>
+          <input type="number" placeholder="Amount" value={draft.amount} onChange={(e) => update({ amount: e.target.value })} className={`${inputClass} w-24`} />
+          <select value={draft.type} onChange={(e) => update({ type: e.target.value })} className={inputClass}>
+            <option value="debit">Debit</option>
+            <option value="credit">Credit</option>
+          </select>
+          <select value={draft.category} onChange={(e) => update({ category: e.target.value })} className={inputClass}>
+            {categories.map(category => (
+              <option key={category} value={category}>{category}</option>
+            ))}
+          </select>
+          <input placeholder="Details, e.g. Rent" value={draft.details} onChange={(e) => update({ details: e.target.value })} className={inputClass} />
+          <select value={draft.frequency} onChange={(e) => update({ frequency: e.target.value })} className={inputClass}>
+            {FREQUENCIES.map(frequency => (
+              <option key={frequency} value={frequency}>{frequency.charAt(0).toUpperCase() + frequency.slice(1)}</option>
+            ))}
+          </select>
+          {draft.frequency === 'custom' && (
+            <>
+              <span className="text-sm">every</span>
+              <input type="number" min="1" value={draft.interval} onChange={(e) => update({ interval: e.target.value })} className={`${inputClass} w-16`} />
+              <select value={draft.unit} onChange={(e) => update({ unit: e.target.value })} className={inputClass}>
+                {CUSTOM_UNITS.map(unit => (
+                  <option key={unit} value={unit}>{unit}</option>
+                ))}
+              </select>
+            </>
+          )}
+          <label className="text-sm flex items-center gap-1">
+            Starts
+            <input type="date" value={draft.startDate} onChange={(e) => update({ startDate: e.target.value })} className={inputClass} />
+          </label>
+          <label className="text-sm flex items-center gap-1">
+            Ends
+            <input type="date" value={draft.endDate} onChange={(e) => update({ endDate: e.target.value })} className={inputClass} />
+          </label>
+          <button onClick={handleAdd} className="px-3 py-1 rounded bg-blue-600 hover:bg-blue-700 text-white text-sm">Save</button>
+          <button onClick={() => setDraft(null)} className="px-3 py-1 rounded bg-gray-300 hover:bg-gray-400 text-sm">Cancel</button>
+        </div>
+      )}
+
+      <div className="flex flex-col lg:flex-row gap-4">
+        {/* Templates */}
+        <div className="lg:w-1/2">
+          <h4 className="font-bold mb-1">Schedules</h4>
+          {recurring.length === 0 ? (
+            <p className="py-2 text-sm text-gray-600">No recurring items yet. Add paychecks, rent or subscriptions.</p>
+          ) : (
+            <ul className="space-y-1 text-sm">
+              {recurring.map(template => (
+                <li key={template.id} className="flex justify-between gap-2 border-b border-gray-200 py-1">
+                  <span>
+                    <span className="font-bold">{template.details || template.category}</span>{' '}
+                    <span className="text-gray-600">
+                      {describeFrequency(template)} · {accountName(template.accountId)} · next {nextDate(template)}
+                      {template.endDate && ` · ends ${new Date(template.endDate).toLocaleDateString()}`}
+                    </span>
+                  </span>
+                  <span className="flex gap-2">
+                    <span className={template.type === 'credit' ? 'text-green-700' : 'text-red-700'}>
+                      {template.type === 'credit' ? '+' : '-'}{formatForAccount(template.amount, template.accountId)}
+                    </span>
+                    <button onClick={() => setRecurring(prev => prev.filter(t => t.id !== template.id))} className="text-red-700 hover:underline">
+                      Remove
+                    </button>
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        {/* Upcoming occurrences */}
+        <div className="lg:w-1/2">
+          <h4 className="font-bold mb-1">Upcoming (next 30 days)</h4>
+          {upcoming.length === 0 ? (
+            <p className="py-2 text-sm text-gray-600">Nothing scheduled.</p>
+          ) : (
+            <ul className="space-y-1 text-sm">
+              {upcoming.map(({ template, transaction, skipped }) => {
+                const isEditing = editing?.id === transaction.id;
+                return (
+                  <li key={transaction.id} className={`flex justify-between gap-2 border-b border-gray-200 py-1 ${skipped ? 'text-gray-400 line-through' : ''}`}>
+                    <span>
+                      {new Date(transaction.date).toLocaleDateString()} · {transaction.details || transaction.category}
+                    </span>
+                    <span className="flex gap-2">
+                      {isEditing ? (
+                        <>
+                          <input
+                            type="number"
+                            value={editing.amount}
+                            onChange={(e) => setEditing(prev => ({ ...prev, amount: e.target.value }))}
+                            className="w-20 border border-gray-300 rounded px-1"
+                          />
+                          <button
+                            onClick={() => {
+                              if (Number(editing.amount) > 0) {
+                                updateOccurrence(template.id, transaction.date, { amount: Number(editing.amount) });
+                              }
+                              setEditing(null);
+                            }}
+                            className="text-blue-700 hover:underline"
+                          >
+                            Save
+                          </button>
+                        </>
+                      ) : (
+                        <span>{transaction.type === 'credit' ? '+' : '-'}{formatForAccount(transaction.amount, transaction.accountId)}</span>
+                      )}
+                      {!skipped && !isEditing && (
+                        <button onClick={() => setEditing({ id: transaction.id, amount: transaction.amount })} className="text-blue-700 hover:underline">
+                          Edit
+                        </button>
+                      )}
+                      <button
+                        onClick={() => updateOccurrence(template.id, transaction.date, skipped ? null : { skipped: true })}
+                        className="text-red-700 hover:underline"
+                      >
+                        {skipped ? 'Restore' : 'Skip'}
+                      </button>
+                    </span>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
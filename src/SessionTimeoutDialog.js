@@ -0,0 +1,33 @@
+// src/SessionTimeoutDialog.js
+import React, { useEffect, useState } from 'react';
+
+// Warns that the session is about to end for inactivity; `deadline` is when
+export default function SessionTimeoutDialog({ deadline, onStay, onLogout }) {
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const seconds = Math.max(0, Math.ceil((deadline - now) / 1000));
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-80 flex justify-center items-center p-4 z-50">
+      <div role="alertdialog" aria-labelledby="session-timeout-title" className="bg-gray-800 rounded-lg p-6 w-full max-w-md border border-gray-600 text-white space-y-4">
+        <h2 id="session-timeout-title" className="text-2xl font-bold">Are you still there?</h2>
+        <p className="text-sm text-gray-300">
+          For your security you will be logged out in {seconds} second{seconds === 1 ? '' : 's'} because of inactivity.
+        </p>
+        <div className="flex justify-end space-x-2">
+          <button onClick={onLogout} className="px-4 py-2 rounded bg-gray-600 hover:bg-gray-500">
+            Log out now
+          </button>
+          <button onClick={onStay} className="px-4 py-2 rounded bg-blue-600 hover:bg-blue-700" autoFocus>
+            Stay signed in
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,203 @@
+// src/SpendingAnalytics.js
+import React, { useMemo, useRef, useState } from 'react';
+import {
+  PieChart,
+  Pie,
+  Cell,
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+} from 'recharts';
+import { useFinanceStore } from './financeStore';
+import { currencyHelpers } from './currency';
+import { categoryTree, categoryWithDescendants } from './categories';
+import { downloadFile, toCSV } from './dataBackup';
+import { exportChartPNG } from './chartExport';
+import {
+  filterTransactions,
+  spendingByCategory,
+  monthlyTotals,
+  topMerchants,
+  spendingSummary,
+} from './analytics';
+
+const COLORS = ['#2EB67D', '#36C5F0', '#ECB22E', '#E01E5A', '#4A154B', '#1264A3', '#8C6D1F', '#7A7A7A'];
+
+const selectClass = "bg-white border border-gray-300 rounded px-2 py-1 text-sm text-black";
+
+const tooltipStyle = { backgroundColor: "#36393F", border: "none", borderRadius: "0.375rem", padding: "0.5rem", color: "#FFFFFF" };
+
+const toDateInput = (date) => {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 10);
+};
+
+// A chart with PNG and CSV export buttons
+function ChartCard({ title, fileName, columns, rows, children }) {
+  const chartRef = useRef(null);
+  const [error, setError] = useState('');
+
+  const exportPNG = () => {
+    setError('');
+    exportChartPNG(chartRef.current, `${fileName}.png`).catch(err => setError(err.message));
+  };
+
+  return (
+    <div className="bg-white rounded shadow border border-gray-300 p-4">
+      <div className="flex items-center justify-between gap-2 mb-2">
+        <h4 className="font-bold">{title}</h4>
+        <div className="flex gap-2 text-xs">
+          <button onClick={exportPNG} disabled={!rows.length} className="text-blue-700 hover:underline disabled:opacity-50">
+            PNG
+          </button>
+          <button
+            onClick={() => downloadFile(`${fileName}.csv`, toCSV(columns, rows), 'text/csv')}
+            disabled={!rows.length}
+            className="text-blue-700 hover:underline disabled:opacity-50"
+          >
+            CSV
+          </button>
+        </div>
+      </div>
+      {error && <p className="text-xs text-red-700">{error}</p>}
+      {rows.length === 0 ? (
+        <p className="py-8 text-center text-sm text-gray-600">Nothing to show for these filters.</p>
+      ) : (
+        <div ref={chartRef}>{children}</div>
+      )}
+    </div>
+  );
+}
+
+export default function SpendingAnalytics() {
+  const { accounts, transactions, categories, exchangeRates, settings } = useFinanceStore();
+  const [accountId, setAccountId] = useState('all');
+  const [category, setCategory] = useState('all');
+  const [startDate, setStartDate] = useState(() => {
+    const now = new Date();
+    return toDateInput(new Date(now.getFullYear(), now.getMonth() - 5, 1));
+  });
+  const [endDate, setEndDate] = useState(() => toDateInput(new Date()));
+
+  const { format } = currencyHelpers({ accounts, exchangeRates, settings });
+  const start = new Date(`${startDate}T00:00:00`);
+  const end = new Date(`${endDate}T23:59:59.999`);
+
+  const report = useMemo(() => {
+    const { toBaseTransactions } = currencyHelpers({ accounts, exchangeRates, settings });
+    const from = new Date(`${startDate}T00:00:00`);
+    const to = new Date(`${endDate}T23:59:59.999`);
+    const filtered = filterTransactions(toBaseTransactions(transactions), {
+      accountId,
+      start: from,
+      end: to,
+      categories: category === 'all' ? null : categoryWithDescendants(categories, category),
+    });
+    return {
+      byCategory: spendingByCategory(filtered),
+      months: monthlyTotals(filtered, from, to),
+      merchants: topMerchants(filtered),
+      summary: spendingSummary(filtered, from, to),
+      hasActivity: filtered.length > 0,
+    };
+  }, [accounts, transactions, categories, exchangeRates, settings, accountId, category, startDate, endDate]);
+
+  const { byCategory, months, merchants, summary, hasActivity } = report;
+  const monthRows = hasActivity ? months : [];
+  const validRange = !Number.isNaN(start.getTime()) && !Number.isNaN(end.getTime()) && start <= end;
+
+  return (
+    <div className="mt-4 bg-white rounded shadow border border-gray-300 p-4">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+        <h3 className="text-xl font-bold">Spending Analytics</h3>
+        <div className="flex flex-wrap gap-2">
+          <select value={accountId} onChange={(e) => setAccountId(e.target.value)} className={selectClass}>
+            <option value="all">All Accounts</option>
+            {accounts.map(account => (
+              <option key={account.id} value={account.id}>{account.name}</option>
+            ))}
+          </select>
+          <select value={category} onChange={(e) => setCategory(e.target.value)} className={selectClass}>
+            <option value="all">All Categories</option>
+            {categoryTree(categories).map(c => (
+              <option key={c.id} value={c.name}>{c.label}</option>
+            ))}
+          </select>
+          <input type="date" value={startDate} max={endDate} onChange={(e) => setStartDate(e.target.value)} className={selectClass} />
+          <input type="date" value={endDate} min={startDate} onChange={(e) => setEndDate(e.target.value)} className={selectClass} />
+        </div>
+      </div>
+
+      {!validRange ? (
+        <p className="py-4 text-center text-gray-600">Choose a start date on or before the end date.</p>
+      ) : (
+        <>
+          <div className="grid grid-cols-2 sm:grid-cols-4 gap-2 mb-4 text-sm">
+            <div><p className="text-gray-700">Income</p><p className="font-bold text-green-700">{format(summary.income)}</p></div>
+            <div><p className="text-gray-700">Expenses</p><p className="font-bold text-red-700">{format(summary.expense)}</p></div>
+            <div><p className="text-gray-700">Net</p><p className="font-bold">{format(summary.net)}</p></div>
+            <div><p className="text-gray-700">Average Daily Spend</p><p className="font-bold">{format(summary.averageDailySpend)}</p></div>
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+            <ChartCard title="Spending by Category" fileName="spending-by-category" columns={['name', 'value']} rows={byCategory}>
+              <ResponsiveContainer width="100%" height={260}>
+                <PieChart>
+                  <Pie data={byCategory} dataKey="value" nameKey="name" outerRadius={90} label={({ name }) => name}>
+                    {byCategory.map((entry, idx) => (
+                      <Cell key={entry.name} fill={COLORS[idx % COLORS.length]} />
+                    ))}
+                  </Pie>
+                  <Tooltip formatter={(value) => format(value)} contentStyle={tooltipStyle} />
+                </PieChart>
+              </ResponsiveContainer>
+            </ChartCard>
+
+            <ChartCard title="Spending by Month" fileName="spending-by-month" columns={['month', 'expense']} rows={monthRows}>
+              <ResponsiveContainer width="100%" height={260}>
+                <BarChart data={monthRows} margin={{ top: 5, right: 5, bottom: 5, left: 5 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#e0e0e0" />
+                  <XAxis dataKey="label" tick={{ fill: "#666666", fontSize: 10 }} />
+                  <YAxis tick={{ fill: "#666666", fontSize: 10 }} tickFormatter={value => `${(value/1000).toFixed(1)}k`} />
+                  <Tooltip formatter={(value) => format(value)} contentStyle={tooltipStyle} />
+                  <Bar dataKey="expense" name="Spending" fill="#E01E5A" />
+                </BarChart>
+              </ResponsiveContainer>
+            </ChartCard>
+
+            <ChartCard title="Income vs Expenses" fileName="income-vs-expenses" columns={['month', 'income', 'expense', 'net']} rows={monthRows}>
+              <ResponsiveContainer width="100%" height={260}>
+                <BarChart data={monthRows} margin={{ top: 5, right: 5, bottom: 5, left: 5 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#e0e0e0" />
+                  <XAxis dataKey="label" tick={{ fill: "#666666", fontSize: 10 }} />
+                  <YAxis tick={{ fill: "#666666", fontSize: 10 }} tickFormatter={value => `${(value/1000).toFixed(1)}k`} />
+                  <Tooltip formatter={(value) => format(value)} contentStyle={tooltipStyle} />
+                  <Legend />
+                  <Bar dataKey="income" name="Income" fill="#2EB67D" />
+                  <Bar dataKey="expense" name="Expenses" fill="#E01E5A" />
+                </BarChart>
+              </ResponsiveContainer>
+            </ChartCard>
+
+            <ChartCard title="Top Merchants" fileName="top-merchants" columns={['name', 'total', 'count']} rows={merchants}>
+              <ResponsiveContainer width="100%" height={260}>
+                <BarChart data={merchants} layout="vertical" margin={{ top: 5, right: 5, bottom: 5, left: 5 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#e0e0e0" />
+                  <XAxis type="number" tick={{ fill: "#666666", fontSize: 10 }} tickFormatter={value => `${(value/1000).toFixed(1)}k`} />
+                  <YAxis type="category" dataKey="name" width={110} tick={{ fill: "#666666", fontSize: 10 }} />
+                  <Tooltip formatter={(value) => format(value)} contentStyle={tooltipStyle} />
+                  <Bar dataKey="total" name="Spent" fill="#1264A3" />
+                </BarChart>
+              </ResponsiveContainer>
+            </ChartCard>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
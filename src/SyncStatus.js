@@ -0,0 +1,41 @@
+// src/SyncStatus.js
+import React from 'react';
+
+// Header badge for the sync client's status (see syncClient.js)
+export default function SyncStatus({ status }) {
+  if (!status) return null;
+
+  const pending = status.pending > 0 ? ` (${status.pending} pending)` : '';
+  const lost = status.conflicts.filter(conflict => conflict.winner === 'server').length;
+  let label;
+  let color;
+  if (status.state === 'syncing') {
+    label = 'Syncing…';
+    color = 'bg-blue-600';
+  } else if (status.state === 'offline') {
+    label = `Offline${pending}`;
+    color = 'bg-gray-600';
+  } else if (status.state === 'error') {
+    label = `Sync error${pending}`;
+    color = 'bg-red-700';
+  } else if (status.failed.length > 0) {
+    const count = status.failed.length;
+    label = `${count} edit${count === 1 ? '' : 's'} could not sync; will retry`;
+    color = 'bg-red-700';
+  } else if (lost > 0) {
+    label = `Synced, ${lost} edit${lost === 1 ? '' : 's'} replaced by another device`;
+    color = 'bg-yellow-600';
+  } else {
+    label = status.pending > 0 ? `Waiting to sync${pending}` : 'Synced';
+    color = 'bg-green-700';
+  }
+
+  const title = status.error
+    || (status.lastSyncedAt ? `Last synced ${new Date(status.lastSyncedAt).toLocaleString()}` : 'Not synced yet');
+
+  return (
+    <span className={`px-3 py-1 rounded text-sm text-white ${color}`} title={title}>
+      {label}
+    </span>
+  );
+}
@@ -0,0 +1,141 @@
+// src/TransactionFilters.js
+import React, { useState } from 'react';
+import { useFinanceStore } from './financeStore';
+import { categoryTree } from './categories';
+import { EMPTY_FILTERS, activeFilterCount } from './transactionSearch';
+
+const inputClass = "bg-white border border-gray-300 rounded px-2 py-1 text-sm text-black";
+
+// Search box, filters and saved presets for the transactions table
+export default function TransactionFilters({ filters, onChange }) {
+  const { accounts, categories, filterPresets, setFilterPresets } = useFinanceStore();
+  const [showFilters, setShowFilters] = useState(false);
+  const [presetName, setPresetName] = useState('');
+
+  const update = (changes) => onChange({ ...filters, ...changes });
+  const activeCount = activeFilterCount(filters);
+
+  const savePreset = () => {
+    const name = presetName.trim();
+    if (!name) return;
+    // Saving under an existing name replaces that preset
+    setFilterPresets(prev => [
+      ...prev.filter(p => p.name !== name),
+      { id: Date.now().toString(), name, filters },
+    ]);
+    setPresetName('');
+  };
+
+  return (
+    <div className="mb-4 space-y-2">
+      <div className="flex flex-wrap items-center gap-2">
+        <input
+          type="search"
+          placeholder="Search details, categories and accounts"
+          value={filters.query}
+          onChange={(e) => update({ query: e.target.value })}
+          className={`${inputClass} flex-1 min-w-[12rem]`}
+        />
+        <button onClick={() => setShowFilters(prev => !prev)} className={inputClass}>
+          Filters{activeCount > 0 ? ` (${activeCount})` : ''}
+        </button>
+        {activeCount > 0 && (
+          <button onClick={() => onChange(EMPTY_FILTERS)} className="text-sm text-blue-700 hover:underline">
+            Clear
+          </button>
+        )}
+        {filterPresets.length > 0 && (
+          <select
+            value=""
+            onChange={(e) => {
+              const preset = filterPresets.find(p => p.id === e.target.value);
+              if (preset) onChange({ ...EMPTY_FILTERS, ...preset.filters });
+            }}
+            className={inputClass}
+          >
+            <option value="">Presets…</option>
+            {filterPresets.map(preset => (
+              <option key={preset.id} value={preset.id}>{preset.name}</option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      {showFilters && (
+        <div className="p-2 rounded border border-gray-300 space-y-2">
+          <div className="flex flex-wrap items-center gap-2 text-sm">
+            <select value={filters.accountId} onChange={(e) => update({ accountId: e.target.value })} className={inputClass}>
+              <option value="all">All Accounts</option>
+              {accounts.map(account => (
+                <option key={account.id} value={account.id}>{account.name}</option>
+              ))}
+            </select>
+            <select value={filters.category} onChange={(e) => update({ category: e.target.value })} className={inputClass}>
+              <option value="all">All Categories</option>
+              {categoryTree(categories, { includeArchived: true }).map(c => (
+                <option key={c.id} value={c.name}>{c.label}</option>
+              ))}
+            </select>
+            <select value={filters.type} onChange={(e) => update({ type: e.target.value })} className={inputClass}>
+              <option value="all">Credits &amp; Debits</option>
+              <option value="credit">Credits</option>
+              <option value="debit">Debits</option>
+            </select>
+            <input
+              type="number"
+              min="0"
+              placeholder="Min amount"
+              value={filters.minAmount}
+              onChange={(e) => update({ minAmount: e.target.value })}
+              className={`${inputClass} w-28`}
+            />
+            <input
+              type="number"
+              min="0"
+              placeholder="Max amount"
+              value={filters.maxAmount}
+              onChange={(e) => update({ maxAmount: e.target.value })}
+              className={`${inputClass} w-28`}
+            />
+            <label className="flex items-center gap-1">
+              From
+              <input type="date" value={filters.startDate} onChange={(e) => update({ startDate: e.target.value })} className={inputClass} />
+            </label>
+            <label className="flex items-center gap-1">
+              To
+              <input type="date" value={filters.endDate} onChange={(e) => update({ endDate: e.target.value })} className={inputClass} />
+            </label>
+          </div>
+
+          <div className="flex flex-wrap items-center gap-2 text-sm">
+            <input
+              placeholder="Preset name"
+              value={presetName}
+              onChange={(e) => setPresetName(e.target.value)}
+              className={inputClass}
+            />
+            <button
+              onClick={savePreset}
+              disabled={!presetName.trim() || activeCount === 0}
+              className="px-3 py-1 rounded bg-blue-600 hover:bg-blue-700 text-white disabled:opacity-50"
+            >
+              Save Preset
+            </button>
+            {filterPresets.map(preset => (
+              <span key={preset.id} className="flex items-center gap-1 px-2 py-1 rounded bg-gray-100">
+                {preset.name}
+                <button
+                  onClick={() => setFilterPresets(prev => prev.filter(p => p.id !== preset.id))}
+                  className="text-red-700 hover:underline text-xs"
+                  aria-label={`Delete preset ${preset.name}`}
+                >
+                  ×
+                </button>
+              </span>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,102 @@
+// src/analytics.js
+// Spending analytics: totals by category, month and merchant, income versus
+// expense, and average daily spend. Transfers are never counted.
+import { isTransfer } from './transfers';
+import { monthKey } from './budgets';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const sum = (transactions) => transactions.reduce((total, t) => total + Number(t.amount), 0);
+
+const expenses = (transactions) => transactions.filter(t => t.type === 'debit');
+
+// Transactions inside the filters: { accountId, start, end, categories }.
+// `categories` is a list of names (a category plus its subcategories) or null for all.
+export const filterTransactions = (transactions, { accountId = 'all', start = null, end = null, categories = null } = {}) =>
+  transactions.filter(t => {
+    if (isTransfer(t)) return false;
+    if (accountId !== 'all' && t.accountId !== accountId) return false;
+    const date = new Date(t.date);
+    if (start && date < start) return false;
+    if (end && date > end) return false;
+    return !categories || categories.includes(t.category);
+  });
+
+// [{ name, value }] largest first
+export const spendingByCategory = (transactions) => {
+  const totals = {};
+  expenses(transactions).forEach(t => {
+    totals[t.category] = (totals[t.category] || 0) + Number(t.amount);
+  });
+  return Object.entries(totals)
+    .map(([name, value]) => ({ name, value }))
+    .sort((a, b) => b.value - a.value);
+};
+
+// One row per calendar month from `start` to `end`, including empty months:
+// [{ month: '2025-03', label, income, expense, net }]
+export const monthlyTotals = (transactions, start, end) => {
+  const rows = {};
+  const cursor = new Date(start.getFullYear(), start.getMonth(), 1);
+  while (cursor <= end) {
+    const month = monthKey(cursor);
+    rows[month] = {
+      month,
+      label: cursor.toLocaleDateString(undefined, { month: 'short', year: '2-digit' }),
+      income: 0,
+      expense: 0,
+      net: 0,
+    };
+    cursor.setMonth(cursor.getMonth() + 1);
+  }
+  transactions.forEach(t => {
+    const row = rows[monthKey(t.date)];
+    if (!row) return;
+    if (t.type === 'credit') row.income += Number(t.amount);
+    else row.expense += Number(t.amount);
+    row.net = row.income - row.expense;
+  });
+  return Object.values(rows);
+};
+
+// Card processors and banks decorate merchant names with prefixes, store
+// numbers and locations: "SQ *BLUE BOTTLE #123 OAKLAND CA" -> "Blue Bottle"
+const MERCHANT_PREFIXES = /^(sq|tst|sp|pp|paypal|pos|ach|dd|debit card purchase|purchase|card purchase|checkcard)\s*[*:-]?\s*/i;
+
+export const merchantName = (details = '') => {
+  const cleaned = String(details)
+    .replace(MERCHANT_PREFIXES, '')
+    .replace(/\s+\d{2}\/\d{2}(\/\d{2,4})?\b.*$/, '') // trailing dates
+    .replace(/\s*[#*]\s*\w*\d\w*.*$/, '') // store numbers and references
+    .replace(/\s+\d[\d-]*.*$/, '') // trailing digits
+    .replace(/\s+[A-Z]{2}$/, '') // state codes
+    .replace(/\s{2,}/g, ' ')
+    .trim();
+  if (!cleaned) return '';
+  return cleaned
+    .toLowerCase()
+    .split(' ')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+};
+
+// [{ name, total, count }] for the `limit` merchants with the most spending
+export const topMerchants = (transactions, limit = 10) => {
+  const merchants = {};
+  expenses(transactions).forEach(t => {
+    const name = merchantName(t.details);
+    if (!name) return;
+    merchants[name] = merchants[name] || { name, total: 0, count: 0 };
+    merchants[name].total += Number(t.amount);
+    merchants[name].count += 1;
+  });
+  return Object.values(merchants).sort((a, b) => b.total - a.total).slice(0, limit);
+};
+
+// Totals for the filtered period, with spend averaged over its calendar days
+export const spendingSummary = (transactions, start, end) => {
+  const income = sum(transactions.filter(t => t.type === 'credit'));
+  const expense = sum(expenses(transactions));
+  const days = Math.max(1, Math.round((end - start) / DAY_MS));
+  return { income, expense, net: income - expense, averageDailySpend: expense / days };
+};
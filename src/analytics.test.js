@@ -0,0 +1,29 @@
+import { filterTransactions, spendingByCategory, monthlyTotals, merchantName, topMerchants, spendingSummary } from './analytics';
+
+const at = (month, day) => new Date(2025, month, day, 12).toISOString();
+const transactions = [
+  { id: '1', accountId: 'a', amount: 2000, type: 'credit', category: 'Other', details: 'Payroll', date: at(0, 1) },
+  { id: '2', accountId: 'a', amount: 12.5, type: 'debit', category: 'Food', details: 'SQ *BLUE BOTTLE #123 OAKLAND CA', date: at(0, 3) },
+  { id: '3', accountId: 'b', amount: 7.5, type: 'debit', category: 'Food', details: 'Blue Bottle 0457', date: at(1, 3) },
+  { id: '4', accountId: 'a', amount: 60, type: 'debit', category: 'Transportation', details: 'SHELL OIL 5744', date: at(1, 9) },
+  { id: '5', accountId: 'a', amount: 500, type: 'debit', category: 'Transfer', details: 'Card payment', date: at(1, 10), transferId: 't' },
+];
+
+test('filters skip transfers and respect account, dates and categories', () => {
+  expect(filterTransactions(transactions).map(t => t.id)).toEqual(['1', '2', '3', '4']);
+  expect(filterTransactions(transactions, { accountId: 'b' }).map(t => t.id)).toEqual(['3']);
+  expect(filterTransactions(transactions, { start: new Date(2025, 1, 1), categories: ['Food'] }).map(t => t.id)).toEqual(['3']);
+});
+
+test('category, month and merchant totals', () => {
+  const filtered = filterTransactions(transactions);
+  expect(spendingByCategory(filtered)).toEqual([{ name: 'Transportation', value: 60 }, { name: 'Food', value: 20 }]);
+  const months = monthlyTotals(filtered, new Date(2025, 0, 1), new Date(2025, 2, 31));
+  expect(months.map(m => [m.month, m.income, m.expense])).toEqual([['2025-01', 2000, 12.5], ['2025-02', 0, 67.5], ['2025-03', 0, 0]]);
+  expect(merchantName('SQ *BLUE BOTTLE #123 OAKLAND CA')).toBe('Blue Bottle');
+  expect(topMerchants(filtered)).toEqual([
+    { name: 'Shell Oil', total: 60, count: 1 },
+    { name: 'Blue Bottle', total: 20, count: 2 },
+  ]);
+  expect(spendingSummary(filtered, new Date(2025, 0, 1), new Date(2025, 0, 21)).averageDailySpend).toBe(4);
+});
@@ -0,0 +1,63 @@
+// src/authProviders.js
+// Which identity provider signs users in, and its settings, from the runtime
+// config (see config.js). `authProvider` picks one of AUTH_PROVIDERS:
+//   auth0  auth0Domain, auth0ClientId, auth0Audience
+//   okta   oktaIssuer (or oktaDomain), oktaClientId, oktaScopes
+//   dev    devUser ({ sub, name, email }), devToken; a local stub with no real login
+//          (the sync server's MOCK_AUTH=1 mode accepts the same devToken)
+// Components use them through useAuth() in AuthProvider.js.
+
+export const AUTH_PROVIDERS = ['auth0', 'okta', 'dev'];
+
+export const AUTH_PROVIDER_LABELS = {
+  auth0: 'Auth0',
+  okta: 'Okta',
+  dev: 'Dev Login',
+};
+
+export const DEV_USER = { sub: 'dev|local-user', name: 'Local Developer', email: 'dev@localhost' };
+
+export class AuthConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuthConfigError';
+  }
+}
+
+const toScopes = (value) => {
+  if (Array.isArray(value)) return value;
+  if (typeof value === 'string' && value.trim()) return value.trim().split(/[\s,]+/);
+  return ['openid', 'profile', 'email'];
+};
+
+// Build the settings for the configured provider; throws AuthConfigError
+// when the provider is unknown or missing what it needs
+export const getAuthConfig = (env) => {
+  const provider = (env.authProvider || 'auth0').toLowerCase();
+  if (!AUTH_PROVIDERS.includes(provider)) {
+    throw new AuthConfigError(`Unknown authProvider "${env.authProvider}"; use one of ${AUTH_PROVIDERS.join(', ')}.`);
+  }
+  const label = AUTH_PROVIDER_LABELS[provider];
+
+  if (provider === 'auth0') {
+    const { auth0Domain: domain, auth0ClientId: clientId } = env;
+    if (!domain || !clientId) throw new AuthConfigError('Auth0 needs auth0Domain and auth0ClientId.');
+    return { provider, label, domain, clientId, audience: env.auth0Audience || '' };
+  }
+
+  if (provider === 'okta') {
+    const issuer = env.oktaIssuer || (env.oktaDomain ? `https://${env.oktaDomain}/oauth2/default` : '');
+    if (!issuer || !env.oktaClientId) throw new AuthConfigError('Okta needs oktaIssuer (or oktaDomain) and oktaClientId.');
+    return {
+      provider,
+      label,
+      issuer,
+      clientId: env.oktaClientId,
+      redirectUri: `${window.location.origin}/login/callback`,
+      scopes: toScopes(env.oktaScopes),
+      pkce: true,
+    };
+  }
+
+  return { provider, label, user: { ...DEV_USER, ...env.devUser }, token: env.devToken || 'dev-token' };
+};
@@ -0,0 +1,36 @@
+// src/authProviders.test.js
+import { getAuthConfig, AuthConfigError, DEV_USER } from './authProviders';
+
+test('defaults to Auth0 and reads its settings from the runtime config', () => {
+  expect(getAuthConfig({ auth0Domain: 'tenant.auth0.com', auth0ClientId: 'abc', auth0Audience: 'https://api' })).toEqual({
+    provider: 'auth0',
+    label: 'Auth0',
+    domain: 'tenant.auth0.com',
+    clientId: 'abc',
+    audience: 'https://api',
+  });
+});
+
+test('builds Okta and dev stub settings', () => {
+  const okta = getAuthConfig({ authProvider: 'Okta', oktaDomain: 'dev-1.okta.com', oktaClientId: 'xyz', oktaScopes: 'openid email' });
+  expect(okta).toMatchObject({
+    provider: 'okta',
+    issuer: 'https://dev-1.okta.com/oauth2/default',
+    scopes: ['openid', 'email'],
+    redirectUri: `${window.location.origin}/login/callback`,
+  });
+  expect(getAuthConfig({ authProvider: 'dev', devUser: { name: 'Sam' } }).user).toEqual({ ...DEV_USER, name: 'Sam' });
+});
+
+test('rejects unknown providers and missing settings', () => {
+  expect(() => getAuthConfig({ authProvider: 'cognito' })).toThrow(AuthConfigError);
+  expect(() => getAuthConfig({ authProvider: 'okta', oktaClientId: 'xyz' })).toThrow('Okta needs');
+});
+
+test('takes Auth0 settings from the runtime config only, not build-time variables', () => {
+  process.env.REACT_APP_OKTA_DOMAIN = 'tenant.auth0.com';
+  process.env.REACT_APP_OKTA_CLIENT_ID = 'abc';
+  expect(() => getAuthConfig({})).toThrow('Auth0 needs auth0Domain and auth0ClientId.');
+  delete process.env.REACT_APP_OKTA_DOMAIN;
+  delete process.env.REACT_APP_OKTA_CLIENT_ID;
+});
@@ -0,0 +1,72 @@
+// src/balanceHistory.js
+// Account balances over time. Both helpers sort once and walk the ledger in a
+// single pass, so they stay fast with thousands of transactions.
+import { isLiability } from './financeStore';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const BALANCE_RANGES = {
+  '1m': { label: '1 Month', days: 30 },
+  '3m': { label: '3 Months', days: 91 },
+  '6m': { label: '6 Months', days: 182 },
+  '1y': { label: '1 Year', days: 365 },
+  all: { label: 'All Time', days: null },
+};
+
+const signed = (t) => (t.type === 'credit' ? Number(t.amount) : -Number(t.amount));
+
+// Oldest first; same-day entries keep the order they were added in
+const chronological = (transactions) =>
+  transactions
+    .map((transaction, index) => ({ transaction, index, time: new Date(transaction.date).getTime() }))
+    .sort((a, b) => a.time - b.time || a.index - b.index);
+
+// Balance of each transaction's account right after it, keyed by transaction
+// id, in the account's own terms (cards show what is owed)
+export const runningBalances = (accounts, transactions) => {
+  const liability = new Set(accounts.filter(isLiability).map(a => a.id));
+  const ledgers = {};
+  const result = new Map();
+  chronological(transactions).forEach(({ transaction }) => {
+    const ledger = (ledgers[transaction.accountId] || 0) + signed(transaction);
+    ledgers[transaction.accountId] = ledger;
+    result.set(transaction.id, liability.has(transaction.accountId) ? -ledger : ledger);
+  });
+  return result;
+};
+
+// Chart points for `accounts` from `range` ago until `now`: daily for short
+// ranges, thinned to about `maxPoints` for long ones. Each point has the date,
+// a label and one balance per account id.
+export const balanceSeries = (accounts, transactions, { range = '3m', now = new Date(), maxPoints = 120 } = {}) => {
+  const ids = new Set(accounts.map(a => a.id));
+  const sorted = chronological(transactions.filter(t => ids.has(t.accountId)));
+  const { days } = BALANCE_RANGES[range] || BALANCE_RANGES['3m'];
+  const firstTime = sorted.length ? sorted[0].time : now.getTime();
+  const start = days === null ? new Date(Math.min(firstTime, now.getTime())) : new Date(now.getTime() - days * DAY_MS);
+  const totalDays = Math.max(1, Math.ceil((now - start) / DAY_MS));
+  const step = Math.max(1, Math.ceil(totalDays / maxPoints));
+
+  const ledgers = Object.fromEntries(accounts.map(a => [a.id, 0]));
+  const points = [];
+  let cursor = 0;
+  const advanceTo = (time) => {
+    while (cursor < sorted.length && sorted[cursor].time <= time) {
+      const { transaction } = sorted[cursor];
+      ledgers[transaction.accountId] += signed(transaction);
+      cursor += 1;
+    }
+  };
+  for (let day = 0; day <= totalDays; day += step) {
+    // The last point is always today, whatever the step
+    const date = day + step > totalDays ? now : new Date(start.getTime() + day * DAY_MS);
+    advanceTo(date.getTime());
+    points.push({
+      date: date.toISOString(),
+      label: date.toLocaleDateString(undefined, { month: 'short', day: 'numeric', ...(totalDays > 365 ? { year: '2-digit' } : {}) }),
+      ...Object.fromEntries(accounts.map(a => [a.id, isLiability(a) ? -ledgers[a.id] : ledgers[a.id]])),
+    });
+    if (date === now) break;
+  }
+  return points;
+};
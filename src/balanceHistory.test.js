@@ -0,0 +1,27 @@
+import { runningBalances, balanceSeries } from './balanceHistory';
+
+const accounts = [
+  { id: 'chk', name: 'Checking', accountType: 'debit' },
+  { id: 'visa', name: 'Visa', accountType: 'credit' },
+];
+const at = (day) => new Date(2025, 2, day, 12).toISOString();
+const transactions = [
+  { id: '2', accountId: 'chk', amount: 40, type: 'debit', date: at(5) },
+  { id: '1', accountId: 'chk', amount: 100, type: 'credit', date: at(1) },
+  { id: '3', accountId: 'visa', amount: 25, type: 'debit', date: at(5) },
+  { id: '4', accountId: 'chk', amount: 10, type: 'debit', date: at(5) },
+];
+
+test('runningBalances follows date order, then entry order, per account', () => {
+  const balances = runningBalances(accounts, transactions);
+  expect(['1', '2', '3', '4'].map(id => balances.get(id))).toEqual([100, 60, 25, 50]);
+});
+
+test('balanceSeries samples each day and ends today', () => {
+  const points = balanceSeries(accounts, transactions, { range: '1m', now: new Date(2025, 2, 10, 18) });
+  expect(points).toHaveLength(31);
+  expect(points[points.length - 1]).toMatchObject({ chk: 50, visa: 25 });
+  const thinned = balanceSeries(accounts, transactions, { range: '1y', now: new Date(2025, 2, 10, 18), maxPoints: 12 });
+  expect(thinned.length).toBeLessThanOrEqual(14);
+  expect(thinned[thinned.length - 1].chk).toBe(50);
+});
@@ -0,0 +1,82 @@
+// src/budgets.js
+// Monthly category budgets: spending, rollover and threshold alerts.
+// A budget covers its category and every subcategory under it, so the
+// functions take the category records (see categories.js) as `categories`.
+import { categoryWithDescendants } from './categories';
+
+export const DEFAULT_ALERT_THRESHOLD = 80;
+
+export const monthKey = (date) => {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+};
+
+// Total debits in a category and its subcategories for the calendar month
+// containing `date`. Transfers between accounts are not spending.
+export const spentInMonth = (category, transactions, date, categories = []) => {
+  const key = monthKey(date);
+  const names = new Set(categoryWithDescendants(categories, category));
+  return transactions
+    .filter(t => t.type === 'debit' && !t.transferId && names.has(t.category) && monthKey(t.date) === key)
+    .reduce((sum, t) => sum + Number(t.amount), 0);
+};
+
+// Unspent (or overspent) amounts carried from the budget's first month up to,
+// but not including, the month containing `date`.
+const rolloverCarry = (budget, transactions, date, categories) => {
+  const current = new Date(date);
+  const [startYear, startMonth] = (budget.startMonth || monthKey(current)).split('-').map(Number);
+  const currentMonthStart = new Date(current.getFullYear(), current.getMonth(), 1);
+  let cursor = new Date(startYear, startMonth - 1, 1);
+  let carry = 0;
+  while (cursor < currentMonthStart) {
+    carry += Number(budget.amount) - spentInMonth(budget.category, transactions, cursor, categories);
+    cursor = new Date(cursor.getFullYear(), cursor.getMonth() + 1, 1);
+  }
+  return carry;
+};
+
+// Where a budget stands for the month containing `date`
+export const calculateBudgetStatus = (budget, transactions, date = new Date(), categories = []) => {
+  const carryover = budget.rollover ? rolloverCarry(budget, transactions, date, categories) : 0;
+  const available = Number(budget.amount) + carryover;
+  const spent = spentInMonth(budget.category, transactions, date, categories);
+  const percent = available > 0 ? (spent / available) * 100 : spent > 0 ? 100 : 0;
+  const threshold = Number(budget.alertThreshold ?? DEFAULT_ALERT_THRESHOLD);
+  let status = 'ok';
+  if (spent > available) status = 'over';
+  else if (percent >= threshold) status = 'warning';
+  return { budget, carryover, available, spent, remaining: available - spent, percent, status };
+};
+
+export const getBudgetStatuses = (budgets, transactions, date = new Date(), categories = []) =>
+  budgets.map(budget => calculateBudgetStatus(budget, transactions, date, categories));
+
+export const getBudgetAlerts = (budgets, transactions, date = new Date(), categories = []) =>
+  getBudgetStatuses(budgets, transactions, date, categories).filter(status => status.status !== 'ok');
+
+const SEVERITY = { ok: 0, warning: 1, over: 2 };
+
+// The budget status after `transaction` was saved, if it pushed its category
+// (or a parent category's budget) past the alert threshold or over budget;
+// otherwise null. The category's own budget is checked first.
+export const findBudgetCrossing = (budgets, before, after, transaction, categories = []) => {
+  if (transaction.type !== 'debit' || transaction.transferId) return null;
+  const covering = budgets
+    .filter(b => categoryWithDescendants(categories, b.category).includes(transaction.category))
+    .sort((a, b) => (b.category === transaction.category) - (a.category === transaction.category));
+  for (const budget of covering) {
+    const previous = calculateBudgetStatus(budget, before, transaction.date, categories);
+    const next = calculateBudgetStatus(budget, after, transaction.date, categories);
+    if (SEVERITY[next.status] > SEVERITY[previous.status]) return next;
+  }
+  return null;
+};
+
+const dollars = (amount) => `$${amount.toFixed(2)}`;
+
+// `format` renders money amounts, e.g. a currency helper's format in the base currency
+export const describeBudgetAlert = ({ budget, spent, available, percent, status }, format = dollars) =>
+  status === 'over'
+    ? `Over budget: ${budget.category} is at ${format(spent)} of ${format(available)} this month.`
+    : `Budget alert: ${budget.category} has used ${percent.toFixed(0)}% (${format(spent)} of ${format(available)}) this month.`;
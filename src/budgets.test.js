@@ -0,0 +1,56 @@
+import { calculateBudgetStatus, findBudgetCrossing, describeBudgetAlert } from './budgets';
+
+const day = (month, date) => new Date(2025, month, date, 12).toISOString();
+const budget = { id: 'b1', category: 'Food', amount: 100, rollover: false, alertThreshold: 80, startMonth: '2025-01' };
+const transactions = [
+  { id: '1', accountId: 'a', amount: 60, type: 'debit', category: 'Food', date: day(0, 5) },
+  { id: '2', accountId: 'a', amount: 30, type: 'debit', category: 'Food', date: day(1, 3) },
+  { id: '3', accountId: 'a', amount: 500, type: 'debit', category: 'Housing', date: day(1, 1) },
+  { id: '4', accountId: 'a', amount: 1000, type: 'credit', category: 'Food', date: day(1, 2) },
+];
+
+test('status counts only debits in the category for the month', () => {
+  const status = calculateBudgetStatus(budget, transactions, new Date(2025, 1, 15));
+  expect(status).toMatchObject({ spent: 30, available: 100, remaining: 70, status: 'ok', carryover: 0 });
+});
+
+test('rollover carries unspent amounts from earlier months', () => {
+  const status = calculateBudgetStatus({ ...budget, rollover: true }, transactions, new Date(2025, 1, 15));
+  expect(status).toMatchObject({ carryover: 40, available: 140, remaining: 110 });
+});
+
+test('findBudgetCrossing reports when a transaction crosses the threshold', () => {
+  const added = { id: '5', accountId: 'a', amount: 55, type: 'debit', category: 'Food', date: day(1, 10) };
+  const crossing = findBudgetCrossing([budget], transactions, [...transactions, added], added);
+  expect(crossing).toMatchObject({ spent: 85, status: 'warning' });
+  expect(describeBudgetAlert(crossing)).toBe('Budget alert: Food has used 85% ($85.00 of $100.00) this month.');
+
+  const over = { ...added, id: '6', amount: 80 };
+  expect(findBudgetCrossing([budget], transactions, [...transactions, over], over).status).toBe('over');
+
+  const small = { ...added, id: '7', amount: 5 };
+  expect(findBudgetCrossing([budget], transactions, [...transactions, small], small)).toBeNull();
+});
+
+test('a parent category budget counts its subcategories', () => {
+  const categories = [
+    { id: 'c1', name: 'Food' },
+    { id: 'c2', name: 'Groceries', parentId: 'c1' },
+    { id: 'c3', name: 'Produce', parentId: 'c2' },
+  ];
+  const groceries = { id: 'b2', category: 'Groceries', amount: 50, rollover: false, alertThreshold: 80, startMonth: '2025-01' };
+  const nested = [
+    ...transactions,
+    { id: '8', accountId: 'a', amount: 40, type: 'debit', category: 'Groceries', date: day(1, 4) },
+    { id: '9', accountId: 'a', amount: 5, type: 'debit', category: 'Produce', date: day(1, 6) },
+  ];
+  const date = new Date(2025, 1, 15);
+  expect(calculateBudgetStatus(budget, nested, date, categories)).toMatchObject({ spent: 75, status: 'ok' });
+  expect(calculateBudgetStatus(groceries, nested, date, categories)).toMatchObject({ spent: 45, status: 'warning' });
+  expect(calculateBudgetStatus(budget, nested, date).spent).toBe(30);
+
+  // A produce purchase pushes the Food budget over without touching a Produce budget
+  const added = { id: '10', accountId: 'a', amount: 30, type: 'debit', category: 'Produce', date: day(1, 10) };
+  const crossing = findBudgetCrossing([budget], nested, [...nested, added], added, categories);
+  expect(crossing).toMatchObject({ budget, spent: 105, status: 'over' });
+});
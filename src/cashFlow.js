@@ -0,0 +1,83 @@
+// src/cashFlow.js
+// Cash-flow forecast for every account: today's balance carried forward with the
+// account's average day-to-day activity plus its scheduled recurring items.
+import { calculateBalance } from './financeStore';
+import { dayKey, scheduledTransactions } from './recurring';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_LOOKBACK_DAYS = 90;
+// Short histories are averaged over at least this many days so a single
+// purchase doesn't dominate the forecast.
+const MIN_LOOKBACK_DAYS = 30;
+
+const signed = (t) => (t.type === 'credit' ? Number(t.amount) : -Number(t.amount));
+
+export const forecastDays = (timeframe, now = new Date()) => {
+  const months = timeframe === '6m' ? 6 : timeframe === '1y' ? 12 : 24;
+  const end = new Date(now.getFullYear(), now.getMonth() + months, now.getDate());
+  return Math.round((end - new Date(now.getFullYear(), now.getMonth(), now.getDate())) / DAY_MS);
+};
+
+// Average daily net change from one-off transactions. Recurring occurrences are
+// left out because the forecast adds them on their actual dates.
+export const averageDailyNet = (accountId, transactions, now = new Date(), lookbackDays = DEFAULT_LOOKBACK_DAYS) => {
+  const since = now.getTime() - lookbackDays * DAY_MS;
+  const history = transactions.filter(t => {
+    const time = new Date(t.date).getTime();
+    return t.accountId === accountId && !t.recurringId && time > since && time <= now.getTime();
+  });
+  if (!history.length) return 0;
+  const earliest = Math.min(...history.map(t => new Date(t.date).getTime()));
+  const span = Math.min(lookbackDays, Math.max(MIN_LOOKBACK_DAYS, (now.getTime() - earliest) / DAY_MS));
+  return history.reduce((sum, t) => sum + signed(t), 0) / span;
+};
+
+// Project each account day by day for `days` days. Returns weekly chart points
+// (plus the final day) and a warning for each day a debit account drops below zero.
+export const forecastCashFlow = ({ accounts, transactions, recurring = [] }, { now = new Date(), days = 180 } = {}) => {
+  // Step by calendar day so DST changes never skip or repeat a date
+  const dayAt = (offset) => new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset, now.getHours(), now.getMinutes());
+  const end = dayAt(days);
+  const scheduled = {};
+  scheduledTransactions(recurring, now, end).forEach(t => {
+    const key = `${t.accountId}|${dayKey(t.date)}`;
+    scheduled[key] = (scheduled[key] || 0) + signed(t);
+  });
+
+  const balances = {};
+  const daily = {};
+  accounts.forEach(account => {
+    balances[account.id] = calculateBalance(account.id, transactions, now);
+    daily[account.id] = averageDailyNet(account.id, transactions, now);
+    // Items still due later today
+    balances[account.id] += scheduled[`${account.id}|${dayKey(now)}`] || 0;
+  });
+
+  const point = (date) => ({
+    date: date.toISOString(),
+    label: date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' }),
+    ...balances,
+  });
+
+  const warnings = [];
+  accounts
+    .filter(account => account.accountType === 'debit' && balances[account.id] < 0)
+    .forEach(account => warnings.push({ account, date: now.toISOString(), balance: balances[account.id] }));
+
+  const points = [point(now)];
+  for (let day = 1; day <= days; day++) {
+    const date = dayAt(day);
+    const key = dayKey(date);
+    accounts.forEach(account => {
+      const previous = balances[account.id];
+      const next = previous + daily[account.id] + (scheduled[`${account.id}|${key}`] || 0);
+      balances[account.id] = next;
+      if (account.accountType === 'debit' && previous >= 0 && next < 0) {
+        warnings.push({ account, date: date.toISOString(), balance: next });
+      }
+    });
+    if (day % 7 === 0 || day === days) points.push(point(date));
+  }
+  return { points, warnings };
+};
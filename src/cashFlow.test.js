@@ -0,0 +1,30 @@
+import { averageDailyNet, forecastCashFlow } from './cashFlow';
+
+const now = new Date(2025, 5, 1, 12);
+const day = (offset) => new Date(2025, 5, 1 + offset, 12).toISOString();
+const accounts = [
+  { id: 'chk', name: 'Checking', accountType: 'debit' },
+  { id: 'visa', name: 'Visa', accountType: 'credit', limit: 1000 },
+];
+const transactions = [
+  { id: '1', accountId: 'chk', amount: 500, type: 'credit', date: day(-60) },
+  { id: '2', accountId: 'chk', amount: 900, type: 'debit', date: day(-30) },
+  { id: '3', accountId: 'chk', amount: 1000, type: 'credit', date: day(-10), recurringId: 'pay' },
+];
+
+test('averageDailyNet ignores recurring occurrences', () => {
+  expect(averageDailyNet('chk', transactions, now)).toBeCloseTo(-400 / 60);
+  expect(averageDailyNet('visa', transactions, now)).toBe(0);
+});
+
+test('forecast flags the day a debit account goes negative', () => {
+  const recurring = [{
+    id: 'rent', accountId: 'chk', amount: 800, type: 'debit', frequency: 'monthly', startDate: day(5), exceptions: {},
+  }];
+  const { points, warnings } = forecastCashFlow({ accounts, transactions, recurring }, { now, days: 14 });
+  expect(points[0].chk).toBe(600);
+  expect(points[points.length - 1].visa).toBe(0);
+  expect(warnings).toHaveLength(1);
+  expect(warnings[0].account.id).toBe('chk');
+  expect(new Date(warnings[0].date).getDate()).toBe(6);
+});
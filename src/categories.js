@@ -0,0 +1,152 @@
+// src/categories.js
+// User-defined categories (with sub-categories) and auto-categorization rules.
+// Transactions and budgets refer to categories by name, so renames and merges
+// rewrite those references too.
+
+export const DEFAULT_CATEGORIES = [
+  'Housing',
+  'Transportation',
+  'Food',
+  'Utilities',
+  'Healthcare',
+  'Entertainment',
+  'Shopping',
+  'Other',
+];
+
+export const FALLBACK_CATEGORY = 'Other';
+
+export const RULE_MATCHES = ['contains', 'startsWith', 'equals'];
+
+const sameName = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+export const buildCategories = (names, now = Date.now()) =>
+  names.map((name, idx) => ({ id: `${now}-${idx}`, name, parentId: null, archived: false }));
+
+// Depth-first list of categories with their display path, e.g. "Food / Groceries"
+export const categoryTree = (categories, { includeArchived = false } = {}) => {
+  const visible = categories.filter(c => includeArchived || !c.archived);
+  const result = [];
+  const walk = (parentId, path, depth) => {
+    visible
+      .filter(c => (c.parentId || null) === parentId)
+      .forEach(category => {
+        const label = path ? `${path} / ${category.name}` : category.name;
+        result.push({ ...category, label, depth });
+        walk(category.id, label, depth + 1);
+      });
+  };
+  walk(null, '', 0);
+  return result;
+};
+
+// Names offered when entering a transaction or budget
+export const activeCategoryNames = (categories) => categoryTree(categories).map(c => c.name);
+
+// A category's name plus the names of everything nested under it
+export const categoryWithDescendants = (categories, name) => {
+  const root = categories.find(c => c.name === name);
+  const names = [name];
+  const collect = (parentId) => categories
+    .filter(c => c.parentId === parentId)
+    .forEach(child => {
+      names.push(child.name);
+      collect(child.id);
+    });
+  if (root) collect(root.id);
+  return names;
+};
+
+export const createCategory = (categories, name, parentId = null) => {
+  const trimmed = (name || '').trim();
+  if (!trimmed) throw new Error('Category name is required.');
+  if (categories.some(c => sameName(c.name, trimmed))) throw new Error(`A category named "${trimmed}" already exists.`);
+  return [...categories, { id: Date.now().toString(), name: trimmed, parentId, archived: false }];
+};
+
+// Recurring templates carry a category, and so may each per-date exception
+const renameInTemplate = (template, fromName, toName) => {
+  const exceptions = Object.fromEntries(Object.entries(template.exceptions || {}).map(([day, exception]) => [
+    day,
+    exception.category === fromName ? { ...exception, category: toName } : exception,
+  ]));
+  return {
+    ...template,
+    category: template.category === fromName ? toName : template.category,
+    ...(template.exceptions ? { exceptions } : {}),
+  };
+};
+
+const renameReferences = (data, fromName, toName) => ({
+  transactions: data.transactions.map(t => (t.category === fromName ? { ...t, category: toName } : t)),
+  categoryRules: data.categoryRules.map(r => (r.category === fromName ? { ...r, category: toName } : r)),
+  ...(data.recurring ? { recurring: data.recurring.map(t => renameInTemplate(t, fromName, toName)) } : {}),
+});
+
+// Rename a category and re-categorize everything that used the old name.
+// `data` holds categories, transactions, budgets, categoryRules and recurring.
+export const renameCategory = (data, id, newName) => {
+  const category = data.categories.find(c => c.id === id);
+  const trimmed = (newName || '').trim();
+  if (!category) throw new Error('Category not found.');
+  if (!trimmed) throw new Error('Category name is required.');
+  if (data.categories.some(c => c.id !== id && sameName(c.name, trimmed))) {
+    throw new Error(`A category named "${trimmed}" already exists. Merge them instead.`);
+  }
+  return {
+    categories: data.categories.map(c => (c.id === id ? { ...c, name: trimmed } : c)),
+    budgets: data.budgets.map(b => (b.category === category.name ? { ...b, category: trimmed } : b)),
+    ...renameReferences(data, category.name, trimmed),
+  };
+};
+
+// Fold `sourceId` into `targetId`: its transactions, rules and sub-categories move
+// to the target, and its budget is dropped when the target already has one.
+export const mergeCategory = (data, sourceId, targetId) => {
+  const source = data.categories.find(c => c.id === sourceId);
+  const target = data.categories.find(c => c.id === targetId);
+  if (!source || !target || source.id === target.id) throw new Error('Choose two different categories to merge.');
+  const targetHasBudget = data.budgets.some(b => b.category === target.name);
+  return {
+    categories: data.categories
+      .filter(c => c.id !== source.id)
+      .map(c => (c.parentId === source.id ? { ...c, parentId: c.id === target.id ? source.parentId || null : target.id } : c)),
+    budgets: targetHasBudget
+      ? data.budgets.filter(b => b.category !== source.name)
+      : data.budgets.map(b => (b.category === source.name ? { ...b, category: target.name } : b)),
+    ...renameReferences(data, source.name, target.name),
+  };
+};
+
+// Archived categories stay on existing transactions but are hidden from pickers
+export const setCategoryArchived = (categories, id, archived) => {
+  const ids = new Set();
+  // Archiving a parent archives its sub-categories as well
+  const collect = (categoryId) => {
+    ids.add(categoryId);
+    if (!archived) return;
+    categories
+      .filter(c => c.parentId === categoryId && !ids.has(c.id))
+      .forEach(c => collect(c.id));
+  };
+  collect(id);
+  return categories.map(c => (ids.has(c.id) ? { ...c, archived } : c));
+};
+
+// --- Rules, e.g. "details contains 'Uber' -> Transportation" ---
+export const ruleMatches = (rule, details = '') => {
+  const text = details.toLowerCase();
+  const pattern = (rule.pattern || '').toLowerCase();
+  if (!pattern) return false;
+  if (rule.match === 'equals') return text === pattern;
+  if (rule.match === 'startsWith') return text.startsWith(pattern);
+  return text.includes(pattern);
+};
+
+// Fill in the category from the first matching rule when none was chosen.
+// Callers apply this to new transactions only, so edits keep their category.
+export const applyCategoryRules = (transaction, rules) => {
+  if (transaction.category && transaction.category !== FALLBACK_CATEGORY) return transaction;
+  const rule = rules.find(r => ruleMatches(r, transaction.details));
+  return rule ? { ...transaction, category: rule.category } : { ...transaction, category: transaction.category || FALLBACK_CATEGORY };
+};
@@ -0,0 +1,73 @@
+import {
+  buildCategories,
+  categoryTree,
+  createCategory,
+  renameCategory,
+  mergeCategory,
+  setCategoryArchived,
+  applyCategoryRules,
+} from './categories';
+import { migrateData } from './financeSchema';
+
+const categories = [
+  ...buildCategories(['Food', 'Transportation', 'Other'], 1),
+  { id: 'g', name: 'Groceries', parentId: '1-0', archived: false },
+];
+const data = {
+  categories,
+  transactions: [
+    { id: 't1', category: 'Groceries', details: 'Market' },
+    { id: 't2', category: 'Food', details: 'Cafe' },
+  ],
+  budgets: [{ id: 'b1', category: 'Groceries', amount: 200 }],
+  categoryRules: [{ id: 'r1', pattern: 'market', match: 'contains', category: 'Groceries' }],
+  recurring: [{
+    id: 'rec1',
+    category: 'Groceries',
+    exceptions: { '2025-03-01': { category: 'Groceries', amount: 80 }, '2025-04-01': { skipped: true } },
+  }],
+};
+
+test('categoryTree lists sub-categories under their parent', () => {
+  expect(categoryTree(categories).map(c => c.label)).toEqual(['Food', 'Food / Groceries', 'Transportation', 'Other']);
+  expect(() => createCategory(categories, ' food ')).toThrow('already exists');
+});
+
+test('renaming and merging re-categorize transactions, budgets and rules', () => {
+  const renamed = renameCategory(data, 'g', 'Supermarket');
+  expect(renamed.transactions[0].category).toBe('Supermarket');
+  expect(renamed.budgets[0].category).toBe('Supermarket');
+  expect(renamed.categoryRules[0].category).toBe('Supermarket');
+  expect(renamed.recurring[0].category).toBe('Supermarket');
+  expect(renamed.recurring[0].exceptions).toEqual({
+    '2025-03-01': { category: 'Supermarket', amount: 80 },
+    '2025-04-01': { skipped: true },
+  });
+
+  const merged = mergeCategory(data, 'g', '1-0');
+  expect(merged.categories.map(c => c.name)).toEqual(['Food', 'Transportation', 'Other']);
+  expect(merged.transactions.map(t => t.category)).toEqual(['Food', 'Food']);
+  expect(merged.budgets[0].category).toBe('Food');
+  expect(merged.recurring[0].category).toBe('Food');
+  expect(merged.recurring[0].exceptions['2025-03-01'].category).toBe('Food');
+});
+
+test('archiving a parent hides its sub-categories from pickers', () => {
+  const archived = setCategoryArchived(categories, '1-0', true);
+  expect(categoryTree(archived).map(c => c.name)).toEqual(['Transportation', 'Other']);
+  expect(categoryTree(archived, { includeArchived: true })).toHaveLength(4);
+});
+
+test('rules fill in a category only when none was chosen', () => {
+  const rules = [{ id: 'r', pattern: 'uber', match: 'startsWith', category: 'Transportation' }];
+  expect(applyCategoryRules({ details: 'Uber trip', category: 'Other' }, rules).category).toBe('Transportation');
+  expect(applyCategoryRules({ details: 'Uber Eats', category: 'Food' }, rules).category).toBe('Food');
+  expect(applyCategoryRules({ details: 'Taxi' }, rules).category).toBe('Other');
+});
+
+test('migration seeds categories from the defaults and names in use', () => {
+  const migrated = migrateData({ accounts: [], transactions: [{ id: '1', accountId: 'a', amount: 1, category: 'Pets' }] }, 1);
+  const names = migrated.categories.map(c => c.name);
+  expect(names).toContain('Housing');
+  expect(names[names.length - 1]).toBe('Pets');
+});
@@ -0,0 +1,46 @@
+// src/chartExport.js
+// Save a recharts chart as a PNG by drawing its SVG onto a canvas.
+import { downloadFile } from './dataBackup';
+
+export const exportChartPNG = (container, fileName, scale = 2) =>
+  new Promise((resolve, reject) => {
+    const svg = container?.querySelector('svg.recharts-surface') || container?.querySelector('svg');
+    if (!svg) {
+      reject(new Error('There is no chart to export.'));
+      return;
+    }
+    const { width, height } = svg.getBoundingClientRect();
+    const clone = svg.cloneNode(true);
+    clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+    clone.setAttribute('width', width);
+    clone.setAttribute('height', height);
+    const url = URL.createObjectURL(
+      new Blob([new XMLSerializer().serializeToString(clone)], { type: 'image/svg+xml;charset=utf-8' })
+    );
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = width * scale;
+      canvas.height = height * scale;
+      const context = canvas.getContext('2d');
+      // Charts are drawn on white cards; keep that background in the image
+      context.fillStyle = '#FFFFFF';
+      context.fillRect(0, 0, canvas.width, canvas.height);
+      context.scale(scale, scale);
+      context.drawImage(image, 0, 0, width, height);
+      URL.revokeObjectURL(url);
+      canvas.toBlob(blob => {
+        if (!blob) {
+          reject(new Error('Could not create the image.'));
+          return;
+        }
+        downloadFile(fileName, blob, 'image/png');
+        resolve();
+      }, 'image/png');
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('Could not render the chart.'));
+    };
+    image.src = url;
+  });
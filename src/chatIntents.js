@@ -0,0 +1,312 @@
+// src/chatIntents.js
+// Intent parser for natural-language finance commands in the chat, e.g.
+//   "spent 42.50 on food from Chase yesterday"
+//   "how much did I spend on Transportation last month"
+//   "delete my last transaction"
+//   "pay my visa 200 from checking"
+import { categoryWithDescendants } from './categories';
+
+const DEBIT_VERBS = /\b(spent|spend|paid|pay|bought|buy|charged)\b/i;
+const CREDIT_VERBS = /\b(received|receive|got|earned|earn|deposited|deposit)\b/i;
+const SPENDING_QUERY = /\bhow much\b.*\b(spend|spent|spending)\b/;
+const DELETE_LAST = /\b(delete|remove|undo)\b.*\blast\b.*\b(transaction|entry|expense)\b/;
+const PAY_CARD = /^\s*pay\s+(?:off\s+)?(?:my\s+|the\s+)?/i;
+const BALANCE_QUERY = /\b(what'?s|what is|show|how much is)\b.*\bbalances?\b/;
+const AMOUNT = /\$?\s?(\d{1,3}(?:,\d{3})+|\d+)(\.\d{1,2})?\b/;
+const FILLER_WORDS = /\b(on|for|at|my|a|an|the|from|with|using|into|to|i|just)\b/gi;
+const ACCOUNT_PREPOSITIONS = /\b(?:from|with|using|into|to|on)\s+(?:my\s+)?([a-z0-9&'-]+)/g;
+
+// Words that imply a category when no category name is used directly
+const CATEGORY_KEYWORDS = {
+  Housing: ['rent', 'mortgage'],
+  Transportation: ['uber', 'lyft', 'gas', 'fuel', 'taxi', 'bus', 'train', 'parking'],
+  Food: ['groceries', 'grocery', 'lunch', 'dinner', 'breakfast', 'coffee', 'restaurant'],
+  Utilities: ['electric', 'electricity', 'water', 'internet', 'phone'],
+  Healthcare: ['doctor', 'pharmacy', 'medicine', 'dentist'],
+  Entertainment: ['movie', 'movies', 'netflix', 'concert', 'games'],
+  Shopping: ['clothes', 'amazon'],
+};
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+// Noon keeps a resolved day from shifting across time zones once stored as ISO
+const atNoon = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate(), 12);
+
+// Resolve a relative or explicit date in the text to an ISO string.
+// Returns { date, matched } where `matched` is the phrase that was consumed.
+export const resolveDate = (text, now = new Date()) => {
+  const lower = text.toLowerCase();
+  let match;
+  if ((match = lower.match(/\byesterday\b/))) return { date: atNoon(addDays(now, -1)).toISOString(), matched: match[0] };
+  if ((match = lower.match(/\btoday\b/))) return { date: now.toISOString(), matched: match[0] };
+  if ((match = lower.match(/\b(\d+)\s+days?\s+ago\b/))) {
+    return { date: atNoon(addDays(now, -Number(match[1]))).toISOString(), matched: match[0] };
+  }
+  if ((match = lower.match(new RegExp(`\\b(?:last|on)\\s+(${WEEKDAYS.join('|')})\\b`)))) {
+    const target = WEEKDAYS.indexOf(match[1]);
+    const diff = ((now.getDay() - target + 7) % 7) || 7;
+    return { date: atNoon(addDays(now, -diff)).toISOString(), matched: match[0] };
+  }
+  if ((match = lower.match(/\b(?:on\s+)?(\d{4})-(\d{2})-(\d{2})\b/))) {
+    return { date: new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]), 12).toISOString(), matched: match[0] };
+  }
+  if ((match = lower.match(/\b(?:on\s+)?(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?\b/))) {
+    let year = match[3] ? Number(match[3]) : now.getFullYear();
+    if (year < 100) year += 2000;
+    return { date: new Date(year, Number(match[1]) - 1, Number(match[2]), 12).toISOString(), matched: match[0] };
+  }
+  return { date: now.toISOString(), matched: '' };
+};
+
+// Resolve a period like "last month" or "in the last 30 days" to [start, end)
+export const resolveRange = (text, now = new Date()) => {
+  const lower = text.toLowerCase();
+  const today = startOfDay(now);
+  let match;
+  if (/\blast month\b/.test(lower)) {
+    return { start: new Date(now.getFullYear(), now.getMonth() - 1, 1), end: new Date(now.getFullYear(), now.getMonth(), 1), label: 'last month' };
+  }
+  if (/\bthis month\b/.test(lower)) {
+    return { start: new Date(now.getFullYear(), now.getMonth(), 1), end: addDays(today, 1), label: 'this month' };
+  }
+  if (/\blast week\b/.test(lower)) {
+    const weekStart = addDays(today, -today.getDay());
+    return { start: addDays(weekStart, -7), end: weekStart, label: 'last week' };
+  }
+  if (/\bthis week\b/.test(lower)) {
+    return { start: addDays(today, -today.getDay()), end: addDays(today, 1), label: 'this week' };
+  }
+  if (/\blast year\b/.test(lower)) {
+    return { start: new Date(now.getFullYear() - 1, 0, 1), end: new Date(now.getFullYear(), 0, 1), label: 'last year' };
+  }
+  if (/\bthis year\b/.test(lower)) {
+    return { start: new Date(now.getFullYear(), 0, 1), end: addDays(today, 1), label: 'this year' };
+  }
+  if ((match = lower.match(/\b(?:in the )?(?:last|past) (\d+) days\b/))) {
+    return { start: addDays(today, -Number(match[1]) + 1), end: addDays(today, 1), label: `in the last ${match[1]} days` };
+  }
+  if (/\byesterday\b/.test(lower)) return { start: addDays(today, -1), end: today, label: 'yesterday' };
+  if (/\btoday\b/.test(lower)) return { start: today, end: addDays(today, 1), label: 'today' };
+  return { start: new Date(now.getFullYear(), now.getMonth(), 1), end: addDays(today, 1), label: 'this month' };
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Edit distance (with adjacent transpositions) used to tolerate typos in account names
+const editDistance = (a, b) => {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+};
+
+// Score how well a query matches an account name, from 0 (no match) to 1 (exact)
+const scoreAccountName = (query, name) => {
+  const q = query.toLowerCase().trim();
+  const n = name.toLowerCase();
+  if (!q) return 0;
+  if (q === n) return 1;
+  if (n.startsWith(q)) return 0.9;
+  const words = n.split(/\s+/);
+  if (words.some(word => word.startsWith(q)) || n.includes(q)) return 0.8;
+  const closest = Math.min(editDistance(q, n), ...words.map(word => editDistance(q, word)));
+  const similarity = 1 - closest / Math.max(q.length, 1);
+  return similarity >= 0.6 ? similarity * 0.7 : 0;
+};
+
+// Accounts matching a name or id, best first. An exact id or name match wins outright.
+export const findAccounts = (query, accounts) => {
+  if (!query) return [];
+  const exact = accounts.find(a => a.id === query || a.name.toLowerCase() === query.toLowerCase().trim());
+  if (exact) return [exact];
+  const scored = accounts
+    .map(account => ({ account, score: scoreAccountName(query, account.name) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score);
+  if (!scored.length) return [];
+  // Keep only the matches tied for the best score so a clear winner is not ambiguous
+  return scored.filter(({ score }) => score === scored[0].score).map(({ account }) => account);
+};
+
+// Find an account named in the text: a full name wins, then a word after
+// "from/with/using/into/to/on" that matches account names.
+// `candidates` lists every account that fits when the word is ambiguous.
+export const resolveAccount = (text, accounts) => {
+  const lower = text.toLowerCase();
+  const byName = accounts
+    .map(account => ({
+      account,
+      match: lower.match(new RegExp(`(?:\\b(?:from|with|using|into|to|on)\\s+(?:my\\s+)?)?\\b${escapeRegExp(account.name.toLowerCase())}\\b`)),
+    }))
+    .filter(({ match }) => match)
+    .sort((a, b) => b.account.name.length - a.account.name.length);
+  if (byName.length) return { account: byName[0].account, matched: byName[0].match[0], candidates: [byName[0].account] };
+  for (const match of lower.matchAll(ACCOUNT_PREPOSITIONS)) {
+    const candidates = findAccounts(match[1], accounts);
+    if (candidates.length === 1) return { account: candidates[0], matched: match[0], candidates };
+    if (candidates.length > 1) return { account: null, matched: match[0], candidates };
+  }
+  return { account: null, matched: '', candidates: [] };
+};
+
+export const resolveCategory = (text, categories) => {
+  const lower = text.toLowerCase();
+  const direct = categories.find(c => new RegExp(`\\b${escapeRegExp(c.toLowerCase())}\\b`).test(lower));
+  if (direct) return direct;
+  const implied = Object.keys(CATEGORY_KEYWORDS).find(category =>
+    categories.includes(category) && CATEGORY_KEYWORDS[category].some(word => new RegExp(`\\b${word}\\b`).test(lower))
+  );
+  return implied || null;
+};
+
+const parseAmount = (text) => {
+  const match = text.match(AMOUNT);
+  return match ? { amount: Number(match[1].replace(/,/g, '') + (match[2] || '')), matched: match[0] } : null;
+};
+
+// Cut a matched (lower-cased) phrase out of the original text, keeping its casing elsewhere
+const removePhrase = (text, phrase) => {
+  const index = phrase ? text.toLowerCase().indexOf(phrase) : -1;
+  return index === -1 ? text : `${text.slice(0, index)} ${text.slice(index + phrase.length)}`;
+};
+
+const parseAddTransaction = (text, { accounts, categories, now }) => {
+  const type = DEBIT_VERBS.test(text) ? 'debit' : 'credit';
+  const { date, matched: dateText } = resolveDate(text, now);
+  let rest = removePhrase(text, dateText);
+  const { account, matched: accountText, candidates } = resolveAccount(rest, accounts);
+  rest = removePhrase(rest, accountText);
+  const amountMatch = parseAmount(rest);
+  if (!amountMatch) return null;
+  rest = removePhrase(rest, amountMatch.matched);
+  const category = resolveCategory(rest, categories);
+  // Words left after removing the verb, fillers and the category name become the details
+  const details = rest
+    .replace(DEBIT_VERBS, ' ')
+    .replace(CREDIT_VERBS, ' ')
+    .replace(FILLER_WORDS, ' ')
+    .replace(category ? new RegExp(`\\b${escapeRegExp(category)}\\b`, 'i') : /$^/, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  const onlyAccount = accounts.length === 1 ? accounts[0] : null;
+  const resolvedAccount = account || onlyAccount;
+  return {
+    intent: 'addTransaction',
+    transaction: {
+      accountId: resolvedAccount ? resolvedAccount.id : '',
+      amount: amountMatch.amount,
+      type,
+      category: category || 'Other',
+      date,
+      details,
+    },
+    missing: resolvedAccount ? [] : ['account'],
+    accountCandidates: resolvedAccount ? [] : candidates.map(a => a.id),
+  };
+};
+
+// "pay visa 200 from checking": a transfer paying down a credit card. Only
+// messages where a card (or the word "card") directly follows "pay" qualify,
+// so "paid 40 for lunch with visa" stays an expense. Without an amount the
+// card's balance owed is paid.
+const parsePayCard = (text, { accounts, now }) => {
+  const prefix = text.match(PAY_CARD);
+  if (!prefix) return null;
+  const rest = text.slice(prefix[0].length);
+  const cards = accounts.filter(a => a.accountType === 'credit');
+  const firstWord = (rest.toLowerCase().match(/^[a-z0-9&'-]+/) || [''])[0];
+  const named = cards
+    .filter(card => rest.toLowerCase().startsWith(card.name.toLowerCase()))
+    .sort((a, b) => b.name.length - a.name.length);
+  let cardCandidates = named.length ? [named[0]] : firstWord ? findAccounts(firstWord, cards) : [];
+  if (!cardCandidates.length && !/^(?:credit\s+)?card\b/i.test(rest)) return null;
+  if (!cardCandidates.length) cardCandidates = cards;
+
+  const cardText = named.length ? named[0].name.toLowerCase() : firstWord;
+  const { date, matched: dateText } = resolveDate(rest, now);
+  const remaining = removePhrase(removePhrase(rest, cardText), dateText);
+  const sources = accounts.filter(a => a.accountType !== 'credit');
+  const fromMatch = remaining.toLowerCase().match(/\bfrom\s+(?:my\s+)?(.+)$/);
+  const fromCandidates = fromMatch ? findAccounts(fromMatch[1].trim(), sources) : sources;
+  const amountMatch = parseAmount(fromMatch ? remaining.slice(0, fromMatch.index) : remaining);
+  const card = cardCandidates.length === 1 ? cardCandidates[0] : null;
+  const from = fromCandidates.length === 1 ? fromCandidates[0] : null;
+  return {
+    intent: 'payCard',
+    transfer: {
+      fromAccountId: from ? from.id : '',
+      toAccountId: card ? card.id : '',
+      amount: amountMatch ? amountMatch.amount : null,
+      date,
+    },
+    missing: [...(card ? [] : ['card']), ...(from ? [] : ['account'])],
+    cardCandidates: card ? [] : cardCandidates.map(a => a.id),
+    accountCandidates: from ? [] : fromCandidates.map(a => a.id),
+  };
+};
+
+// Parse a chat message into a finance intent, or null when nothing matches.
+export const parseIntent = (text, { accounts = [], categories = [], now = new Date() } = {}) => {
+  const lower = text.toLowerCase().trim();
+  if (DELETE_LAST.test(lower)) return { intent: 'deleteLastTransaction' };
+  if (SPENDING_QUERY.test(lower)) {
+    const { account } = resolveAccount(lower, accounts);
+    return {
+      intent: 'spendingQuery',
+      category: resolveCategory(lower.replace(/\b(last|this) (month|week|year)\b/, ''), categories),
+      accountId: account ? account.id : null,
+      range: resolveRange(lower, now),
+    };
+  }
+  const payCard = parsePayCard(text, { accounts, now });
+  if (payCard) return payCard;
+  if (BALANCE_QUERY.test(lower)) {
+    const { account } = resolveAccount(lower, accounts);
+    return { intent: 'balanceQuery', accountId: account ? account.id : null };
+  }
+  if (DEBIT_VERBS.test(lower) || CREDIT_VERBS.test(lower)) {
+    return parseAddTransaction(text, { accounts, categories, now });
+  }
+  return null;
+};
+
+// Intents that change stored data and need the user's confirmation first
+export const isMutatingIntent = (intent) => ['addTransaction', 'deleteLastTransaction', 'payCard'].includes(intent?.intent);
+
+export const isConfirmation = (text) => /^(y|yes|yep|yeah|confirm|ok|okay|sure|do it)[.!]?$/i.test(text.trim());
+export const isCancellation = (text) => /^(n|no|nope|cancel|stop|never mind)[.!]?$/i.test(text.trim());
+
+// The most recent transaction by date, then createdAt; among exact ties the
+// one entered last. Imports and edits leave the stored order unsorted.
+export const latestTransaction = (transactions) => {
+  const time = (value) => (value ? new Date(value).getTime() || 0 : 0);
+  return transactions.reduce((latest, t) => {
+    if (!latest) return t;
+    const byDate = time(t.date) - time(latest.date);
+    return byDate > 0 || (byDate === 0 && time(t.createdAt) >= time(latest.createdAt)) ? t : latest;
+  }, null);
+};
+
+// Total of debits matching the query's category (with its subcategories, given
+// the category records), account and date range
+export const summarizeSpending = ({ category, accountId, range }, transactions, categories = []) => {
+  const names = category ? new Set(categoryWithDescendants(categories, category)) : null;
+  const matching = transactions.filter(t => {
+    const date = new Date(t.date);
+    return t.type === 'debit' && !t.transferId &&
+      date >= range.start && date < range.end &&
+      (!names || names.has(t.category)) &&
+      (!accountId || t.accountId === accountId);
+  });
+  return { total: matching.reduce((sum, t) => sum + Number(t.amount), 0), count: matching.length };
+};
@@ -0,0 +1,108 @@
+import { parseIntent, resolveRange, summarizeSpending, isConfirmation, findAccounts, latestTransaction } from './chatIntents';
+import { DEFAULT_CATEGORIES } from './financeStore';
+
+const accounts = [
+  { id: '1', name: 'Chase Checking', accountType: 'debit' },
+  { id: '2', name: 'Visa', accountType: 'credit' },
+];
+// Wednesday, March 12 2025, 09:30 local time
+const now = new Date(2025, 2, 12, 9, 30);
+const options = { accounts, categories: DEFAULT_CATEGORIES, now };
+
+test('parses a spending phrase with account, category and relative date', () => {
+  const intent = parseIntent('spent 42.50 on food from Chase yesterday', options);
+  expect(intent).toEqual({
+    intent: 'addTransaction',
+    transaction: {
+      accountId: '1',
+      amount: 42.5,
+      type: 'debit',
+      category: 'Food',
+      date: new Date(2025, 2, 11, 12).toISOString(),
+      details: '',
+    },
+    missing: [],
+    accountCandidates: [],
+  });
+});
+
+test('keeps leftover words as details and infers the category from keywords', () => {
+  const { transaction } = parseIntent('paid $1,200 for Uber with Visa 3 days ago', options);
+  expect(transaction).toMatchObject({
+    accountId: '2',
+    amount: 1200,
+    category: 'Transportation',
+    details: 'Uber',
+    date: new Date(2025, 2, 9, 12).toISOString(),
+  });
+
+  const income = parseIntent('received 2000 salary into checking', options);
+  expect(income.transaction).toMatchObject({ accountId: '1', type: 'credit', details: 'salary', category: 'Other' });
+});
+
+test('reports a missing account instead of guessing', () => {
+  expect(parseIntent('spent 10 on coffee', options).missing).toEqual(['account']);
+  expect(parseIntent('spent 10 on coffee', { ...options, accounts: [accounts[0]] }).missing).toEqual([]);
+});
+
+test('parses spending questions into a category and date range', () => {
+  const intent = parseIntent('How much did I spend on Transportation last month?', options);
+  expect(intent.intent).toBe('spendingQuery');
+  expect(intent.category).toBe('Transportation');
+  expect(intent.range).toMatchObject({ start: new Date(2025, 1, 1), end: new Date(2025, 2, 1), label: 'last month' });
+
+  const transactions = [
+    { accountId: '1', amount: 20, type: 'debit', category: 'Transportation', date: new Date(2025, 1, 10).toISOString() },
+    { accountId: '1', amount: 5, type: 'debit', category: 'Transportation', date: new Date(2025, 2, 1).toISOString() },
+    { accountId: '1', amount: 7, type: 'debit', category: 'Food', date: new Date(2025, 1, 10).toISOString() },
+  ];
+  expect(summarizeSpending(intent, transactions)).toEqual({ total: 20, count: 1 });
+
+  // Subcategories count toward their parent
+  const categories = [{ id: 'c1', name: 'Transportation' }, { id: 'c2', name: 'Fuel', parentId: 'c1' }];
+  const fuel = { accountId: '1', amount: 30, type: 'debit', category: 'Fuel', date: new Date(2025, 1, 12).toISOString() };
+  expect(summarizeSpending(intent, [...transactions, fuel], categories)).toEqual({ total: 50, count: 2 });
+});
+
+test('recognizes deletes, ranges and confirmations', () => {
+  expect(parseIntent('delete my last transaction', options)).toEqual({ intent: 'deleteLastTransaction' });
+  expect(parseIntent('tell me a joke', options)).toBeNull();
+  expect(resolveRange('in the last 7 days', now).start).toEqual(new Date(2025, 2, 6));
+  expect(isConfirmation('Yes')).toBe(true);
+  expect(isConfirmation('yes please delete everything')).toBe(false);
+});
+
+test('latestTransaction goes by date, then createdAt, not stored order', () => {
+  const older = { id: 'b', date: '2025-03-01T10:00:00.000Z' };
+  const newer = { id: 'a', date: '2025-03-10T10:00:00.000Z', createdAt: '2025-03-10T10:00:00.000Z' };
+  const sameDay = { id: 'c', date: '2025-03-10T10:00:00.000Z', createdAt: '2025-03-10T09:00:00.000Z' };
+  expect(latestTransaction([newer, older, sameDay])).toBe(newer);
+  expect(latestTransaction([])).toBeNull();
+});
+
+test('findAccounts matches ids, names, prefixes and typos', () => {
+  const many = [...accounts, { id: '3', name: 'Chase Sapphire', accountType: 'credit' }];
+  expect(findAccounts('2', many).map(a => a.id)).toEqual(['2']);
+  expect(findAccounts('visa', many).map(a => a.id)).toEqual(['2']);
+  expect(findAccounts('vsia', many).map(a => a.id)).toEqual(['2']);
+  expect(findAccounts('sapph', many).map(a => a.id)).toEqual(['3']);
+  expect(findAccounts('chase', many).map(a => a.id)).toEqual(['1', '3']);
+  expect(findAccounts('amex', many)).toEqual([]);
+});
+
+test('ambiguous account words are returned as candidates', () => {
+  const many = [...accounts, { id: '3', name: 'Chase Sapphire', accountType: 'credit' }];
+  const intent = parseIntent('spent 12 on lunch from chase', { ...options, accounts: many });
+  expect(intent.missing).toEqual(['account']);
+  expect(intent.accountCandidates).toEqual(['1', '3']);
+});
+
+test('pay card phrases become transfers, other "paid" phrases stay expenses', () => {
+  expect(parseIntent('pay my visa 200 from chase checking', options)).toMatchObject({
+    intent: 'payCard',
+    transfer: { fromAccountId: '1', toAccountId: '2', amount: 200 },
+    missing: [],
+  });
+  expect(parseIntent('pay off my card', options).transfer).toMatchObject({ toAccountId: '2', fromAccountId: '1', amount: null });
+  expect(parseIntent('paid 40 for lunch with visa', options).intent).toBe('addTransaction');
+});
@@ -0,0 +1,182 @@
+// src/config.js
+// Runtime configuration, loaded from /config.json at startup (the build copies
+// config.$NODE_ENV.json there). CONFIG_SCHEMA lists every setting with its type
+// and default; parseConfig checks a raw config against it, and the app refuses
+// to start on errors. Components read the result through useConfig().
+import React, { createContext, useContext } from 'react';
+import { AUTH_PROVIDERS, getAuthConfig } from './authProviders';
+
+// Optional parts of the app, all on unless turned off under `features`
+export const FEATURE_FLAGS = {
+  chat: 'Live chat assistant',
+  sync: 'Sync with the sync API',
+  statementImport: 'Statement import',
+  balanceHistory: 'Balance history chart',
+  spendingAnalytics: 'Spending analytics',
+  cashFlowForecast: 'Cash-flow forecast',
+};
+
+export const CONFIG_SCHEMA = {
+  returnTo: { type: 'url', default: '', description: 'Where to land after logout' },
+
+  // Sign-in (see authProviders.js)
+  authProvider: { type: 'enum', values: AUTH_PROVIDERS, default: 'auth0' },
+  auth0Domain: { type: 'hostname', default: '' },
+  auth0ClientId: { type: 'string', default: '' },
+  auth0Audience: { type: 'string', default: '' },
+  oktaIssuer: { type: 'url', default: '' },
+  oktaDomain: { type: 'hostname', default: '' },
+  oktaClientId: { type: 'string', default: '' },
+  oktaScopes: { type: 'scopes', default: '' },
+  devUser: { type: 'object', default: {} },
+  devToken: { type: 'string', default: '' },
+  idleTimeoutMinutes: { type: 'number', min: 1, default: 15 },
+
+  // Back-end APIs
+  syncApiUrl: { type: 'url', default: '', description: 'Sync API base URL; sync is off without it' },
+
+  llmProxyUrl: { type: 'url', default: '', description: 'Chat proxy base URL (the sync API\'s /api/llm); API keys live on the server' },
+
+  // Chat appearance
+  chatTitle: { type: 'string', default: 'My Website Chat' },
+  chatBrandColor: { type: 'color', default: '#2563eb' },
+
+  features: { type: 'features', default: {} },
+};
+
+export class ConfigError extends Error {
+  constructor(message, problems = []) {
+    super(message);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Check one value; returns [value, problem]
+const checkValue = (spec, value) => {
+  switch (spec.type) {
+    case 'string':
+      return typeof value === 'string' ? [value] : [null, 'must be a string'];
+    case 'url':
+      if (typeof value !== 'string') return [null, 'must be a URL string'];
+      if (value === '' || /^https?:\/\/[^\s/]+/.test(value)) return [value];
+      return [null, `"${value}" is not an http(s) URL`];
+    case 'hostname':
+      if (typeof value !== 'string') return [null, 'must be a host name string'];
+      if (value === '' || /^[a-z0-9-]+(\.[a-z0-9-]+)+$/i.test(value)) return [value];
+      return [null, `"${value}" is not a host name such as tenant.auth0.com (leave out https:// and any path)`];
+    case 'number': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof number !== 'number' || Number.isNaN(number)) return [null, 'must be a number'];
+      if (spec.min !== undefined && number < spec.min) return [null, `must be at least ${spec.min}`];
+      return [number];
+    }
+    case 'enum': {
+      const normalized = typeof value === 'string' ? value.toLowerCase() : value;
+      return spec.values.includes(normalized)
+        ? [normalized]
+        : [null, `must be one of ${spec.values.join(', ')}`];
+    }
+    case 'color':
+      return typeof value === 'string' && /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value)
+        ? [value]
+        : [null, 'must be a hex color such as #2563eb'];
+    case 'scopes':
+      return typeof value === 'string' || (Array.isArray(value) && value.every(s => typeof s === 'string'))
+        ? [value]
+        : [null, 'must be a string or a list of strings'];
+    case 'object':
+      return isPlainObject(value) ? [value] : [null, 'must be an object'];
+    default:
+      return [value];
+  }
+};
+
+// Feature flags: known names only, each true or false
+const checkFeatures = (value, problems) => {
+  const features = Object.fromEntries(Object.keys(FEATURE_FLAGS).map(name => [name, true]));
+  if (!isPlainObject(value)) {
+    problems.push({ key: 'features', message: 'must be an object of true/false flags' });
+    return features;
+  }
+  Object.entries(value).forEach(([name, enabled]) => {
+    if (!(name in FEATURE_FLAGS)) {
+      problems.push({ key: `features.${name}`, message: `unknown flag; known flags are ${Object.keys(FEATURE_FLAGS).join(', ')}` });
+    } else if (typeof enabled !== 'boolean') {
+      problems.push({ key: `features.${name}`, message: 'must be true or false' });
+    } else {
+      features[name] = enabled;
+    }
+  });
+  return features;
+};
+
+// Validate a raw config and fill in defaults. Returns { config, problems, warnings };
+// unknown keys are only warnings so an older build can run a newer config.
+export const parseConfig = (raw) => {
+  const problems = [];
+  const warnings = [];
+  if (!isPlainObject(raw)) {
+    return { config: null, problems: [{ key: '(root)', message: 'config must be a JSON object' }], warnings };
+  }
+
+  const config = {};
+  Object.entries(CONFIG_SCHEMA).forEach(([key, spec]) => {
+    const value = raw[key];
+    if (spec.type === 'features') {
+      config.features = checkFeatures(value ?? {}, problems);
+      return;
+    }
+    if (value === undefined || value === null) {
+      config[key] = spec.default;
+      return;
+    }
+    const [checked, problem] = checkValue(spec, value);
+    if (problem) problems.push({ key, message: problem });
+    config[key] = problem ? spec.default : checked;
+  });
+  Object.keys(raw)
+    .filter(key => !(key in CONFIG_SCHEMA))
+    .forEach(key => warnings.push({ key, message: 'unknown setting, ignored' }));
+
+  // Settings that depend on each other, such as what each auth provider needs
+  if (!problems.some(problem => problem.key === 'authProvider')) {
+    try {
+      getAuthConfig(config);
+    } catch (error) {
+      problems.push({ key: 'authProvider', message: error.message });
+    }
+  }
+  return { config, problems, warnings };
+};
+
+// Fetch and validate /config.json; rejects with a ConfigError
+export const loadConfig = async (fetchImpl = (...args) => fetch(...args)) => {
+  let raw;
+  try {
+    const response = await fetchImpl('/config.json', { cache: 'no-store' });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    raw = await response.json();
+  } catch (error) {
+    throw new ConfigError(`Could not load /config.json (${error.message}).`);
+  }
+  const { config, problems, warnings } = parseConfig(raw);
+  warnings.forEach(({ key, message }) => console.warn(`config.json: ${key}: ${message}`));
+  if (problems.length) throw new ConfigError('config.json has invalid settings.', problems);
+  return Object.freeze(config);
+};
+
+// --- React access ---
+const ConfigContext = createContext(null);
+
+export const ConfigProvider = ({ config, children }) => (
+  <ConfigContext.Provider value={config}>{children}</ConfigContext.Provider>
+);
+
+export const useConfig = () => {
+  const config = useContext(ConfigContext);
+  if (!config) throw new Error('useConfig must be used inside <ConfigProvider>');
+  return config;
+};
@@ -0,0 +1,50 @@
+// src/config.test.js
+import { parseConfig, loadConfig, ConfigError } from './config';
+
+const auth0 = { auth0Domain: 'tenant.auth0.com', auth0ClientId: 'abc' };
+
+test('fills in defaults and turns every feature on', () => {
+  const { config, problems, warnings } = parseConfig({ ...auth0, returnTo: 'http://localhost:3000', oldSetting: 1 });
+  expect(problems).toEqual([]);
+  expect(warnings).toEqual([{ key: 'oldSetting', message: 'unknown setting, ignored' }]);
+  expect(config).toMatchObject({
+    authProvider: 'auth0',
+    returnTo: 'http://localhost:3000',
+    idleTimeoutMinutes: 15,
+    chatBrandColor: '#2563eb',
+    syncApiUrl: '',
+  });
+  expect(Object.values(config.features).every(Boolean)).toBe(true);
+});
+
+test('reports each invalid setting', () => {
+  const { problems, config } = parseConfig({
+    ...auth0,
+    syncApiUrl: 'localhost:4000',
+    idleTimeoutMinutes: '0',
+    auth0Domain: 'https://tenant.auth0.com/',
+    chatBrandColor: 'blue',
+    features: { chat: false, sync: 'no', reports: true },
+  });
+  expect(problems.map(problem => problem.key)).toEqual([
+    'auth0Domain',
+    'idleTimeoutMinutes',
+    'syncApiUrl',
+    'chatBrandColor',
+    'features.sync',
+    'features.reports',
+    // The rejected domain leaves Auth0 without one
+    'authProvider',
+  ]);
+  expect(config.features.chat).toBe(false);
+  expect(parseConfig({ authProvider: 'okta' }).problems).toEqual([
+    { key: 'authProvider', message: 'Okta needs oktaIssuer (or oktaDomain) and oktaClientId.' },
+  ]);
+});
+
+test('loadConfig rejects a missing or invalid config.json', async () => {
+  const respond = (status, body) => async () => ({ ok: status < 400, status, json: async () => body });
+  await expect(loadConfig(respond(404, {}))).rejects.toThrow('Could not load /config.json (HTTP 404).');
+  await expect(loadConfig(respond(200, { authProvider: 'nope' }))).rejects.toBeInstanceOf(ConfigError);
+  await expect(loadConfig(respond(200, { authProvider: 'dev' }))).resolves.toMatchObject({ authProvider: 'dev' });
+});
@@ -0,0 +1,96 @@
+// src/creditTerms.js
+// Per-card issuer terms: minimum-payment formula, interest accrual method,
+// promotional APR periods and the statement/due-date cycle.
+
+export const INTEREST_METHODS = ['monthly', 'daily'];
+
+// What the app assumed for every card before terms were configurable
+export const DEFAULT_CREDIT_TERMS = {
+  minPaymentPercent: 2,
+  minPaymentIncludesInterest: false,
+  minPaymentFloor: 25,
+  interestMethod: 'monthly',
+  promoApr: 0,
+  promoEndDate: null,
+  statementDay: null,
+  dueDay: null,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const creditTerms = (account = {}) => {
+  const terms = { ...DEFAULT_CREDIT_TERMS };
+  Object.keys(DEFAULT_CREDIT_TERMS).forEach(key => {
+    if (account[key] !== undefined && account[key] !== null && account[key] !== '') terms[key] = account[key];
+  });
+  return {
+    ...terms,
+    minPaymentPercent: Number(terms.minPaymentPercent),
+    minPaymentFloor: Number(terms.minPaymentFloor),
+    promoApr: Number(terms.promoApr) || 0,
+    statementDay: terms.statementDay ? Number(terms.statementDay) : null,
+    dueDay: terms.dueDay ? Number(terms.dueDay) : null,
+  };
+};
+
+// APR in effect on `date`; a promotional rate applies until its end date
+export const aprOn = (account, date = new Date()) => {
+  const { promoApr, promoEndDate } = creditTerms(account);
+  if (promoEndDate && new Date(date) < new Date(promoEndDate)) return promoApr;
+  return Number(account.apr) || 0;
+};
+
+// Interest on `balance` held from `start` to `end`. Daily accrual compounds at
+// APR/365 per day and switches rate on the day a promotion ends.
+export const interestForPeriod = (account, balance, start, end) => {
+  if (balance <= 0) return 0;
+  const { interestMethod, promoEndDate } = creditTerms(account);
+  if (interestMethod !== 'daily') return balance * (aprOn(account, start) / 100 / 12);
+  const startTime = new Date(start).getTime();
+  const endTime = new Date(end).getTime();
+  const promoEnd = promoEndDate ? new Date(promoEndDate).getTime() : null;
+  const segments = promoEnd && promoEnd > startTime && promoEnd < endTime
+    ? [[startTime, promoEnd], [promoEnd, endTime]]
+    : [[startTime, endTime]];
+  const grown = segments.reduce((current, [from, to]) => {
+    const days = Math.round((to - from) / DAY_MS);
+    return current * Math.pow(1 + aprOn(account, new Date(from)) / 100 / 365, days);
+  }, balance);
+  return grown - balance;
+};
+
+// Minimum due on a statement: a percentage of the balance (optionally plus the
+// period's interest), never below the floor and never more than the balance.
+export const minimumPaymentDue = (account, balance, interest = 0) => {
+  if (balance <= 0) return 0;
+  const { minPaymentPercent, minPaymentIncludesInterest, minPaymentFloor } = creditTerms(account);
+  const formula = balance * (minPaymentPercent / 100) + (minPaymentIncludesInterest ? interest : 0);
+  return Math.min(balance, Math.max(formula, minPaymentFloor));
+};
+
+// Clamp a day-of-month to the month's length (a 31st statement day closes on Feb 28)
+const dayInMonth = (year, month, day) =>
+  new Date(year, month, Math.min(day, new Date(year, month + 1, 0).getDate()));
+
+// Most recent statement closing date on or before `now`, or null when unset
+export const lastStatementDate = (account, now = new Date()) => {
+  const { statementDay } = creditTerms(account);
+  if (!statementDay) return null;
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const thisMonth = dayInMonth(today.getFullYear(), today.getMonth(), statementDay);
+  return thisMonth <= today ? thisMonth : dayInMonth(today.getFullYear(), today.getMonth() - 1, statementDay);
+};
+
+export const nextStatementDate = (account, now = new Date()) => {
+  const last = lastStatementDate(account, now);
+  return last ? dayInMonth(last.getFullYear(), last.getMonth() + 1, creditTerms(account).statementDay) : null;
+};
+
+// Payment due date for the most recent statement; rolls forward once it passes
+export const nextDueDate = (account, now = new Date()) => {
+  const { dueDay } = creditTerms(account);
+  if (!dueDay) return null;
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const thisMonth = dayInMonth(today.getFullYear(), today.getMonth(), dueDay);
+  return thisMonth >= today ? thisMonth : dayInMonth(today.getFullYear(), today.getMonth() + 1, dueDay);
+};
@@ -0,0 +1,38 @@
+import {
+  aprOn,
+  interestForPeriod,
+  minimumPaymentDue,
+  lastStatementDate,
+  nextDueDate,
+} from './creditTerms';
+import { calculateCreditUtilization } from './financeStore';
+
+const card = { id: 'c', accountType: 'credit', apr: 24, limit: 1000 };
+
+test('minimum payment follows the card formula', () => {
+  expect(minimumPaymentDue(card, 1000)).toBe(25);
+  expect(minimumPaymentDue({ ...card, minPaymentPercent: 1, minPaymentIncludesInterest: true, minPaymentFloor: 35 }, 5000, 100)).toBe(150);
+  expect(minimumPaymentDue(card, 10)).toBe(10);
+});
+
+test('promotional APR applies until it expires, including mid-period with daily accrual', () => {
+  const promo = { ...card, promoApr: 0, promoEndDate: new Date(2025, 2, 16).toISOString(), interestMethod: 'daily' };
+  expect(aprOn(promo, new Date(2025, 2, 1))).toBe(0);
+  expect(aprOn(promo, new Date(2025, 3, 1))).toBe(24);
+  const interest = interestForPeriod(promo, 1000, new Date(2025, 2, 1), new Date(2025, 2, 31));
+  expect(interest).toBeCloseTo(1000 * (Math.pow(1 + 0.24 / 365, 15) - 1));
+  expect(interestForPeriod(card, 1000, new Date(2025, 2, 1), new Date(2025, 3, 1))).toBeCloseTo(20);
+});
+
+test('statement and due dates clamp to the month and drive utilization', () => {
+  const cycle = { ...card, statementDay: 31, dueDay: 25 };
+  expect(lastStatementDate(cycle, new Date(2025, 2, 10)).getDate()).toBe(28);
+  expect(nextDueDate(cycle, new Date(2025, 2, 26)).getMonth()).toBe(3);
+
+  const transactions = [
+    { id: '1', accountId: 'c', amount: 300, type: 'debit', date: new Date(2025, 1, 20).toISOString() },
+    { id: '2', accountId: 'c', amount: 500, type: 'debit', date: new Date(2025, 2, 5).toISOString() },
+  ];
+  expect(calculateCreditUtilization([cycle], transactions, new Date(2025, 2, 10))).toBe(30);
+  expect(calculateCreditUtilization([card], transactions, new Date(2025, 2, 10))).toBe(80);
+});
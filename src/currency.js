@@ -0,0 +1,134 @@
+// src/currency.js
+// Account currencies, the exchange-rate table and locale-aware money formatting.
+// A rate record { base, quote, rate, date } means 1 `base` = `rate` `quote` on `date`.
+import { useFinanceStore } from './financeStore';
+import { parseCSV } from './statementImport';
+
+// Accounts created before currencies existed were all dollars
+export const DEFAULT_CURRENCY = 'USD';
+
+export const COMMON_CURRENCIES = ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'JPY', 'CHF', 'CNY', 'INR', 'MXN'];
+
+export const accountCurrency = (account) => (account && account.currency) || DEFAULT_CURRENCY;
+
+const formatters = {};
+
+export const formatMoney = (amount, currency = DEFAULT_CURRENCY, locale) => {
+  const key = `${locale || ''}|${currency}`;
+  if (!formatters[key]) {
+    try {
+      formatters[key] = new Intl.NumberFormat(locale || undefined, { style: 'currency', currency });
+    } catch (error) {
+      // Unknown currency codes still render, just without a symbol
+      formatters[key] = { format: (value) => `${Number(value).toFixed(2)} ${currency}` };
+    }
+  }
+  return formatters[key].format(Number(amount) || 0);
+};
+
+const dayOf = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Latest direct rate on or before `date`, falling back to the earliest one after it
+const directRate = (rates, from, to, date) => {
+  const day = dayOf(date);
+  const matches = rates
+    .filter(r => r.base === from && r.quote === to)
+    .sort((a, b) => dayOf(a.date).localeCompare(dayOf(b.date)));
+  if (!matches.length) return null;
+  const onOrBefore = matches.filter(r => dayOf(r.date) <= day);
+  return Number((onOrBefore.length ? onOrBefore[onOrBefore.length - 1] : matches[0]).rate);
+};
+
+// How many `to` one `from` is worth on `date`: a direct rate, its inverse, or a
+// cross rate through a shared currency. Null when the table can't tell.
+export const rateOn = (rates, from, to, date = new Date()) => {
+  if (from === to) return 1;
+  const pairRate = (a, b) => {
+    const direct = directRate(rates, a, b, date);
+    if (direct) return direct;
+    const inverse = directRate(rates, b, a, date);
+    return inverse ? 1 / inverse : null;
+  };
+  const direct = pairRate(from, to);
+  if (direct) return direct;
+  const pivots = new Set(rates.flatMap(r => [r.base, r.quote]));
+  for (const pivot of pivots) {
+    if (pivot === from || pivot === to) continue;
+    const first = pairRate(from, pivot);
+    const second = first && pairRate(pivot, to);
+    if (second) return first * second;
+  }
+  return null;
+};
+
+export const convertAmount = (amount, from, to, rates, date = new Date()) => {
+  const rate = rateOn(rates, from, to, date);
+  return rate === null ? null : Number(amount) * rate;
+};
+
+// Copies of `transactions` with amounts in `baseCurrency` at each transaction's
+// date. Amounts with no known rate are left as they are.
+export const toBaseTransactions = (transactions, accounts, rates, baseCurrency) => {
+  const currencyOf = Object.fromEntries(accounts.map(a => [a.id, accountCurrency(a)]));
+  return transactions.map(t => {
+    const from = currencyOf[t.accountId] || DEFAULT_CURRENCY;
+    if (from === baseCurrency) return t;
+    const converted = convertAmount(t.amount, from, baseCurrency, rates, t.date);
+    return converted === null ? t : { ...t, amount: converted };
+  });
+};
+
+// Rates pasted or imported as CSV with date, base/from, quote/to and rate columns
+export const parseRatesCSV = (text) => {
+  const { headers, rows } = parseCSV(text);
+  const find = (pattern) => headers.find(h => pattern.test(h));
+  const columns = {
+    date: find(/date/i),
+    base: find(/^(base|from)/i),
+    quote: find(/^(quote|to)/i),
+    rate: find(/rate/i),
+  };
+  if (Object.values(columns).some(c => !c)) {
+    throw new Error('Rate files need date, base (or from), quote (or to) and rate columns.');
+  }
+  const stamp = Date.now();
+  return rows
+    .map((row, idx) => ({
+      id: `${stamp}-${idx}`,
+      base: String(row[columns.base] || '').trim().toUpperCase(),
+      quote: String(row[columns.quote] || '').trim().toUpperCase(),
+      rate: Number(row[columns.rate]),
+      date: new Date(row[columns.date]),
+    }))
+    .filter(r => r.base && r.quote && r.rate > 0 && !Number.isNaN(r.date.getTime()))
+    .map(r => ({ ...r, date: r.date.toISOString() }));
+};
+
+// Currency helpers bound to the user's base currency, locale and rate table,
+// built from the store's state (see useCurrency for components)
+export const currencyHelpers = ({ accounts, exchangeRates, settings }) => {
+  const { baseCurrency, locale } = settings;
+  const currencyOf = (accountId) => accountCurrency(accounts.find(a => a.id === accountId));
+  // Convert to the base currency; unknown rates fall back to the raw amount
+  const toBase = (amount, currency, date = new Date()) => {
+    const converted = convertAmount(amount, currency, baseCurrency, exchangeRates, date);
+    return converted === null ? Number(amount) : converted;
+  };
+  const missingRates = [...new Set(accounts.map(accountCurrency))]
+    .filter(currency => rateOn(exchangeRates, currency, baseCurrency) === null);
+  return {
+    baseCurrency,
+    locale,
+    missingRates,
+    format: (amount, currency = baseCurrency) => formatMoney(amount, currency, locale),
+    formatForAccount: (amount, accountId) => formatMoney(amount, currencyOf(accountId), locale),
+    currencyOf,
+    toBase,
+    accountToBase: (account, amount, date) => toBase(amount, accountCurrency(account), date),
+    toBaseTransactions: (transactions) => toBaseTransactions(transactions, accounts, exchangeRates, baseCurrency),
+  };
+};
+
+export function useCurrency() {
+  return currencyHelpers(useFinanceStore());
+}
@@ -0,0 +1,35 @@
+import { rateOn, convertAmount, formatMoney, parseRatesCSV, toBaseTransactions } from './currency';
+
+const rates = [
+  { id: '1', base: 'EUR', quote: 'USD', rate: 1.1, date: '2024-01-01T00:00:00.000Z' },
+  { id: '2', base: 'EUR', quote: 'USD', rate: 1.2, date: '2024-03-01T00:00:00.000Z' },
+  { id: '3', base: 'GBP', quote: 'EUR', rate: 1.15, date: '2024-01-01T00:00:00.000Z' },
+];
+
+test('rateOn uses the latest rate on or before the date, inverses and cross rates', () => {
+  expect(rateOn(rates, 'EUR', 'USD', new Date('2024-02-15'))).toBe(1.1);
+  expect(rateOn(rates, 'EUR', 'USD', new Date('2024-03-15'))).toBe(1.2);
+  expect(rateOn(rates, 'USD', 'EUR', new Date('2024-03-15'))).toBeCloseTo(1 / 1.2);
+  expect(rateOn(rates, 'GBP', 'USD', new Date('2024-02-15'))).toBeCloseTo(1.15 * 1.1);
+  expect(rateOn(rates, 'JPY', 'USD')).toBeNull();
+  expect(convertAmount(100, 'JPY', 'USD', rates)).toBeNull();
+});
+
+test('toBaseTransactions converts each transaction at its own date', () => {
+  const accounts = [{ id: 'a', currency: 'EUR' }, { id: 'b' }];
+  const transactions = [
+    { id: 't1', accountId: 'a', amount: 10, date: '2024-02-01T12:00:00.000Z' },
+    { id: 't2', accountId: 'a', amount: 10, date: '2024-04-01T12:00:00.000Z' },
+    { id: 't3', accountId: 'b', amount: 10, date: '2024-04-01T12:00:00.000Z' },
+  ];
+  expect(toBaseTransactions(transactions, accounts, rates, 'USD').map(t => t.amount)).toEqual([11, 12, 10]);
+});
+
+test('formatMoney and parseRatesCSV', () => {
+  expect(formatMoney(1234.5, 'USD', 'en-US')).toBe('$1,234.50');
+  expect(formatMoney(3, 'XYZ1', 'en-US')).toBe('3.00 XYZ1');
+  const parsed = parseRatesCSV('Date,From,To,Rate\n2024-01-01,eur,usd,1.1\n2024-01-02,EUR,USD,oops');
+  expect(parsed).toHaveLength(1);
+  expect(parsed[0]).toMatchObject({ base: 'EUR', quote: 'USD', rate: 1.1 });
+  expect(() => parseRatesCSV('Date,Amount\n2024-01-01,5')).toThrow(/columns/);
+});
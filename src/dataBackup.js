@@ -0,0 +1,148 @@
+// src/dataBackup.js
+// Export, encrypted backup and restore of the finance data.
+import { SCHEMA_VERSION, upgradeData } from './financeSchema';
+import { accountCurrency } from './currency';
+
+export const BACKUP_FORMAT = 'trackbalances-backup';
+const PBKDF2_ITERATIONS = 250000;
+
+// --- Plain exports ---
+// `data` holds every collection to back up (accounts, transactions, budgets, ...)
+export const exportJSON = (data, exportedAt = new Date().toISOString()) =>
+  JSON.stringify({ app: 'TrackBalances', schemaVersion: SCHEMA_VERSION, exportedAt, ...data }, null, 2);
+
+const csvValue = (value) => {
+  const text = value == null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCSV = (columns, records) =>
+  [columns.join(','), ...records.map(record => columns.map(column => csvValue(record[column])).join(','))].join('\n');
+
+// Includes each account's currency and the card terms set in creditTerms.js
+export const exportAccountsCSV = (accounts) =>
+  toCSV(
+    ['id', 'name', 'accountType', 'currency', 'limit', 'apr', 'promoApr', 'promoEndDate', 'statementDay', 'dueDay'],
+    accounts.map(a => ({ ...a, currency: accountCurrency(a) }))
+  );
+
+// Same column names the import wizard maps, plus the account name for readability
+export const exportTransactionsCSV = (accounts, transactions) =>
+  toCSV(
+    ['id', 'date', 'accountId', 'account', 'amount', 'type', 'category', 'details'],
+    transactions.map(t => ({ ...t, account: accounts.find(a => a.id === t.accountId)?.name || '' }))
+  );
+
+export const downloadFile = (fileName, content, mimeType = 'application/json') => {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// --- Encrypted backups (PBKDF2 + AES-GCM via WebCrypto) ---
+const toBase64 = (bytes) => {
+  let binary = '';
+  new Uint8Array(bytes).forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary);
+};
+
+const fromBase64 = (text) => Uint8Array.from(atob(text), char => char.charCodeAt(0));
+
+const deriveKey = async (passphrase, salt, iterations) => {
+  const { subtle } = window.crypto;
+  const material = await subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+};
+
+export const encryptBackup = async (data, passphrase) => {
+  if (!passphrase) throw new Error('A passphrase is required for an encrypted backup.');
+  const salt = window.crypto.getRandomValues(new Uint8Array(16));
+  const iv = window.crypto.getRandomValues(new Uint8Array(12));
+  const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+  const ciphertext = await window.crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    key,
+    new TextEncoder().encode(exportJSON(data))
+  );
+  return JSON.stringify({
+    format: BACKUP_FORMAT,
+    version: 1,
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: toBase64(salt) },
+    cipher: { name: 'AES-GCM', iv: toBase64(iv) },
+    ciphertext: toBase64(ciphertext),
+  });
+};
+
+export const isEncryptedBackup = (text) => {
+  try {
+    return JSON.parse(text).format === BACKUP_FORMAT;
+  } catch (error) {
+    return false;
+  }
+};
+
+const decryptBackup = async (envelope, passphrase) => {
+  const key = await deriveKey(passphrase, fromBase64(envelope.kdf.salt), envelope.kdf.iterations);
+  try {
+    const plaintext = await window.crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: fromBase64(envelope.cipher.iv) },
+      key,
+      fromBase64(envelope.ciphertext)
+    );
+    return new TextDecoder().decode(plaintext);
+  } catch (error) {
+    throw new Error('Wrong passphrase or corrupted backup file.');
+  }
+};
+
+// --- Restore ---
+// Read a plain or encrypted backup and upgrade it to the current schema.
+export const readBackup = async (text, passphrase = '') => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new Error('This file is not a TrackBalances backup.');
+  }
+  if (parsed.format === BACKUP_FORMAT) {
+    parsed = JSON.parse(await decryptBackup(parsed, passphrase));
+  }
+  if (!Array.isArray(parsed.accounts) || !Array.isArray(parsed.transactions)) {
+    throw new Error('This file is not a TrackBalances backup.');
+  }
+  const collections = {};
+  Object.keys(parsed).forEach(key => {
+    if (Array.isArray(parsed[key])) collections[key] = parsed[key];
+  });
+  const { data, quarantined } = upgradeData(collections, Number(parsed.schemaVersion) || 0);
+  // Only restore collections the backup actually contained
+  Object.keys(data).forEach(key => {
+    if (!collections[key]) delete data[key];
+  });
+  return { ...data, skipped: quarantined.length };
+};
+
+const mergeById = (current, incoming) => {
+  const incomingIds = new Set(incoming.map(record => record.id));
+  return [...current.filter(record => !incomingIds.has(record.id)), ...incoming];
+};
+
+// "replace" swaps in the backup; "merge" keeps existing records and lets the
+// backup win for records with the same id. Collections missing from the backup are untouched.
+export const restoreData = (current, backup, mode = 'merge') => {
+  const restored = {};
+  Object.keys(backup).forEach(key => {
+    if (!Array.isArray(backup[key])) return;
+    restored[key] = mode === 'replace' ? backup[key] : mergeById(current[key] || [], backup[key]);
+  });
+  return restored;
+};
@@ -0,0 +1,66 @@
+import { webcrypto } from 'crypto';
+import { TextEncoder, TextDecoder } from 'util';
+import {
+  exportJSON,
+  exportAccountsCSV,
+  exportTransactionsCSV,
+  encryptBackup,
+  isEncryptedBackup,
+  readBackup,
+  restoreData,
+} from './dataBackup';
+
+const data = {
+  accounts: [{ id: 'a', name: 'Checking', accountType: 'debit', limit: 0, apr: 0 }],
+  transactions: [
+    { id: '1', accountId: 'a', amount: 20, type: 'debit', category: 'Food', date: '2025-01-01', details: 'Lunch, "big"' },
+  ],
+};
+
+beforeAll(() => {
+  Object.defineProperty(window, 'crypto', { value: webcrypto, configurable: true });
+  global.TextEncoder = TextEncoder;
+  global.TextDecoder = TextDecoder;
+});
+
+test('exportAccountsCSV includes the currency and card terms', () => {
+  const card = { id: 'c', name: 'Visa', accountType: 'credit', currency: 'EUR', limit: 1000, apr: 24, promoApr: 0, promoEndDate: '2025-06-30', statementDay: 5, dueDay: 28 };
+  expect(exportAccountsCSV([...data.accounts, card])).toBe(
+    'id,name,accountType,currency,limit,apr,promoApr,promoEndDate,statementDay,dueDay\n' +
+    'a,Checking,debit,USD,0,0,,,,\n' +
+    'c,Visa,credit,EUR,1000,24,0,2025-06-30,5,28'
+  );
+});
+
+test('exportTransactionsCSV quotes values and adds account names', () => {
+  expect(exportTransactionsCSV(data.accounts, data.transactions)).toBe(
+    'id,date,accountId,account,amount,type,category,details\n' +
+    '1,2025-01-01,a,Checking,20,debit,Food,"Lunch, ""big"""'
+  );
+});
+
+test('encrypted backups round-trip and reject the wrong passphrase', async () => {
+  const envelope = await encryptBackup(data, 'correct horse');
+  expect(isEncryptedBackup(envelope)).toBe(true);
+  expect(envelope).not.toContain('Checking');
+
+  const restored = await readBackup(envelope, 'correct horse');
+  expect(restored.accounts).toEqual(data.accounts);
+  expect(restored.transactions[0]).toMatchObject(data.transactions[0]);
+
+  await expect(readBackup(envelope, 'wrong')).rejects.toThrow('Wrong passphrase');
+});
+
+test('restoreData merges by id or replaces everything', async () => {
+  const backup = await readBackup(exportJSON({
+    accounts: [{ id: 'b', name: 'Visa', accountType: 'credit', limit: 1000, apr: 20 }],
+    transactions: [{ ...data.transactions[0], amount: 25 }],
+  }));
+  const merged = restoreData(data, backup, 'merge');
+  expect(merged.accounts.map(a => a.id)).toEqual(['a', 'b']);
+  expect(merged.transactions).toHaveLength(1);
+  expect(merged.transactions[0].amount).toBe(25);
+
+  const replaced = restoreData(data, backup, 'replace');
+  expect(replaced.accounts.map(a => a.id)).toEqual(['b']);
+});
@@ -0,0 +1,138 @@
+// src/debtPayoff.js
+// Debt payoff planner: splits a fixed monthly budget across credit cards,
+// paying every minimum and sending the rest to one card at a time.
+import { accountBalance, isLiability } from './financeStore';
+import { recurringNetChange } from './recurring';
+import { aprOn, interestForPeriod, minimumPaymentDue } from './creditTerms';
+
+export const STRATEGIES = ['avalanche', 'snowball', 'custom'];
+
+export const STRATEGY_LABELS = {
+  avalanche: 'Avalanche (highest APR first)',
+  snowball: 'Snowball (smallest balance first)',
+  custom: 'Custom order',
+};
+
+// Plans that never finish are cut off here (50 years)
+const MAX_MONTHS = 600;
+
+// Minimum due on a card this month, using its own terms
+export const minimumPayment = (debt, now = new Date()) => {
+  const end = new Date(now.getFullYear(), now.getMonth() + 1, now.getDate());
+  return minimumPaymentDue(debt, debt.balance, interestForPeriod(debt, debt.balance, now, end));
+};
+
+// Credit accounts with an amount owed, carrying their terms and a function giving
+// each card's scheduled recurring charges (net of scheduled payments) per month.
+export const debtsFromAccounts = (accounts, transactions, recurring = [], now = new Date()) => {
+  const monthStart = (i) => new Date(now.getFullYear(), now.getMonth() + i, now.getDate());
+  return accounts
+    .filter(account => isLiability(account) && accountBalance(account, transactions, now) > 0)
+    .map(account => {
+      // Plans for every strategy ask for the same months, so compute each once
+      const cache = {};
+      return {
+        ...account,
+        balance: accountBalance(account, transactions, now),
+        apr: Number(account.apr) || 0,
+        charges: (monthIndex) => {
+          if (!(monthIndex in cache)) {
+            // Charges are debits, so they lower the card's ledger and raise what is owed
+            cache[monthIndex] = -recurringNetChange(recurring, account.id, monthStart(monthIndex), monthStart(monthIndex + 1));
+          }
+          return cache[monthIndex];
+        },
+      };
+    });
+};
+
+// Priority order for extra payments. Avalanche ranks by the rate in effect on
+// `date`, so a card on a 0% promotion waits its turn.
+export const orderDebts = (debts, strategy, customOrder = [], date = new Date()) => {
+  const sorted = [...debts];
+  const apr = (debt) => aprOn(debt, date);
+  if (strategy === 'avalanche') sorted.sort((a, b) => apr(b) - apr(a) || a.balance - b.balance);
+  else if (strategy === 'snowball') sorted.sort((a, b) => a.balance - b.balance || apr(b) - apr(a));
+  else {
+    const rank = (id) => (customOrder.includes(id) ? customOrder.indexOf(id) : customOrder.length);
+    sorted.sort((a, b) => rank(a.id) - rank(b.id));
+  }
+  return sorted.map(d => d.id);
+};
+
+// Month-by-month schedule for paying `debts` with `monthlyBudget` per month.
+// `feasible` is false when the budget doesn't cover the minimums or the debt
+// never reaches zero.
+export const planPayoff = (debts, { monthlyBudget, strategy = 'avalanche', customOrder = [], startDate = new Date() }) => {
+  const order = orderDebts(debts, strategy, customOrder, startDate);
+  const balances = Object.fromEntries(debts.map(d => [d.id, d.balance]));
+  const byId = Object.fromEntries(debts.map(d => [d.id, d]));
+  const schedule = [];
+  let totalInterest = 0;
+  let totalPaid = 0;
+  let coversMinimums = true;
+
+  const remaining = () => Object.values(balances).reduce((sum, b) => sum + b, 0);
+
+  for (let month = 0; month < MAX_MONTHS && remaining() > 0.005; month++) {
+    const periodStart = new Date(startDate.getFullYear(), startDate.getMonth() + month, startDate.getDate());
+    const periodEnd = new Date(startDate.getFullYear(), startDate.getMonth() + month + 1, startDate.getDate());
+    const cards = {};
+    for (const id of order) {
+      const debt = byId[id];
+      const charges = debt.charges ? debt.charges(month) : 0;
+      const interest = interestForPeriod(debt, balances[id], periodStart, periodEnd);
+      balances[id] += charges + interest;
+      totalInterest += interest;
+      cards[id] = { payment: 0, interest, balance: balances[id] };
+    }
+
+    let budget = Number(monthlyBudget) || 0;
+    const minimums = order.map(id => minimumPaymentDue(byId[id], balances[id], cards[id].interest));
+    if (minimums.reduce((sum, m) => sum + m, 0) > budget + 0.005) coversMinimums = false;
+    // Minimums first, then the leftover goes down the priority list
+    order.forEach((id, idx) => {
+      const payment = Math.min(minimums[idx], budget);
+      balances[id] -= payment;
+      cards[id].payment += payment;
+      budget -= payment;
+    });
+    order.forEach(id => {
+      const payment = Math.min(balances[id], budget);
+      balances[id] -= payment;
+      cards[id].payment += payment;
+      budget -= payment;
+    });
+
+    for (const id of order) {
+      if (balances[id] < 0.005) balances[id] = 0;
+      cards[id].balance = balances[id];
+      totalPaid += cards[id].payment;
+    }
+    const date = new Date(startDate.getFullYear(), startDate.getMonth() + month + 1, 1);
+    schedule.push({
+      month: month + 1,
+      date: date.toISOString(),
+      label: date.toLocaleDateString(undefined, { month: 'short', year: 'numeric' }),
+      cards,
+      totalBalance: remaining(),
+      totalInterest,
+    });
+  }
+
+  const paidOff = remaining() <= 0.005;
+  return {
+    order,
+    schedule,
+    months: paidOff ? schedule.length : null,
+    debtFreeDate: paidOff && schedule.length ? schedule[schedule.length - 1].date : null,
+    totalInterest,
+    totalPaid,
+    feasible: paidOff && coversMinimums,
+    coversMinimums,
+  };
+};
+
+// One plan per strategy for the comparison chart
+export const comparePlans = (debts, options) =>
+  STRATEGIES.map(strategy => ({ strategy, plan: planPayoff(debts, { ...options, strategy }) }));
@@ -0,0 +1,42 @@
+import { orderDebts, planPayoff, comparePlans, debtsFromAccounts } from './debtPayoff';
+
+const debts = [
+  { id: 'low', name: 'Store card', balance: 500, apr: 10 },
+  { id: 'high', name: 'Visa', balance: 2000, apr: 25 },
+  { id: 'mid', name: 'Amex', balance: 1000, apr: 18 },
+];
+
+test('strategies order extra payments differently', () => {
+  expect(orderDebts(debts, 'avalanche')).toEqual(['high', 'mid', 'low']);
+  expect(orderDebts(debts, 'snowball')).toEqual(['low', 'mid', 'high']);
+  expect(orderDebts(debts, 'custom', ['mid'])).toEqual(['mid', 'low', 'high']);
+});
+
+test('planPayoff pays minimums and sends the rest to the first card', () => {
+  const plan = planPayoff(debts, { monthlyBudget: 300, strategy: 'avalanche', startDate: new Date(2025, 0, 15) });
+  const first = plan.schedule[0];
+  expect(first.cards.low.payment).toBe(25);
+  expect(first.cards.mid.payment).toBeCloseTo(25);
+  expect(first.cards.high.payment).toBeCloseTo(250);
+  expect(plan.feasible).toBe(true);
+  expect(plan.schedule[plan.schedule.length - 1].totalBalance).toBe(0);
+  expect(new Date(plan.debtFreeDate).getFullYear()).toBeGreaterThanOrEqual(2026);
+});
+
+test('avalanche never costs more interest than snowball', () => {
+  const [avalanche, snowball] = comparePlans(debts, { monthlyBudget: 300 });
+  expect(avalanche.plan.totalInterest).toBeLessThanOrEqual(snowball.plan.totalInterest);
+  expect(planPayoff(debts, { monthlyBudget: 40 }).feasible).toBe(false);
+});
+
+test('debtsFromAccounts uses credit accounts with a balance owed', () => {
+  const accounts = [
+    { id: 'c', name: 'Card', accountType: 'credit', apr: 20 },
+    { id: 'd', name: 'Checking', accountType: 'debit' },
+  ];
+  const transactions = [
+    { id: '1', accountId: 'c', amount: 400, type: 'debit', date: '2025-01-01' },
+    { id: '2', accountId: 'd', amount: 900, type: 'credit', date: '2025-01-01' },
+  ];
+  expect(debtsFromAccounts(accounts, transactions).map(d => [d.id, d.balance, d.apr])).toEqual([['c', 400, 20]]);
+});
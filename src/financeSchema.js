@@ -0,0 +1,212 @@
+// src/financeSchema.js
+// Versioning, migrations and validation for the finance data kept in localStorage.
+import { DEFAULT_CATEGORIES, buildCategories } from './categories';
+import { FREQUENCIES } from './recurring';
+
+export const SCHEMA_VERSION_KEY = "myapp_finance_schema_version";
+export const QUARANTINE_KEY = "myapp_finance_quarantine";
+
+// Data written before versioning existed is treated as version 0.
+export const LEGACY_VERSION = 0;
+
+// Each migration upgrades the stored collections from `version - 1` to `version`.
+// Append new entries here; never edit one that has already shipped.
+const migrations = [
+  {
+    version: 1,
+    description: 'Normalize ids and numeric fields on legacy records',
+    up: ({ accounts, transactions, ...rest }) => ({
+      ...rest,
+      accounts: accounts.map(account =>
+        isObject(account)
+          ? {
+              ...account,
+              id: account.id != null ? String(account.id) : account.id,
+              accountType: account.accountType || 'debit',
+              limit: Number(account.limit) || 0,
+              apr: Number(account.apr) || 0,
+            }
+          : account
+      ),
+      transactions: transactions.map(transaction =>
+        isObject(transaction)
+          ? {
+              ...transaction,
+              id: transaction.id != null ? String(transaction.id) : transaction.id,
+              accountId: transaction.accountId != null ? String(transaction.accountId) : transaction.accountId,
+              amount: Number(transaction.amount),
+              type: transaction.type || 'debit',
+              category: transaction.category || 'Other',
+              details: transaction.details || '',
+            }
+          : transaction
+      ),
+    }),
+  },
+  {
+    version: 2,
+    description: 'Seed user-editable categories from the defaults and names already in use',
+    up: (data) => {
+      if (data.categories && data.categories.length) return data;
+      const used = (data.transactions || [])
+        .map(t => (t && typeof t.category === 'string' ? t.category : null))
+        .filter(name => name && !DEFAULT_CATEGORIES.includes(name));
+      return { ...data, categories: buildCategories([...DEFAULT_CATEGORIES, ...new Set(used)]) };
+    },
+  },
+  {
+    version: 3,
+    description: 'Record card charges as debits and card payments as credits',
+    up: (data) => {
+      // Cards used to count credits as money owed, the reverse of every other account
+      const cardIds = new Set(
+        (data.accounts || []).filter(a => isObject(a) && a.accountType === 'credit').map(a => a.id)
+      );
+      const flip = (type) => (type === 'credit' ? 'debit' : type === 'debit' ? 'credit' : type);
+      const flipRecord = (record) =>
+        isObject(record) && cardIds.has(record.accountId) ? { ...record, type: flip(record.type) } : record;
+      return {
+        ...data,
+        transactions: (data.transactions || []).map(flipRecord),
+        recurring: (data.recurring || []).map(template => {
+          if (!isObject(template)) return template;
+          const exceptions = isObject(template.exceptions)
+            ? Object.fromEntries(Object.entries(template.exceptions).map(([day, override]) => [
+                day,
+                isObject(override) && override.type && cardIds.has(override.accountId || template.accountId)
+                  ? { ...override, type: flip(override.type) }
+                  : override,
+              ]))
+            : template.exceptions;
+          return { ...flipRecord(template), exceptions };
+        }),
+      };
+    },
+  },
+];
+
+export const SCHEMA_VERSION = migrations[migrations.length - 1].version;
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// --- Validators return a reason string for a malformed record, or null ---
+export const validateAccount = (account) => {
+  if (!isObject(account)) return 'Account is not an object';
+  if (!account.id) return 'Account is missing an id';
+  if (!account.name) return 'Account is missing a name';
+  if (!['debit', 'credit'].includes(account.accountType)) return `Unknown account type "${account.accountType}"`;
+  return null;
+};
+
+export const validateTransaction = (transaction) => {
+  if (!isObject(transaction)) return 'Transaction is not an object';
+  if (!transaction.id) return 'Transaction is missing an id';
+  if (!transaction.accountId) return 'Transaction is missing an accountId';
+  if (!Number.isFinite(Number(transaction.amount))) return 'Transaction amount is not a number';
+  if (!['debit', 'credit'].includes(transaction.type)) return `Unknown transaction type "${transaction.type}"`;
+  if (Number.isNaN(new Date(transaction.date).getTime())) return 'Transaction date is invalid';
+  return null;
+};
+
+export const validateBudget = (budget) => {
+  if (!isObject(budget)) return 'Budget is not an object';
+  if (!budget.id) return 'Budget is missing an id';
+  if (!budget.category) return 'Budget is missing a category';
+  if (!Number.isFinite(Number(budget.amount)) || Number(budget.amount) < 0) return 'Budget amount is not a valid number';
+  return null;
+};
+
+export const validateCategory = (category) => {
+  if (!isObject(category)) return 'Category is not an object';
+  if (!category.id) return 'Category is missing an id';
+  if (!category.name) return 'Category is missing a name';
+  return null;
+};
+
+export const validateCategoryRule = (rule) => {
+  if (!isObject(rule)) return 'Rule is not an object';
+  if (!rule.id) return 'Rule is missing an id';
+  if (!rule.pattern) return 'Rule is missing a pattern';
+  if (!rule.category) return 'Rule is missing a category';
+  return null;
+};
+
+export const validateFilterPreset = (preset) => {
+  if (!isObject(preset)) return 'Filter preset is not an object';
+  if (!preset.id) return 'Filter preset is missing an id';
+  if (!preset.name) return 'Filter preset is missing a name';
+  if (!isObject(preset.filters)) return 'Filter preset has no filters';
+  return null;
+};
+
+export const validateRecurring = (template) => {
+  if (!isObject(template)) return 'Recurring item is not an object';
+  if (!template.id) return 'Recurring item is missing an id';
+  if (!template.accountId) return 'Recurring item is missing an accountId';
+  if (!Number.isFinite(Number(template.amount))) return 'Recurring amount is not a number';
+  if (!FREQUENCIES.includes(template.frequency)) return `Unknown frequency "${template.frequency}"`;
+  if (Number.isNaN(new Date(template.startDate).getTime())) return 'Recurring start date is invalid';
+  return null;
+};
+
+export const validateExchangeRate = (rate) => {
+  if (!isObject(rate)) return 'Exchange rate is not an object';
+  if (!rate.id) return 'Exchange rate is missing an id';
+  if (!rate.base || !rate.quote) return 'Exchange rate is missing a currency';
+  if (!(Number(rate.rate) > 0)) return 'Exchange rate is not a positive number';
+  if (Number.isNaN(new Date(rate.date).getTime())) return 'Exchange rate date is invalid';
+  return null;
+};
+
+const validators = {
+  accounts: validateAccount,
+  transactions: validateTransaction,
+  budgets: validateBudget,
+  categories: validateCategory,
+  categoryRules: validateCategoryRule,
+  recurring: validateRecurring,
+  exchangeRates: validateExchangeRate,
+  filterPresets: validateFilterPreset,
+};
+
+// Run every migration newer than `fromVersion`.
+export function migrateData(data, fromVersion = LEGACY_VERSION) {
+  return migrations
+    .filter(migration => migration.version > fromVersion)
+    .reduce((current, migration) => migration.up(current), data);
+}
+
+// Split each collection into valid records and quarantined ones.
+export function validateData(data) {
+  const quarantined = [];
+  const valid = {};
+  Object.keys(validators).forEach(collection => {
+    valid[collection] = (data[collection] || []).filter(record => {
+      const reason = validators[collection](record);
+      if (reason) quarantined.push({ collection, record, reason });
+      return !reason;
+    });
+  });
+  return { data: valid, quarantined };
+}
+
+// Upgrade and validate a raw payload read from storage.
+// Returns the clean data, the quarantined records, and whether anything changed.
+export function upgradeData(data, fromVersion = LEGACY_VERSION) {
+  if (fromVersion > SCHEMA_VERSION) {
+    // Written by a newer build; leave it alone rather than guess at a downgrade.
+    console.warn(`Finance data is schema version ${fromVersion}, newer than ${SCHEMA_VERSION}.`);
+    const { data: valid, quarantined } = validateData(data);
+    return { data: valid, quarantined, version: fromVersion, changed: quarantined.length > 0 };
+  }
+  const migrated = migrateData(data, fromVersion);
+  const { data: valid, quarantined } = validateData(migrated);
+  return {
+    data: valid,
+    quarantined,
+    version: SCHEMA_VERSION,
+    changed: fromVersion !== SCHEMA_VERSION || quarantined.length > 0,
+  };
+}
@@ -0,0 +1,67 @@
+import { SCHEMA_VERSION, upgradeData, validateTransaction } from './financeSchema';
+
+test('legacy payloads are normalized and upgraded to the current version', () => {
+  const { data, quarantined, version, changed } = upgradeData({
+    accounts: [{ id: 1700000000000, name: 'Visa', accountType: 'credit', limit: '5000', apr: '19.9' }],
+    transactions: [{ id: 1, accountId: 1700000000000, amount: '12.50', date: '2025-03-01' }],
+  });
+
+  expect(version).toBe(SCHEMA_VERSION);
+  expect(changed).toBe(true);
+  expect(quarantined).toEqual([]);
+  expect(data.accounts[0]).toMatchObject({ id: '1700000000000', limit: 5000, apr: 19.9 });
+  expect(data.transactions[0]).toMatchObject({
+    id: '1',
+    accountId: '1700000000000',
+    amount: 12.5,
+    // Defaulted to a debit, then flipped because cards used to count debits as payments
+    type: 'credit',
+    category: 'Other',
+    details: '',
+  });
+});
+
+test('malformed records are quarantined instead of dropping everything', () => {
+  const { data, quarantined } = upgradeData({
+    accounts: [{ id: 'a', name: 'Checking' }, { id: 'b' }],
+    transactions: [
+      { id: '1', accountId: 'a', amount: 5, type: 'debit', date: '2025-01-01' },
+      { id: '2', accountId: 'a', amount: 'abc', date: '2025-01-01' },
+      null,
+    ],
+  });
+
+  expect(data.accounts.map(a => a.id)).toEqual(['a']);
+  expect(data.transactions.map(t => t.id)).toEqual(['1']);
+  expect(quarantined.map(q => q.reason)).toEqual([
+    'Account is missing a name',
+    'Transaction amount is not a number',
+    'Transaction is not an object',
+  ]);
+});
+
+test('current payloads are left unchanged', () => {
+  const { changed } = upgradeData({ accounts: [], transactions: [] }, SCHEMA_VERSION);
+  expect(changed).toBe(false);
+  expect(validateTransaction({ id: '1', accountId: 'a', amount: 1, type: 'debit', date: 'nope' }))
+    .toBe('Transaction date is invalid');
+});
+
+test('card transactions and schedules are flipped so charges are debits', () => {
+  const { data } = upgradeData({
+    accounts: [
+      { id: 'c', name: 'Visa', accountType: 'credit' },
+      { id: 'd', name: 'Checking', accountType: 'debit' },
+    ],
+    transactions: [
+      { id: '1', accountId: 'c', amount: 40, type: 'credit', date: '2025-01-01' },
+      { id: '2', accountId: 'd', amount: 40, type: 'credit', date: '2025-01-01' },
+    ],
+    recurring: [{
+      id: 'r', accountId: 'c', amount: 10, type: 'credit', frequency: 'monthly', startDate: '2025-01-01',
+      exceptions: { '2025-02-01': { type: 'debit' } },
+    }],
+  }, 2);
+  expect(data.transactions.map(t => t.type)).toEqual(['debit', 'credit']);
+  expect(data.recurring[0]).toMatchObject({ type: 'debit', exceptions: { '2025-02-01': { type: 'credit' } } });
+});
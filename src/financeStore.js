@@ -0,0 +1,444 @@
+// src/financeStore.js
+import { useSyncExternalStore } from 'react';
+import {
+  SCHEMA_VERSION,
+  SCHEMA_VERSION_KEY,
+  QUARANTINE_KEY,
+  LEGACY_VERSION,
+  upgradeData,
+} from './financeSchema';
+import { materializeDue } from './recurring';
+import { lastStatementDate } from './creditTerms';
+
+export const ACCOUNTS_KEY = "myapp_finance_accounts";
+export const TRANSACTIONS_KEY = "myapp_finance_transactions";
+export const BUDGETS_KEY = "myapp_finance_budgets";
+export const CATEGORIES_KEY = "myapp_finance_categories";
+export const CATEGORY_RULES_KEY = "myapp_finance_category_rules";
+export const RECURRING_KEY = "myapp_finance_recurring";
+export const EXCHANGE_RATES_KEY = "myapp_finance_exchange_rates";
+export const FILTER_PRESETS_KEY = "myapp_finance_filter_presets";
+// Display preferences; kept apart from the collections and out of backups
+export const SETTINGS_KEY = "myapp_finance_settings";
+// When each record last changed ({ collection: { id: ISO time } }), which sync
+// sends so the newer edit wins a conflict
+export const MODIFIED_KEY = "myapp_finance_modified";
+// Device-wide choice to wipe the signed-in user's data when they log out
+export const CLEAR_ON_LOGOUT_KEY = "myapp_finance_clear_on_logout";
+
+// Every persisted collection and the localStorage key it lives under
+export const COLLECTION_KEYS = {
+  accounts: ACCOUNTS_KEY,
+  transactions: TRANSACTIONS_KEY,
+  budgets: BUDGETS_KEY,
+  categories: CATEGORIES_KEY,
+  categoryRules: CATEGORY_RULES_KEY,
+  recurring: RECURRING_KEY,
+  exchangeRates: EXCHANGE_RATES_KEY,
+  filterPresets: FILTER_PRESETS_KEY,
+};
+const COLLECTIONS = Object.keys(COLLECTION_KEYS);
+const DEFAULT_SETTINGS = { baseCurrency: 'USD', locale: '', transactionPageSize: 5 };
+const emptyCollections = () => COLLECTIONS.reduce((acc, name) => ({ ...acc, [name]: [] }), {});
+
+// Each signed-in user (by their identity provider `sub`) gets their own copy of every key
+export const userStorageKey = (key, userId) => `${key}:${userId}`;
+// Keys written before storage was split per user; the first user to sign in adopts them
+const LEGACY_KEYS = [...Object.values(COLLECTION_KEYS), SCHEMA_VERSION_KEY, QUARANTINE_KEY, SETTINGS_KEY];
+
+export { DEFAULT_CATEGORIES } from './categories';
+
+// --- Calculations shared by the dashboard and the chat ---
+// Every account keeps one ledger: credits add money, debits take it away.
+// A card charge is a debit, so a card's ledger goes negative while money is owed.
+export const calculateBalance = (accountId, transactions, date = new Date()) => {
+  const relevant = transactions.filter(t => t.accountId === accountId && new Date(t.date) <= date);
+  return relevant.reduce((sum, t) => sum + (t.type === 'credit' ? Number(t.amount) : -Number(t.amount)), 0);
+};
+
+// Credit cards are liabilities; every other account is an asset
+export const isLiability = (account) => account?.accountType === 'credit';
+
+// Balance in the account's own terms: what an asset holds, or what a liability owes
+export const accountBalance = (account, transactions, date = new Date()) => {
+  const ledger = calculateBalance(account.id, transactions, date);
+  return isLiability(account) ? -ledger : ledger;
+};
+
+// `convert(amount, account, date)` turns an account's balance into a common
+// currency; without it balances are summed as they are.
+const sameAmount = (amount) => amount;
+
+const sumBalances = (accounts, transactions, date, convert) =>
+  accounts.reduce((sum, account) => sum + convert(accountBalance(account, transactions, date), account, date), 0);
+
+export const calculateAssets = (accounts, transactions, date = new Date(), convert = sameAmount) =>
+  sumBalances(accounts.filter(a => !isLiability(a)), transactions, date, convert);
+
+export const calculateLiabilities = (accounts, transactions, date = new Date(), convert = sameAmount) =>
+  sumBalances(accounts.filter(isLiability), transactions, date, convert);
+
+// Assets minus liabilities
+export const calculateNetWorth = (accounts, transactions, date = new Date(), convert = sameAmount) =>
+  calculateAssets(accounts, transactions, date, convert) - calculateLiabilities(accounts, transactions, date, convert);
+
+// Amount owed as of the end of the card's last statement day, which is what
+// issuers report; cards without a statement day use the current balance.
+export const calculateStatementBalance = (account, transactions, now = new Date()) => {
+  const closing = lastStatementDate(account, now);
+  if (!closing) return accountBalance(account, transactions, now);
+  const endOfDay = new Date(closing.getFullYear(), closing.getMonth(), closing.getDate(), 23, 59, 59, 999);
+  return accountBalance(account, transactions, endOfDay);
+};
+
+export const calculateCreditUtilization = (accounts, transactions, now = new Date(), convert = sameAmount) => {
+  const creditAccounts = accounts.filter(isLiability);
+  const totalLimit = creditAccounts.reduce((sum, a) => sum + convert(Number(a.limit || 0), a, now), 0);
+  if (totalLimit === 0) return 0;
+  const totalUsed = creditAccounts.reduce(
+    (sum, a) => sum + convert(Math.max(0, calculateStatementBalance(a, transactions, now)), a, now),
+    0
+  );
+  return (totalUsed / totalLimit) * 100;
+};
+
+// Fields whose previous values are kept when a transaction is edited
+const AUDITED_FIELDS = ['accountId', 'amount', 'type', 'category', 'date', 'details'];
+
+// Insert a new transaction, or replace an existing one in place and record
+// the values it had before the edit in its `history`.
+export const upsertTransaction = (transactions, transaction, editedAt = new Date().toISOString()) => {
+  const existing = transactions.find(t => t.id === transaction.id);
+  if (!existing) return [...transactions, transaction];
+  const previous = {};
+  AUDITED_FIELDS.forEach(field => {
+    if (existing[field] !== transaction[field]) previous[field] = existing[field];
+  });
+  const history = Object.keys(previous).length
+    ? [...(existing.history || []), { editedAt, previous }]
+    : existing.history || [];
+  return transactions.map(t => (t.id === transaction.id ? { ...transaction, history } : t));
+};
+
+// Nothing is read or written until a user signs in and `setUser` is called
+class FinanceStore {
+  constructor() {
+    this.listeners = [];
+    this.modified = {};
+    this.state = {
+      ...emptyCollections(),
+      quarantine: [],
+      settings: { ...DEFAULT_SETTINGS },
+      userId: null,
+      clearOnLogout: localStorage.getItem(CLEAR_ON_LOGOUT_KEY) === 'true',
+    };
+    // Pick up writes made by other tabs. `fromOtherTab` is set while listeners
+    // hear about them, so work such as syncing happens only in the tab that wrote.
+    this.fromOtherTab = false;
+    // Set while listeners hear about clearUserData, so the wipe isn't synced as deletes
+    this.clearingUserData = false;
+    window.addEventListener('storage', (event) => {
+      if (!this.state.userId) return;
+      if (Object.values(COLLECTION_KEYS).some(key => event.key === this.storageKey(key))) {
+        this.load();
+        this.fromOtherTab = true;
+        try {
+          this.notifyListeners();
+        } finally {
+          this.fromOtherTab = false;
+        }
+      } else if (event.key === this.storageKey(SETTINGS_KEY)) {
+        this.state = { ...this.state, settings: this.readSettings() };
+        this.notifyListeners();
+      }
+    });
+  }
+
+  // The current user's localStorage key for `key`
+  storageKey(key) {
+    return userStorageKey(key, this.state.userId);
+  }
+
+  // Switch to another user's data, or to none (null) after logout
+  setUser = (userId) => {
+    if (userId === this.state.userId) return;
+    this.state = {
+      ...this.state,
+      ...emptyCollections(),
+      quarantine: [],
+      settings: { ...DEFAULT_SETTINGS },
+      userId: userId || null,
+    };
+    this.modified = {};
+    if (this.state.userId) {
+      this.adoptLegacyData();
+      this.state = { ...this.state, settings: this.readSettings() };
+      this.load();
+      this.materializeRecurring();
+    }
+    this.notifyListeners();
+  };
+
+  // Move data saved before storage was per user into the current user's
+  // namespace, unless they already have data of their own
+  adoptLegacyData() {
+    const hasOwn = LEGACY_KEYS.some(key => localStorage.getItem(this.storageKey(key)) !== null);
+    const legacy = LEGACY_KEYS.filter(key => localStorage.getItem(key) !== null);
+    if (hasOwn || !legacy.length) return;
+    legacy.forEach(key => {
+      localStorage.setItem(this.storageKey(key), localStorage.getItem(key));
+      localStorage.removeItem(key);
+    });
+  }
+
+  // Remove every key belonging to the current user, including ones other
+  // modules keep under the same namespace (such as the sync queue)
+  clearUserData = () => {
+    if (!this.state.userId) return;
+    const suffix = userStorageKey('', this.state.userId);
+    const keys = Array.from({ length: localStorage.length }, (_, idx) => localStorage.key(idx));
+    keys.filter(key => key.endsWith(suffix)).forEach(key => localStorage.removeItem(key));
+    this.state = { ...this.state, ...emptyCollections(), quarantine: [], settings: { ...DEFAULT_SETTINGS } };
+    this.modified = {};
+    this.clearingUserData = true;
+    try {
+      this.notifyListeners();
+    } finally {
+      this.clearingUserData = false;
+    }
+  };
+
+  setClearOnLogout = (clearOnLogout) => {
+    localStorage.setItem(CLEAR_ON_LOGOUT_KEY, String(clearOnLogout));
+    this.state = { ...this.state, clearOnLogout };
+    this.notifyListeners();
+  };
+
+  // Read one collection; unparseable payloads are quarantined instead of dropped
+  readCollection(key, collection, quarantined) {
+    const stored = localStorage.getItem(this.storageKey(key));
+    if (!stored) return [];
+    try {
+      const parsed = JSON.parse(stored);
+      if (Array.isArray(parsed)) return parsed;
+      quarantined.push({ collection, record: parsed, reason: 'Stored value is not an array' });
+    } catch (error) {
+      console.error(`Error parsing ${key}:`, error);
+      quarantined.push({ collection, record: stored, reason: 'Stored value is not valid JSON' });
+    }
+    return [];
+  }
+
+  readSettings() {
+    try {
+      return { ...DEFAULT_SETTINGS, ...JSON.parse(localStorage.getItem(this.storageKey(SETTINGS_KEY))) };
+    } catch (error) {
+      return { ...DEFAULT_SETTINGS };
+    }
+  }
+
+  // Merge display preferences such as the base currency and locale
+  setSettings = (changes) => {
+    const settings = { ...this.state.settings, ...changes };
+    if (this.state.userId) localStorage.setItem(this.storageKey(SETTINGS_KEY), JSON.stringify(settings));
+    this.state = { ...this.state, settings };
+    this.notifyListeners();
+  };
+
+  getQuarantine() {
+    try {
+      return JSON.parse(localStorage.getItem(this.storageKey(QUARANTINE_KEY))) || [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  // Read every collection from localStorage, upgrading old schemas
+  load() {
+    const unreadable = [];
+    const raw = COLLECTIONS.reduce((acc, name) => ({
+      ...acc,
+      [name]: this.readCollection(COLLECTION_KEYS[name], name, unreadable),
+    }), {});
+    const storedVersion = Number(localStorage.getItem(this.storageKey(SCHEMA_VERSION_KEY)) ?? LEGACY_VERSION);
+    const { data, quarantined, version, changed } = upgradeData(raw, storedVersion);
+    const newlyQuarantined = [...unreadable, ...quarantined];
+    const quarantine = newlyQuarantined.length
+      ? [
+          ...this.getQuarantine(),
+          ...newlyQuarantined.map(entry => ({ ...entry, quarantinedAt: new Date().toISOString() })),
+        ]
+      : this.getQuarantine();
+
+    this.state = { ...this.state, ...data, quarantine };
+    this.modified = this.readModified();
+    if (newlyQuarantined.length) {
+      localStorage.setItem(this.storageKey(QUARANTINE_KEY), JSON.stringify(quarantine));
+    }
+    // Write the upgraded payload back, but never seed storage that was empty
+    const hadData = COLLECTIONS.some(name => raw[name].length > 0) || unreadable.length > 0;
+    if ((changed || unreadable.length) && hadData) {
+      localStorage.setItem(this.storageKey(SCHEMA_VERSION_KEY), String(version));
+      COLLECTIONS.forEach(name => localStorage.setItem(this.storageKey(COLLECTION_KEYS[name]), JSON.stringify(data[name])));
+    }
+  }
+
+  // Set aside records that failed validation elsewhere, e.g. ones pulled by sync
+  quarantineRecords = (entries) => {
+    if (!entries.length) return;
+    const quarantine = [
+      ...this.state.quarantine,
+      ...entries.map(entry => ({ ...entry, quarantinedAt: new Date().toISOString() })),
+    ];
+    if (this.state.userId) localStorage.setItem(this.storageKey(QUARANTINE_KEY), JSON.stringify(quarantine));
+    this.state = { ...this.state, quarantine };
+    this.notifyListeners();
+  };
+
+  // Drop quarantined records once the user has reviewed them
+  clearQuarantine = () => {
+    localStorage.removeItem(this.storageKey(QUARANTINE_KEY));
+    this.state = { ...this.state, quarantine: [] };
+    this.notifyListeners();
+  };
+
+  readModified() {
+    try {
+      return JSON.parse(localStorage.getItem(this.storageKey(MODIFIED_KEY))) || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  // When a record last changed in this browser (or on the device it was
+  // synced from), or null if it hasn't changed since tracking began
+  getModifiedAt = (collection, id) => this.modified[collection]?.[id] || null;
+
+  // Record the times other devices changed records, e.g. ones pulled by sync
+  setModifiedAt = (collection, times) => {
+    this.modified = { ...this.modified, [collection]: { ...this.modified[collection], ...times } };
+    if (this.state.userId) localStorage.setItem(this.storageKey(MODIFIED_KEY), JSON.stringify(this.modified));
+  };
+
+  // Stamp records that differ from `previous` and forget removed ones
+  trackModified(previous, at = new Date().toISOString()) {
+    COLLECTIONS.forEach(name => {
+      if (previous[name] === this.state[name]) return;
+      const before = new Map(previous[name].map(record => [record?.id, record]));
+      const times = {};
+      this.state[name].forEach(record => {
+        if (!record) return;
+        const old = before.get(record.id);
+        times[record.id] = old === record ? this.modified[name]?.[record.id] || null : at;
+      });
+      this.modified = { ...this.modified, [name]: Object.fromEntries(Object.entries(times).filter(([, time]) => time)) };
+    });
+  }
+
+  // Persist the current state and tell subscribers about it. Without a
+  // signed-in user changes stay in memory. `previous` is the state before
+  // the change, for the modified times.
+  save(previous = this.state) {
+    this.trackModified(previous);
+    if (this.state.userId) {
+      localStorage.setItem(this.storageKey(SCHEMA_VERSION_KEY), String(SCHEMA_VERSION));
+      COLLECTIONS.forEach(name => localStorage.setItem(this.storageKey(COLLECTION_KEYS[name]), JSON.stringify(this.state[name])));
+      localStorage.setItem(this.storageKey(MODIFIED_KEY), JSON.stringify(this.modified));
+    }
+    this.notifyListeners();
+  }
+
+  getSnapshot = () => this.state;
+
+  // Register a listener for data changes; returns an unsubscribe function
+  subscribe = (callback) => {
+    this.listeners.push(callback);
+    return () => {
+      this.listeners = this.listeners.filter(listener => listener !== callback);
+    };
+  };
+
+  notifyListeners() {
+    this.listeners.forEach((callback) => callback(this.state));
+  }
+
+  // Setters accept either a new array or an updater function, like useState
+  setCollection(name, next) {
+    const previous = this.state;
+    const value = typeof next === 'function' ? next(this.state[name]) : next;
+    this.state = { ...this.state, [name]: value };
+    this.save(previous);
+  }
+
+  setAccounts = (next) => this.setCollection('accounts', next);
+
+  setTransactions = (next) => this.setCollection('transactions', next);
+
+  setBudgets = (next) => this.setCollection('budgets', next);
+
+  setCategories = (next) => this.setCollection('categories', next);
+
+  setCategoryRules = (next) => this.setCollection('categoryRules', next);
+
+  setExchangeRates = (next) => this.setCollection('exchangeRates', next);
+
+  setFilterPresets = (next) => this.setCollection('filterPresets', next);
+
+  // Templates may start in the past, so materialize whatever is already due
+  setRecurring = (next) => {
+    this.setCollection('recurring', next);
+    this.materializeRecurring();
+  };
+
+  // Add transactions for recurring occurrences that have come due.
+  // Returns how many were created.
+  materializeRecurring = (now = new Date()) => {
+    const { recurring, created } = materializeDue(this.state.recurring, this.state.transactions, now, this.state.accounts);
+    const advanced = recurring.some((template, idx) => template !== this.state.recurring[idx]);
+    if (!created.length && !advanced) return 0;
+    const previous = this.state;
+    this.state = { ...this.state, recurring, transactions: [...this.state.transactions, ...created] };
+    this.save(previous);
+    return created.length;
+  };
+
+  // Swap in several collections together, e.g. when restoring a backup
+  replaceData = (data) => {
+    const next = {};
+    COLLECTIONS.forEach(name => {
+      if (Array.isArray(data[name])) next[name] = data[name];
+    });
+    const previous = this.state;
+    this.state = { ...this.state, ...next };
+    this.save(previous);
+  };
+
+  // Add a transaction or update it in place, keeping an audit of edits
+  saveTransaction = (transaction) => {
+    this.setTransactions(prev => upsertTransaction(prev, transaction));
+  };
+}
+
+const financeStore = new FinanceStore();
+export default financeStore;
+
+// React hook exposing the store's data and setters
+export function useFinanceStore() {
+  const state = useSyncExternalStore(financeStore.subscribe, financeStore.getSnapshot);
+  return {
+    ...state,
+    setAccounts: financeStore.setAccounts,
+    setTransactions: financeStore.setTransactions,
+    setBudgets: financeStore.setBudgets,
+    setCategories: financeStore.setCategories,
+    setCategoryRules: financeStore.setCategoryRules,
+    setRecurring: financeStore.setRecurring,
+    setExchangeRates: financeStore.setExchangeRates,
+    setFilterPresets: financeStore.setFilterPresets,
+    setSettings: financeStore.setSettings,
+    setClearOnLogout: financeStore.setClearOnLogout,
+    saveTransaction: financeStore.saveTransaction,
+    replaceData: financeStore.replaceData,
+    clearQuarantine: financeStore.clearQuarantine,
+  };
+}
@@ -0,0 +1,104 @@
+import financeStore, {
+  ACCOUNTS_KEY,
+  TRANSACTIONS_KEY,
+  userStorageKey,
+  MODIFIED_KEY,
+  calculateBalance,
+  calculateCreditUtilization,
+  upsertTransaction,
+} from './financeStore';
+
+const transactions = [
+  { id: '1', accountId: 'a', amount: 100, type: 'credit', date: '2025-01-01' },
+  { id: '2', accountId: 'a', amount: 30, type: 'debit', date: '2025-02-01' },
+  { id: '3', accountId: 'b', amount: 50, type: 'debit', date: '2025-01-15' },
+];
+
+test('calculateBalance sums credits and debits up to a date', () => {
+  expect(calculateBalance('a', transactions)).toBe(70);
+  expect(calculateBalance('a', transactions, new Date('2025-01-20'))).toBe(100);
+  expect(calculateBalance('missing', transactions)).toBe(0);
+});
+
+test('calculateCreditUtilization uses credit account limits', () => {
+  const accounts = [
+    { id: 'a', accountType: 'debit' },
+    { id: 'b', accountType: 'credit', limit: 200 },
+  ];
+  expect(calculateCreditUtilization(accounts, transactions)).toBe(25);
+  expect(calculateCreditUtilization([{ id: 'a', accountType: 'debit' }], transactions)).toBe(0);
+});
+
+test('setters persist to the signed-in user\'s localStorage keys and notify subscribers', () => {
+  financeStore.setUser('auth0|alice');
+  const listener = jest.fn();
+  const unsubscribe = financeStore.subscribe(listener);
+  financeStore.setAccounts([{ id: 'a', name: 'Checking', accountType: 'debit' }]);
+  financeStore.setTransactions(prev => [...prev, transactions[0]]);
+
+  expect(JSON.parse(localStorage.getItem(userStorageKey(ACCOUNTS_KEY, 'auth0|alice')))).toHaveLength(1);
+  expect(JSON.parse(localStorage.getItem(userStorageKey(TRANSACTIONS_KEY, 'auth0|alice')))).toEqual([transactions[0]]);
+  expect(localStorage.getItem(ACCOUNTS_KEY)).toBeNull();
+  expect(listener).toHaveBeenCalledTimes(2);
+
+  unsubscribe();
+  financeStore.setTransactions([]);
+  expect(listener).toHaveBeenCalledTimes(2);
+  financeStore.setUser(null);
+});
+
+test('keeps each user\'s data apart and clears it on request', () => {
+  // Data saved before storage was per user goes to the first user to sign in
+  localStorage.setItem(ACCOUNTS_KEY, JSON.stringify([{ id: 'old', name: 'Savings', accountType: 'debit' }]));
+  financeStore.setUser('auth0|bob');
+  expect(financeStore.getSnapshot().accounts.map(a => a.id)).toEqual(['old']);
+  expect(localStorage.getItem(ACCOUNTS_KEY)).toBeNull();
+
+  financeStore.setUser('auth0|carol');
+  expect(financeStore.getSnapshot().accounts).toEqual([]);
+  financeStore.setAccounts([{ id: 'c', name: 'Carol', accountType: 'debit' }]);
+
+  financeStore.setUser('auth0|bob');
+  expect(financeStore.getSnapshot().accounts.map(a => a.id)).toEqual(['old']);
+  financeStore.clearUserData();
+  expect(localStorage.getItem(userStorageKey(ACCOUNTS_KEY, 'auth0|bob'))).toBeNull();
+  expect(localStorage.getItem(userStorageKey(ACCOUNTS_KEY, 'auth0|carol'))).not.toBeNull();
+
+  // Signed out, nothing is loaded or written
+  financeStore.setUser(null);
+  expect(financeStore.getSnapshot().accounts).toEqual([]);
+  financeStore.setAccounts([{ id: 'x' }]);
+  expect(localStorage.getItem(userStorageKey(ACCOUNTS_KEY, null))).toBeNull();
+  financeStore.setAccounts([]);
+});
+
+test('upsertTransaction updates in place and records the previous values', () => {
+  const edited = { ...transactions[1], amount: 35, details: 'Groceries' };
+  const result = upsertTransaction(transactions, edited, '2025-03-01T00:00:00.000Z');
+
+  expect(result).toHaveLength(transactions.length);
+  expect(result[1]).toMatchObject({ id: '2', amount: 35, details: 'Groceries' });
+  expect(result[1].history).toEqual([
+    { editedAt: '2025-03-01T00:00:00.000Z', previous: { amount: 30, details: undefined } },
+  ]);
+  expect(upsertTransaction(transactions, { ...transactions[0], id: '4' })).toHaveLength(4);
+});
+
+test('stamps each record when it changes and forgets removed ones', () => {
+  jest.useFakeTimers();
+  financeStore.setUser('auth0|dana');
+  jest.setSystemTime(new Date('2025-01-01T00:00:00.000Z'));
+  financeStore.setAccounts([{ id: 'a', name: 'Checking', accountType: 'debit' }, { id: 'b', name: 'Savings', accountType: 'debit' }]);
+  jest.setSystemTime(new Date('2025-02-01T00:00:00.000Z'));
+  financeStore.setAccounts(prev => prev.filter(a => a.id !== 'b').map(a => ({ ...a, name: 'Main' })));
+  financeStore.setAccounts(prev => [...prev, { id: 'c', name: 'Card', accountType: 'credit' }]);
+  jest.useRealTimers();
+
+  expect(financeStore.getModifiedAt('accounts', 'a')).toBe('2025-02-01T00:00:00.000Z');
+  expect(financeStore.getModifiedAt('accounts', 'b')).toBeNull();
+  expect(JSON.parse(localStorage.getItem(userStorageKey(MODIFIED_KEY, 'auth0|dana'))).accounts).toEqual({
+    a: '2025-02-01T00:00:00.000Z',
+    c: '2025-02-01T00:00:00.000Z',
+  });
+  financeStore.setUser(null);
+});
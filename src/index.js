@@ -3,32 +3,31 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import ConfigErrorScreen from './ConfigErrorScreen';
+import { ConfigProvider, loadConfig } from './config';
 import reportWebVitals from './reportWebVitals';
 
+const root = ReactDOM.createRoot(document.getElementById('root'));
 
-// Fetch runtime configuration from /config.json
-fetch('/config.json')
-  .then((res) => res.json())
+// Load and check the runtime configuration from /config.json before starting
+loadConfig()
   .then((config) => {
-    // Set the config in a global variable
-    window._env_ = config;
-    const root = ReactDOM.createRoot(document.getElementById('root'));
     root.render(
       <React.StrictMode>
-        <App />
+        <ConfigProvider config={config}>
+          <App />
+        </ConfigProvider>
       </React.StrictMode>
     );
   })
   .catch((err) => {
-    console.error('Failed to load runtime config:', err);
-    window._env_ = {}; // fallback to empty config
-    const root = ReactDOM.createRoot(document.getElementById('root'));
+    console.error('Invalid runtime config:', err);
     root.render(
       <React.StrictMode>
-        <App />
+        <ConfigErrorScreen error={err} />
       </React.StrictMode>
     );
   });
 
 // Report web vitals
-reportWebVitals();
\ No newline at end of file
+reportWebVitals();
@@ -0,0 +1,151 @@
+// src/llmProviders.js
+// Chat completion providers behind one interface:
+//   provider.streamChat({ messages, system, signal, onToken }) -> Promise<full text>
+// `messages` are { role: 'user' | 'assistant', content } objects.
+// Requests go through the server's LLM proxy (server/llmProxy.js), which holds
+// the API keys and picks the models; the browser only sends its access token.
+
+export class LLMError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'LLMError';
+    this.status = status;
+  }
+}
+
+// Provider settings from the runtime config's llmProxyUrl (see config.js)
+export const getProviderConfig = (env = {}, getAccessToken = async () => null) => {
+  const proxyUrl = (env.llmProxyUrl || '').replace(/\/$/, '');
+  return {
+    openai: { baseUrl: proxyUrl && `${proxyUrl}/openai`, getAccessToken },
+    anthropic: { baseUrl: proxyUrl && `${proxyUrl}/anthropic`, getAccessToken },
+  };
+};
+
+// Yield raw byte chunks from a WHATWG stream or a Node stream
+async function* readChunks(body) {
+  if (body.getReader) {
+    const reader = body.getReader();
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) return;
+      yield value;
+    }
+  }
+  for await (const chunk of body) yield chunk;
+}
+
+// Parse a server-sent event stream into { event, data } records
+export async function* readServerSentEvents(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  const parseEvent = (raw) => {
+    let event = 'message';
+    const data = [];
+    raw.split(/\r?\n/).forEach(line => {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+    });
+    return data.length ? { event, data: data.join('\n') } : null;
+  };
+  for await (const chunk of readChunks(body)) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const parts = buffer.split(/\r?\n\r?\n/);
+    buffer = parts.pop();
+    for (const part of parts) {
+      const parsed = parseEvent(part);
+      if (parsed) yield parsed;
+    }
+  }
+  const last = parseEvent(buffer);
+  if (last) yield last;
+}
+
+const postJSON = async (fetchImpl, { baseUrl, getAccessToken }, path, body, signal) => {
+  if (!baseUrl) throw new LLMError('Chat is not set up: config.json has no llmProxyUrl.');
+  const token = await getAccessToken();
+  const response = await fetchImpl(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+    body: JSON.stringify(body),
+    signal,
+  });
+  if (!response.ok) {
+    let detail = '';
+    try {
+      const payload = await response.json();
+      detail = payload?.error?.message || payload?.message || '';
+    } catch (error) {
+      // Non-JSON error body; fall back to the status line
+    }
+    throw new LLMError(detail || `Request failed with status ${response.status}`, response.status);
+  }
+  return response;
+};
+
+const defaultFetch = (...args) => window.fetch(...args);
+
+// OpenAI-compatible /chat/completions endpoint
+export const createOpenAIProvider = (settings, fetchImpl = defaultFetch) => ({
+  name: 'OpenAI',
+  async streamChat({ messages, system, signal, onToken = () => {} }) {
+    const response = await postJSON(
+      fetchImpl,
+      settings,
+      '/chat/completions',
+      {
+        stream: true,
+        messages: system ? [{ role: 'system', content: system }, ...messages] : messages,
+      },
+      signal
+    );
+    let text = '';
+    for await (const { data } of readServerSentEvents(response.body)) {
+      if (data === '[DONE]') break;
+      const payload = JSON.parse(data);
+      if (payload.error) throw new LLMError(payload.error.message || 'Provider error');
+      const token = payload.choices?.[0]?.delta?.content || '';
+      if (token) {
+        text += token;
+        onToken(token, text);
+      }
+    }
+    return text;
+  },
+});
+
+// Anthropic-compatible /messages endpoint
+export const createAnthropicProvider = (settings, fetchImpl = defaultFetch) => ({
+  name: 'Claude',
+  async streamChat({ messages, system, signal, onToken = () => {} }) {
+    const response = await postJSON(
+      fetchImpl,
+      settings,
+      '/messages',
+      { max_tokens: 1024, stream: true, ...(system ? { system } : {}), messages },
+      signal
+    );
+    let text = '';
+    for await (const { event, data } of readServerSentEvents(response.body)) {
+      if (event === 'message_stop') break;
+      const payload = JSON.parse(data);
+      if (event === 'error' || payload.type === 'error') {
+        throw new LLMError(payload.error?.message || 'Provider error');
+      }
+      const token = payload.type === 'content_block_delta' ? payload.delta?.text || '' : '';
+      if (token) {
+        text += token;
+        onToken(token, text);
+      }
+    }
+    return text;
+  },
+});
+
+// Providers keyed by the names shown in the chat's model picker
+export const createProviders = (config = getProviderConfig(), fetchImpl = defaultFetch) => ({
+  OpenAI: createOpenAIProvider(config.openai, fetchImpl),
+  Claude: createAnthropicProvider(config.anthropic, fetchImpl),
+});
+
+export const isAbortError = (error) => error?.name === 'AbortError';
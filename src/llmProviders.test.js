@@ -0,0 +1,133 @@
+/**
+ * @jest-environment node
+ */
+import { TextDecoder, TextEncoder } from 'util';
+import { createOpenAIProvider, createAnthropicProvider, getProviderConfig, LLMError, isAbortError } from './llmProviders';
+
+global.TextDecoder = TextDecoder;
+
+// Stand-in for fetch against the server's LLM proxy (OpenAI and Anthropic
+// streaming endpoints); response bodies are async iterables of byte chunks
+let requests = [];
+const baseUrl = 'https://proxy.test';
+
+const bytes = (text) => new TextEncoder().encode(text);
+
+const sse = (events) => ({
+  ok: true,
+  status: 200,
+  body: (async function* stream() {
+    for (const { event, data } of events) {
+      yield bytes(`${event ? `event: ${event}\n` : ''}data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`);
+    }
+  })(),
+});
+
+// Sends one token, then never finishes until the request is aborted
+const slowStream = (signal) => ({
+  ok: true,
+  status: 200,
+  body: (async function* stream() {
+    yield bytes(`data: ${JSON.stringify({ choices: [{ delta: { content: 'partial' } }] })}\n\n`);
+    if (!signal.aborted) await new Promise(resolve => signal.addEventListener('abort', resolve));
+    const error = new Error('The operation was aborted.');
+    error.name = 'AbortError';
+    throw error;
+  })(),
+});
+
+const fetch = async (url, { headers, body, signal }) => {
+  const path = url.slice(baseUrl.length);
+  requests.push({
+    url: path,
+    headers: Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value])),
+    body: body ? JSON.parse(body) : null,
+  });
+  if (path === '/openai/chat/completions') {
+    return sse([
+      { data: { choices: [{ delta: { content: 'Hello' } }] } },
+      { data: { choices: [{ delta: { content: ' there' } }] } },
+      { data: '[DONE]' },
+    ]);
+  }
+  if (path === '/anthropic/messages') {
+    return sse([
+      { event: 'message_start', data: { type: 'message_start' } },
+      { event: 'content_block_delta', data: { type: 'content_block_delta', delta: { type: 'text_delta', text: 'Hi' } } },
+      { event: 'content_block_delta', data: { type: 'content_block_delta', delta: { type: 'text_delta', text: '!' } } },
+      { event: 'message_stop', data: { type: 'message_stop' } },
+    ]);
+  }
+  if (path === '/slow/chat/completions') return slowStream(signal);
+  return { ok: false, status: 401, json: async () => ({ error: { message: 'Invalid API key' } }) };
+};
+
+beforeEach(() => {
+  requests = [];
+});
+
+const settings = (path) => ({ baseUrl: `${baseUrl}/${path}`, getAccessToken: async () => 'user-token' });
+
+test('OpenAI adapter streams tokens and sends the system prompt', async () => {
+  const provider = createOpenAIProvider(settings('openai'), fetch);
+  const tokens = [];
+  const text = await provider.streamChat({
+    messages: [{ role: 'user', content: 'hi' }],
+    system: 'be nice',
+    onToken: token => tokens.push(token),
+  });
+
+  expect(text).toBe('Hello there');
+  expect(tokens).toEqual(['Hello', ' there']);
+  expect(requests[0].headers.authorization).toBe('Bearer user-token');
+  expect(requests[0].body).toMatchObject({
+    stream: true,
+    messages: [{ role: 'system', content: 'be nice' }, { role: 'user', content: 'hi' }],
+  });
+});
+
+test('Anthropic adapter streams content_block_delta events', async () => {
+  const provider = createAnthropicProvider(settings('anthropic'), fetch);
+  const text = await provider.streamChat({ messages: [{ role: 'user', content: 'hi' }], system: 'be nice' });
+
+  expect(text).toBe('Hi!');
+  expect(requests[0].headers.authorization).toBe('Bearer user-token');
+  expect(requests[0].headers).not.toHaveProperty('x-api-key');
+  expect(requests[0].body).toMatchObject({ system: 'be nice', stream: true });
+  expect(requests[0].body).not.toHaveProperty('model');
+});
+
+test('providers point at the configured proxy and refuse to run without one', async () => {
+  expect(getProviderConfig({ llmProxyUrl: 'https://api.example.com/api/llm/' }).anthropic.baseUrl)
+    .toBe('https://api.example.com/api/llm/anthropic');
+  const provider = createOpenAIProvider(getProviderConfig({}).openai, fetch);
+  await expect(provider.streamChat({ messages: [] })).rejects.toThrow('config.json has no llmProxyUrl');
+  expect(requests).toEqual([]);
+});
+
+test('HTTP errors surface the provider message', async () => {
+  const provider = createOpenAIProvider(settings('missing'), fetch);
+  const error = await provider.streamChat({ messages: [] }).catch(err => err);
+
+  expect(error).toBeInstanceOf(LLMError);
+  expect(error.message).toBe('Invalid API key');
+  expect(error.status).toBe(401);
+});
+
+test('aborting cancels an in-flight stream', async () => {
+  const provider = createOpenAIProvider(settings('slow'), fetch);
+  const controller = new AbortController();
+  const tokens = [];
+  const pending = provider.streamChat({
+    messages: [],
+    signal: controller.signal,
+    onToken: token => {
+      tokens.push(token);
+      controller.abort();
+    },
+  });
+
+  const error = await pending.catch(err => err);
+  expect(tokens).toEqual(['partial']);
+  expect(isAbortError(error)).toBe(true);
+});
@@ -0,0 +1,26 @@
+// src/netWorth.js
+// Net worth over time: assets minus liabilities at the end of each month.
+import { calculateAssets, calculateLiabilities } from './financeStore';
+
+export const HISTORY_MONTHS = { '6m': 6, '1y': 12, '2y': 24 };
+
+// Summary as of `date`, with each account's balance passed through `convert`
+export const netWorthOn = (accounts, transactions, date = new Date(), convert) => {
+  const assets = calculateAssets(accounts, transactions, date, convert);
+  const liabilities = calculateLiabilities(accounts, transactions, date, convert);
+  return { assets, liabilities, netWorth: assets - liabilities };
+};
+
+// One chart point per month-end for the last `months` months, ending with today
+export const netWorthHistory = (accounts, transactions, { now = new Date(), months = 12, convert } = {}) =>
+  Array.from({ length: months + 1 }, (_, i) => {
+    const offset = months - i;
+    const date = offset === 0
+      ? now
+      : new Date(now.getFullYear(), now.getMonth() - offset + 1, 0, 23, 59, 59, 999);
+    return {
+      date: date.toISOString(),
+      label: offset === 0 ? 'Now' : date.toLocaleDateString(undefined, { month: 'short', year: '2-digit' }),
+      ...netWorthOn(accounts, transactions, date, convert),
+    };
+  });
@@ -0,0 +1,25 @@
+import { netWorthOn, netWorthHistory } from './netWorth';
+
+const accounts = [
+  { id: 'chk', name: 'Checking', accountType: 'debit' },
+  { id: 'visa', name: 'Visa', accountType: 'credit' },
+];
+const transactions = [
+  { id: '1', accountId: 'chk', amount: 1000, type: 'credit', date: new Date(2025, 0, 5).toISOString() },
+  { id: '2', accountId: 'visa', amount: 300, type: 'debit', date: new Date(2025, 1, 10).toISOString() },
+  { id: '3', accountId: 'visa', amount: 100, type: 'credit', date: new Date(2025, 2, 1).toISOString() },
+];
+
+test('card charges count as liabilities and payments reduce them', () => {
+  expect(netWorthOn(accounts, transactions, new Date(2025, 2, 15))).toEqual({ assets: 1000, liabilities: 200, netWorth: 800 });
+  const halved = netWorthOn(accounts, transactions, new Date(2025, 2, 15), (amount, account) =>
+    account.id === 'visa' ? amount / 2 : amount);
+  expect(halved.liabilities).toBe(100);
+});
+
+test('netWorthHistory has a point per month-end ending today', () => {
+  const points = netWorthHistory(accounts, transactions, { now: new Date(2025, 2, 15), months: 2 });
+  expect(points.map(p => p.label.length > 0)).toEqual([true, true, true]);
+  expect(points.map(p => p.netWorth)).toEqual([1000, 700, 800]);
+  expect(points[2].label).toBe('Now');
+});
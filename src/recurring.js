@@ -0,0 +1,143 @@
+// src/recurring.js
+// Recurring transaction templates (paychecks, rent, subscriptions) and the
+// occurrences they generate. Each template may override or skip individual
+// occurrences through `exceptions`, keyed by the occurrence's day.
+
+export const FREQUENCIES = ['daily', 'weekly', 'monthly', 'custom'];
+export const CUSTOM_UNITS = ['days', 'weeks', 'months'];
+
+// Guard against runaway loops for templates that started long ago
+const MAX_OCCURRENCES = 5000;
+
+export const dayKey = (date) => {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+const stepFor = (template) => {
+  if (template.frequency === 'daily') return { unit: 'days', count: 1 };
+  if (template.frequency === 'weekly') return { unit: 'weeks', count: 1 };
+  if (template.frequency === 'monthly') return { unit: 'months', count: 1 };
+  return { unit: template.unit || 'days', count: Math.max(1, Number(template.interval) || 1) };
+};
+
+// The nth occurrence, computed from the start so month-end dates don't drift
+// (a template starting Jan 31 lands on Feb 28, then Mar 31).
+const nthOccurrence = (start, unit, count) => {
+  if (unit === 'months') {
+    const target = new Date(start.getFullYear(), start.getMonth() + count, 1, start.getHours(), start.getMinutes());
+    const lastDay = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+    target.setDate(Math.min(start.getDate(), lastDay));
+    return target;
+  }
+  const days = unit === 'weeks' ? count * 7 : count;
+  return new Date(start.getFullYear(), start.getMonth(), start.getDate() + days, start.getHours(), start.getMinutes());
+};
+
+// Occurrence dates in [from, to], ignoring exceptions
+export const occurrenceDates = (template, from, to) => {
+  const start = new Date(template.startDate);
+  const end = template.endDate ? new Date(template.endDate) : null;
+  const { unit, count } = stepFor(template);
+  const fromTime = new Date(from).getTime();
+  const toTime = new Date(to).getTime();
+  const dates = [];
+  for (let n = 0; n < MAX_OCCURRENCES; n++) {
+    const date = nthOccurrence(start, unit, n * count);
+    if (date.getTime() > toTime || (end && dayKey(date) > dayKey(end))) break;
+    if (date.getTime() >= fromTime) dates.push(date);
+  }
+  return dates;
+};
+
+// The transaction a template produces on `date`, with any per-occurrence edits
+export const buildOccurrence = (template, date) => {
+  const key = dayKey(date);
+  const override = (template.exceptions || {})[key] || {};
+  return {
+    id: `${template.id}-${key}`,
+    accountId: override.accountId || template.accountId,
+    amount: Number(override.amount ?? template.amount),
+    type: override.type || template.type || 'debit',
+    category: override.category || template.category || 'Other',
+    date: date.toISOString(),
+    details: override.details ?? template.details ?? '',
+    recurringId: template.id,
+    occurrenceDate: key,
+  };
+};
+
+const isSkipped = (template, date) => !!((template.exceptions || {})[dayKey(date)] || {}).skipped;
+
+// Upcoming occurrences across all templates, soonest first. Skipped ones are
+// included (flagged) so they can be restored.
+export const upcomingOccurrences = (templates, now = new Date(), days = 30) => {
+  const from = new Date(now);
+  const to = new Date(from.getFullYear(), from.getMonth(), from.getDate() + days, 23, 59, 59);
+  return templates
+    .flatMap(template =>
+      occurrenceDates(template, from, to).map(date => ({
+        template,
+        transaction: buildOccurrence(template, date),
+        skipped: isSkipped(template, date),
+      }))
+    )
+    .sort((a, b) => new Date(a.transaction.date) - new Date(b.transaction.date));
+};
+
+// Turn every due occurrence (up to `now`) into a real transaction. Templates
+// remember how far they have been materialized, and occurrences already in
+// `transactions` are never added twice. When `accounts` is given, occurrences
+// for accounts that no longer exist are left out.
+export const materializeDue = (templates, transactions, now = new Date(), accounts = null) => {
+  const accountIds = accounts && new Set(accounts.map(a => a.id));
+  const existing = new Set(
+    transactions.filter(t => t.recurringId).map(t => `${t.recurringId}|${t.occurrenceDate}`)
+  );
+  const created = [];
+  const recurring = templates.map(template => {
+    const from = template.materializedThrough
+      ? new Date(new Date(template.materializedThrough).getTime() + 1)
+      : new Date(template.startDate);
+    const due = occurrenceDates(template, from, now);
+    if (!due.length) return template;
+    due.forEach(date => {
+      if (isSkipped(template, date) || existing.has(`${template.id}|${dayKey(date)}`)) return;
+      const occurrence = buildOccurrence(template, date);
+      if (accountIds && !accountIds.has(occurrence.accountId)) return;
+      created.push(occurrence);
+    });
+    return { ...template, materializedThrough: due[due.length - 1].toISOString() };
+  });
+  return { recurring, created };
+};
+
+// Per-occurrence edits: `changes` overrides fields, `{ skipped: true }` skips it,
+// and `null` restores the occurrence to the template's values.
+export const setOccurrenceException = (template, date, changes) => {
+  const exceptions = { ...(template.exceptions || {}) };
+  const key = dayKey(date);
+  if (changes) exceptions[key] = { ...(exceptions[key] || {}), ...changes };
+  else delete exceptions[key];
+  return { ...template, exceptions };
+};
+
+// Non-skipped occurrences of every template in (from, to], as transactions
+export const scheduledTransactions = (templates, from, to) =>
+  templates.flatMap(template =>
+    occurrenceDates(template, new Date(new Date(from).getTime() + 1), to)
+      .filter(date => !isSkipped(template, date))
+      .map(date => buildOccurrence(template, date))
+  );
+
+// Signed effect (credit +, debit -) of an account's scheduled occurrences in (from, to]
+export const recurringNetChange = (templates, accountId, from, to) =>
+  scheduledTransactions(templates, from, to)
+    .filter(t => t.accountId === accountId)
+    .reduce((sum, t) => sum + (t.type === 'credit' ? t.amount : -t.amount), 0);
+
+export const describeFrequency = (template) => {
+  if (template.frequency !== 'custom') return template.frequency.charAt(0).toUpperCase() + template.frequency.slice(1);
+  const { unit, count } = stepFor(template);
+  return count === 1 ? `Every ${unit.replace(/s$/, '')}` : `Every ${count} ${unit}`;
+};
@@ -0,0 +1,53 @@
+import {
+  occurrenceDates,
+  materializeDue,
+  upcomingOccurrences,
+  setOccurrenceException,
+  recurringNetChange,
+} from './recurring';
+
+const rent = {
+  id: 'rent',
+  accountId: 'a',
+  amount: 1000,
+  type: 'debit',
+  category: 'Housing',
+  details: 'Rent',
+  frequency: 'monthly',
+  startDate: new Date(2025, 0, 31, 9).toISOString(),
+  endDate: null,
+  exceptions: {},
+};
+
+test('monthly occurrences clamp to month end without drifting', () => {
+  const dates = occurrenceDates(rent, new Date(2025, 0, 1), new Date(2025, 3, 30, 23, 59));
+  expect(dates.map(d => d.getDate())).toEqual([31, 28, 31, 30]);
+
+  const custom = { ...rent, frequency: 'custom', interval: 2, unit: 'weeks', endDate: new Date(2025, 1, 28).toISOString() };
+  expect(occurrenceDates(custom, new Date(2025, 0, 1), new Date(2025, 11, 31))).toHaveLength(3);
+});
+
+test('materializeDue creates due occurrences once and honours skips', () => {
+  const template = setOccurrenceException(rent, new Date(2025, 1, 28), { skipped: true });
+  const first = materializeDue([template], [], new Date(2025, 2, 31, 12));
+  expect(first.created.map(t => t.occurrenceDate)).toEqual(['2025-01-31', '2025-03-31']);
+  expect(first.created[0]).toMatchObject({ recurringId: 'rent', amount: 1000, category: 'Housing' });
+
+  const again = materializeDue(first.recurring, first.created, new Date(2025, 2, 31, 12));
+  expect(again.created).toHaveLength(0);
+  // Without the bookmark, existing occurrences are still recognised
+  expect(materializeDue([template], first.created, new Date(2025, 2, 31, 12)).created).toHaveLength(0);
+});
+
+test('materializeDue skips templates whose account was deleted', () => {
+  const now = new Date(2025, 2, 31, 12);
+  expect(materializeDue([rent], [], now, [{ id: rent.accountId }]).created).toHaveLength(3);
+  expect(materializeDue([rent], [], now, [{ id: 'other' }]).created).toHaveLength(0);
+});
+
+test('upcoming occurrences apply per-occurrence edits', () => {
+  const template = setOccurrenceException(rent, new Date(2025, 2, 31), { amount: 1200 });
+  const upcoming = upcomingOccurrences([template], new Date(2025, 2, 1), 60);
+  expect(upcoming.map(o => o.transaction.amount)).toEqual([1200, 1000]);
+  expect(recurringNetChange([template], 'a', new Date(2025, 2, 1), new Date(2025, 4, 1))).toBe(-2200);
+});
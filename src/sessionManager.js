@@ -1,41 +1,135 @@
 // src/sessionManager.js
-class SessionManager {
-    constructor() {
-      this.sessionKey = 'sessionStatus';
-      this.listeners = [];
+// Shares login/logout between tabs and tracks inactivity. Tabs talk over a
+// BroadcastChannel where the browser has one, and through localStorage
+// `storage` events otherwise.
+// The runtime config can change this (idleTimeoutMinutes)
+export const IDLE_TIMEOUT_MINUTES = 15;
+// How long before the idle logout the warning appears
+export const IDLE_WARNING_MS = 60 * 1000;
+// Activity is shared with other tabs at most this often
+const ACTIVITY_BROADCAST_MS = 30 * 1000;
+const ACTIVITY_EVENTS = ['mousedown', 'keydown', 'mousemove', 'touchstart', 'scroll'];
+
+const defaultChannel = (name) =>
+  typeof BroadcastChannel === 'undefined' ? null : new BroadcastChannel(name);
+
+export class SessionManager {
+  constructor({ channelName = 'myapp_session', createChannel = defaultChannel } = {}) {
+    this.sessionKey = 'sessionStatus';
+    this.activityKey = 'sessionActivity';
+    this.listeners = [];
+    this.lastActivity = Date.now();
+    this.lastBroadcast = 0;
+    this.channel = createChannel(channelName);
+    if (this.channel) {
+      this.channel.onmessage = (event) => this.receive(event.data);
+    } else {
       // Listen for localStorage changes in other tabs
       window.addEventListener('storage', (event) => {
-        if (event.key === this.sessionKey) {
-          this.notifyListeners(event.newValue);
+        if (event.key === this.sessionKey && event.newValue) {
+          this.receive({ type: event.newValue === 'loggedOut' ? 'logout' : 'login' });
+        } else if (event.key === this.activityKey && event.newValue) {
+          this.receive({ type: 'activity', at: Number(event.newValue) });
         }
       });
     }
-  
-    // Register a listener for session changes
-    onSessionChange(callback) {
-      this.listeners.push(callback);
-    }
-  
-    // Notify all registered listeners
-    notifyListeners(status) {
-      this.listeners.forEach((callback) => callback(status));
-    }
-  
-    // Call this when a login occurs
-    notifyLogin() {
-      localStorage.setItem(this.sessionKey, 'loggedIn');
-    }
-  
-    // Call this when a logout occurs
-    notifyLogout() {
-      localStorage.setItem(this.sessionKey, 'loggedOut');
-    }
-  
-    // Get the current session status
-    getSessionStatus() {
-      return localStorage.getItem(this.sessionKey);
-    }
   }
-  
-  const sessionManager = new SessionManager();
-  export default sessionManager;
\ No newline at end of file
+
+  // Register a listener for session changes in other tabs; it is called with
+  // 'loggedIn' or 'loggedOut'. Returns an unsubscribe function.
+  onSessionChange(callback) {
+    this.listeners.push(callback);
+    return () => {
+      this.listeners = this.listeners.filter(listener => listener !== callback);
+    };
+  }
+
+  // Notify all registered listeners
+  notifyListeners(status) {
+    this.listeners.forEach((callback) => callback(status));
+  }
+
+  receive(message) {
+    if (message?.type === 'login') this.notifyListeners('loggedIn');
+    else if (message?.type === 'logout') this.notifyListeners('loggedOut');
+    else if (message?.type === 'activity') this.lastActivity = Math.max(this.lastActivity, message.at);
+  }
+
+  broadcast(message) {
+    if (this.channel) this.channel.postMessage(message);
+  }
+
+  // Call this when a login occurs
+  notifyLogin() {
+    localStorage.setItem(this.sessionKey, 'loggedIn');
+    this.broadcast({ type: 'login' });
+  }
+
+  // Call this when a logout occurs; other tabs log out too
+  notifyLogout() {
+    localStorage.setItem(this.sessionKey, 'loggedOut');
+    this.broadcast({ type: 'logout' });
+  }
+
+  // Get the current session status
+  getSessionStatus() {
+    return localStorage.getItem(this.sessionKey);
+  }
+
+  // Note user activity here and, now and then, in the other tabs
+  recordActivity = (now = Date.now()) => {
+    this.lastActivity = now;
+    if (now - this.lastBroadcast < ACTIVITY_BROADCAST_MS) return;
+    this.lastBroadcast = now;
+    if (this.channel) this.broadcast({ type: 'activity', at: now });
+    else localStorage.setItem(this.activityKey, String(now));
+  };
+
+  // Watch for inactivity across all tabs. `onWarning(msLeft)` fires once the
+  // session is within `warningMs` of timing out, `onTimeout()` when it does.
+  // While the warning is up only `keepAlive()` counts as activity, so a stray
+  // mouse movement does not dismiss it. Returns a function that stops watching.
+  startIdleTimer({ timeoutMs = IDLE_TIMEOUT_MINUTES * 60 * 1000, warningMs = IDLE_WARNING_MS, onWarning, onActive, onTimeout, checkEveryMs = 1000 }) {
+    this.idle = { warned: false, onActive };
+    const handleActivity = () => {
+      if (!this.idle.warned) this.recordActivity();
+    };
+    this.recordActivity();
+
+    const timer = setInterval(() => {
+      const idleFor = Date.now() - this.lastActivity;
+      if (idleFor >= timeoutMs) {
+        stop();
+        onTimeout();
+      } else if (idleFor >= timeoutMs - warningMs) {
+        if (!this.idle.warned && onWarning) onWarning(timeoutMs - idleFor);
+        this.idle.warned = true;
+      } else if (this.idle.warned) {
+        // Someone was active in another tab
+        this.idle.warned = false;
+        if (onActive) onActive();
+      }
+    }, checkEveryMs);
+
+    ACTIVITY_EVENTS.forEach(event => document.addEventListener(event, handleActivity));
+    const stop = () => {
+      clearInterval(timer);
+      ACTIVITY_EVENTS.forEach(event => document.removeEventListener(event, handleActivity));
+      this.idle = null;
+    };
+    return stop;
+  }
+
+  // Reset the idle timer after the user answers the warning, in every tab
+  keepAlive = () => {
+    this.lastBroadcast = 0;
+    this.recordActivity();
+    if (this.idle?.warned) {
+      this.idle.warned = false;
+      if (this.idle.onActive) this.idle.onActive();
+    }
+  };
+}
+
+const sessionManager = new SessionManager();
+export default sessionManager;
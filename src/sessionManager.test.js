@@ -0,0 +1,65 @@
+// src/sessionManager.test.js
+import { SessionManager } from './sessionManager';
+
+// Two tabs joined by an in-memory stand-in for BroadcastChannel
+const channelPair = () => {
+  const channels = [];
+  const create = () => {
+    const channel = {
+      postMessage: (data) => channels.filter(c => c !== channel).forEach(c => c.onmessage({ data })),
+    };
+    channels.push(channel);
+    return channel;
+  };
+  return create;
+};
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+test('tells other tabs about logins and logouts until unsubscribed', () => {
+  const createChannel = channelPair();
+  const tabA = new SessionManager({ createChannel });
+  const tabB = new SessionManager({ createChannel });
+  const listener = jest.fn();
+  const unsubscribe = tabB.onSessionChange(listener);
+
+  tabA.notifyLogin();
+  tabA.notifyLogout();
+  expect(listener.mock.calls).toEqual([['loggedIn'], ['loggedOut']]);
+  expect(tabA.getSessionStatus()).toBe('loggedOut');
+
+  unsubscribe();
+  tabA.notifyLogin();
+  expect(listener).toHaveBeenCalledTimes(2);
+});
+
+test('falls back to storage events without BroadcastChannel', () => {
+  const tab = new SessionManager({ createChannel: () => null });
+  const listener = jest.fn();
+  tab.onSessionChange(listener);
+  window.dispatchEvent(new StorageEvent('storage', { key: 'sessionStatus', newValue: 'loggedOut' }));
+  expect(listener).toHaveBeenCalledWith('loggedOut');
+});
+
+test('warns before the idle timeout and logs out unless kept alive', () => {
+  jest.useFakeTimers();
+  const tab = new SessionManager({ createChannel: () => null });
+  const onWarning = jest.fn();
+  const onActive = jest.fn();
+  const onTimeout = jest.fn();
+  tab.startIdleTimer({ timeoutMs: 10000, warningMs: 3000, onWarning, onActive, onTimeout });
+
+  jest.advanceTimersByTime(7000);
+  expect(onWarning).toHaveBeenCalledWith(3000);
+  // Ordinary activity does not dismiss the warning; answering it does
+  document.dispatchEvent(new Event('mousemove'));
+  tab.keepAlive();
+  expect(onActive).toHaveBeenCalledTimes(1);
+
+  jest.advanceTimersByTime(10000);
+  expect(onTimeout).toHaveBeenCalledTimes(1);
+  jest.advanceTimersByTime(10000);
+  expect(onTimeout).toHaveBeenCalledTimes(1);
+});
@@ -0,0 +1,21 @@
+// src/signOut.js
+import financeStore from './financeStore';
+import sessionManager from './sessionManager';
+
+// Log the user out of this tab and every other one. `auth` comes from
+// useAuth(); `returnTo` is the runtime config's page to land on afterwards.
+export const signOut = (auth, returnTo) => {
+  // Remove any trailing slash from the returnTo URL
+  returnTo = (returnTo || window.location.href).replace(/\/$/, '');
+  if (financeStore.getSnapshot().clearOnLogout) financeStore.clearUserData();
+  financeStore.setUser(null);
+  sessionManager.notifyLogout();
+  auth.logout({ returnTo });
+};
+
+// Another tab logged out: hide the data here at once and drop this tab's
+// session without a second redirect.
+export const signOutHere = (auth) => {
+  financeStore.setUser(null);
+  auth.logoutLocally();
+};
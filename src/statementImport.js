@@ -0,0 +1,191 @@
+// src/statementImport.js
+// Parsers and helpers for importing bank statements (CSV, OFX, QIF).
+
+// Transaction fields a statement column can be mapped to
+export const IMPORT_FIELDS = ['accountId', 'amount', 'type', 'category', 'date', 'details'];
+
+export const detectFormat = (fileName = '', text = '') => {
+  const lowerName = fileName.toLowerCase();
+  if (lowerName.endsWith('.ofx') || lowerName.endsWith('.qfx') || /<OFX>/i.test(text)) return 'ofx';
+  if (lowerName.endsWith('.qif') || /^!Type:/im.test(text)) return 'qif';
+  return 'csv';
+};
+
+// RFC 4180-style CSV: quoted fields, escaped quotes and embedded newlines
+export const parseCSV = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+  const nonEmpty = records.filter(r => r.some(value => value.trim() !== ''));
+  const [headerRow = [], ...dataRows] = nonEmpty;
+  const headers = headerRow.map(h => h.trim());
+  const rows = dataRows.map(values =>
+    headers.reduce((row, header, idx) => ({ ...row, [header]: (values[idx] || '').trim() }), {})
+  );
+  return { headers, rows };
+};
+
+// OFX (SGML or XML flavour): one row per <STMTTRN> block
+export const parseOFX = (text) => {
+  const tagValue = (block, tag) => {
+    const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+    return match ? match[1].trim() : '';
+  };
+  const blocks = text.split(/<STMTTRN>/i).slice(1).map(block => block.split(/<\/STMTTRN>/i)[0]);
+  const rows = blocks.map(block => ({
+    date: tagValue(block, 'DTPOSTED'),
+    amount: tagValue(block, 'TRNAMT'),
+    type: tagValue(block, 'TRNTYPE'),
+    details: [tagValue(block, 'NAME'), tagValue(block, 'MEMO')].filter(Boolean).join(' - '),
+    fitid: tagValue(block, 'FITID'),
+  }));
+  return { headers: ['date', 'amount', 'type', 'details', 'fitid'], rows };
+};
+
+// QIF: records separated by "^", one field per line keyed by its first letter
+export const parseQIF = (text) => {
+  const rows = [];
+  let current = {};
+  text.split(/\r?\n/).forEach(line => {
+    if (!line || line.startsWith('!')) return;
+    const code = line[0];
+    const value = line.slice(1).trim();
+    if (code === '^') {
+      if (Object.keys(current).length) rows.push(current);
+      current = {};
+    } else if (code === 'D') current.date = value;
+    else if (code === 'T' || code === 'U') current.amount = value;
+    else if (code === 'P') current.details = value;
+    else if (code === 'M') current.memo = value;
+    else if (code === 'L') current.category = value;
+  });
+  if (Object.keys(current).length) rows.push(current);
+  return { headers: ['date', 'amount', 'details', 'memo', 'category'], rows };
+};
+
+export const parseStatement = (fileName, text) => {
+  const format = detectFormat(fileName, text);
+  const parsers = { csv: parseCSV, ofx: parseOFX, qif: parseQIF };
+  return { format, ...parsers[format](text) };
+};
+
+// Guess a mapping from statement headers to transaction fields
+export const suggestMapping = (headers) => {
+  const patterns = {
+    accountId: /^(account|acct)/i,
+    amount: /(amount|amt|value)/i,
+    type: /^(type|dr\/cr|debit\/credit)$/i,
+    category: /categ/i,
+    date: /date|posted/i,
+    details: /(details|description|payee|memo|narrative|name)/i,
+  };
+  const mapping = {};
+  IMPORT_FIELDS.forEach(field => {
+    mapping[field] = headers.find(h => patterns[field].test(h)) || '';
+  });
+  return mapping;
+};
+
+// Accepts ISO dates, MM/DD/YYYY, M/D'YY (QIF) and OFX YYYYMMDD[HHMMSS]
+export const parseStatementDate = (value) => {
+  if (!value) return null;
+  const trimmed = value.trim();
+  const ofx = trimmed.match(/^(\d{4})(\d{2})(\d{2})(?:\d{6}(?:\.\d+)?)?(?:\[[^\]]*\])?$/);
+  if (ofx) {
+    return new Date(Date.UTC(Number(ofx[1]), Number(ofx[2]) - 1, Number(ofx[3]), 12)).toISOString();
+  }
+  const us = trimmed.match(/^(\d{1,2})\/(\d{1,2})(?:\/|')\s*(\d{2,4})$/);
+  if (us) {
+    let year = Number(us[3]);
+    if (year < 100) year += 2000;
+    return new Date(Date.UTC(year, Number(us[1]) - 1, Number(us[2]), 12)).toISOString();
+  }
+  const parsed = new Date(trimmed);
+  return Number.isNaN(parsed.getTime()) ? null : parsed.toISOString();
+};
+
+const parseAmount = (value) => Number(String(value || '').replace(/[$,\s]/g, '').replace(/^\((.*)\)$/, '-$1'));
+
+const normalizeType = (value, amount) => {
+  const lower = String(value || '').toLowerCase();
+  if (['credit', 'cr', 'deposit', 'dep', 'int', 'div', 'directdep'].includes(lower)) return 'credit';
+  if (['debit', 'dr', 'payment', 'pos', 'atm', 'check', 'fee', 'withdrawal'].includes(lower)) return 'debit';
+  return amount < 0 ? 'debit' : 'credit';
+};
+
+const resolveAccountId = (value, accounts) => {
+  if (!value) return '';
+  const lower = value.toLowerCase();
+  const match = accounts.find(a => a.id === value || a.name.toLowerCase() === lower);
+  return match ? match.id : '';
+};
+
+// Turn parsed rows into transactions using the chosen column mapping.
+// Rows that cannot be converted come back with an `error` instead.
+export const applyMapping = (rows, mapping, { accounts, defaultAccountId = '', defaultCategory = 'Other' }) =>
+  rows.map((row, index) => {
+    const pick = (field) => (mapping[field] ? row[mapping[field]] : '');
+    const amount = parseAmount(pick('amount'));
+    const date = parseStatementDate(pick('date'));
+    const accountId = mapping.accountId ? resolveAccountId(pick('accountId'), accounts) : defaultAccountId;
+    const transaction = {
+      id: `${Date.now()}-${index}`,
+      accountId,
+      amount: Math.abs(amount),
+      type: normalizeType(pick('type'), amount),
+      category: pick('category') || defaultCategory,
+      date,
+      details: pick('details') || '',
+    };
+    let error = null;
+    if (!accountId) error = 'Unknown account';
+    else if (!Number.isFinite(amount) || amount === 0) error = 'Invalid amount';
+    else if (!date) error = 'Invalid date';
+    return { transaction, error };
+  });
+
+const duplicateKey = (t) =>
+  [t.accountId, new Date(t.date).toISOString().slice(0, 10), Number(t.amount).toFixed(2), t.type].join('|');
+
+// Flag candidates that match an existing transaction (same account, day, amount and type)
+// or an earlier row in the same file.
+export const findDuplicates = (candidates, existing) => {
+  const seen = new Set(existing.map(duplicateKey));
+  return candidates.map(transaction => {
+    const key = duplicateKey(transaction);
+    const duplicate = seen.has(key);
+    seen.add(key);
+    return duplicate;
+  });
+};
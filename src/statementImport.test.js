@@ -0,0 +1,56 @@
+import {
+  parseCSV,
+  parseOFX,
+  parseQIF,
+  parseStatementDate,
+  suggestMapping,
+  applyMapping,
+  findDuplicates,
+} from './statementImport';
+
+const accounts = [{ id: '1', name: 'Chase Checking', accountType: 'debit' }];
+
+test('parseCSV handles quoted fields and CRLF line endings', () => {
+  const { headers, rows } = parseCSV('Date,Description,Amount\r\n01/15/2025,"Coffee, large",-4.50\r\n01/16/2025,"Say ""hi""",100\r\n');
+  expect(headers).toEqual(['Date', 'Description', 'Amount']);
+  expect(rows).toEqual([
+    { Date: '01/15/2025', Description: 'Coffee, large', Amount: '-4.50' },
+    { Date: '01/16/2025', Description: 'Say "hi"', Amount: '100' },
+  ]);
+});
+
+test('parseOFX and parseQIF produce mappable rows', () => {
+  const ofx = parseOFX('<OFX><STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20250115120000[-5:EST]<TRNAMT>-12.00<NAME>UBER<FITID>1</STMTTRN></OFX>');
+  expect(ofx.rows[0]).toMatchObject({ type: 'DEBIT', amount: '-12.00', details: 'UBER' });
+  expect(parseStatementDate(ofx.rows[0].date)).toBe('2025-01-15T12:00:00.000Z');
+
+  const qif = parseQIF("!Type:Bank\nD1/15'25\nT-42.50\nPSafeway\nLFood\n^\n");
+  expect(qif.rows).toEqual([{ date: "1/15'25", amount: '-42.50', details: 'Safeway', category: 'Food' }]);
+  expect(parseStatementDate(qif.rows[0].date)).toBe('2025-01-15T12:00:00.000Z');
+});
+
+test('applyMapping converts rows and reports unusable ones', () => {
+  const rows = [
+    { Date: '2025-01-15', Amount: '-4.50', Description: 'Coffee', Account: 'chase checking' },
+    { Date: '2025-01-16', Amount: 'n/a', Description: 'Bad', Account: 'Chase Checking' },
+    { Date: '2025-01-17', Amount: '10', Description: 'Unknown', Account: 'Savings' },
+  ];
+  const mapping = suggestMapping(['Date', 'Amount', 'Description', 'Account']);
+  expect(mapping).toMatchObject({ date: 'Date', amount: 'Amount', details: 'Description', accountId: 'Account' });
+
+  const result = applyMapping(rows, mapping, { accounts });
+  expect(result[0].error).toBeNull();
+  expect(result[0].transaction).toMatchObject({ accountId: '1', amount: 4.5, type: 'debit', details: 'Coffee', category: 'Other' });
+  expect(result[1].error).toBe('Invalid amount');
+  expect(result[2].error).toBe('Unknown account');
+});
+
+test('findDuplicates matches existing transactions and repeats within the file', () => {
+  const existing = [{ accountId: '1', date: '2025-01-15T08:00:00.000Z', amount: 4.5, type: 'debit' }];
+  const candidates = [
+    { accountId: '1', date: '2025-01-15T12:00:00.000Z', amount: 4.5, type: 'debit' },
+    { accountId: '1', date: '2025-01-16T12:00:00.000Z', amount: 9, type: 'debit' },
+    { accountId: '1', date: '2025-01-16T12:00:00.000Z', amount: 9, type: 'debit' },
+  ];
+  expect(findDuplicates(candidates, existing)).toEqual([true, false, true]);
+});
@@ -0,0 +1,378 @@
+// src/syncClient.js
+// Offline-first sync of accounts and transactions with the sync API (server/).
+// Local edits always land in the store first and are queued; the queue is
+// pushed when the browser is online, then changes from other devices are
+// pulled in. A write the server refuses because another device got there
+// first is settled by last-writer-wins on each side's `updatedAt`, which is
+// when the record was last changed (see financeStore's getModifiedAt).
+// On a device's first sync the server's copies win: they are pulled first,
+// and only records the server doesn't have are uploaded.
+import { useEffect, useRef, useState } from 'react';
+import financeStore, { userStorageKey } from './financeStore';
+import { validateData } from './financeSchema';
+import { useConfig } from './config';
+
+// Kept per user, like the finance data itself
+export const SYNC_QUEUE_KEY = "myapp_finance_sync_queue";
+export const SYNC_STATE_KEY = "myapp_finance_sync_state";
+export const SYNCED_COLLECTIONS = ['accounts', 'transactions'];
+
+// Wait this long after an edit before pushing, so bursts go out together
+const PUSH_DELAY_MS = 1000;
+
+export class SyncError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'SyncError';
+    this.status = status;
+  }
+}
+
+// --- Pure helpers ---
+// Records added or changed (by content) and ids removed between two snapshots
+export const diffCollection = (previous, next) => {
+  const before = new Map(previous.map(record => [record.id, record]));
+  const after = new Set(next.map(record => record.id));
+  return {
+    changed: next.filter(record => {
+      const old = before.get(record.id);
+      return !old || (old !== record && JSON.stringify(old) !== JSON.stringify(record));
+    }),
+    removed: previous.filter(record => !after.has(record.id)).map(record => record.id),
+  };
+};
+
+// Queue a change, replacing any earlier change to the same record
+export const enqueueChange = (queue, change) => [
+  ...queue.filter(entry => !(entry.collection === change.collection && entry.id === change.id)),
+  change,
+];
+
+// Which side wins when both changed a record; ties go to the server
+export const resolveConflict = (local, server) =>
+  server && new Date(server.updatedAt) >= new Date(local.updatedAt) ? 'server' : 'local';
+
+// Apply server entries ({ collection, id, deleted, record }) to one collection
+export const applyRemoteChanges = (records, changes) =>
+  changes.reduce((list, change) => {
+    const rest = list.filter(record => record.id !== change.id);
+    if (change.deleted) return rest;
+    const index = list.findIndex(record => record.id === change.id);
+    if (index === -1) return [...rest, change.record];
+    // Keep the record's position in the list
+    return list.map(record => (record.id === change.id ? change.record : record));
+  }, records);
+
+// Server records get the same checks as data loaded from storage; returns
+// the changes that pass and quarantine entries for the rest
+export const checkRemoteChanges = (collection, changes) => {
+  const { quarantined } = validateData({ [collection]: changes.filter(c => !c.deleted).map(c => c.record) });
+  const rejected = new Set(quarantined.map(entry => entry.record));
+  return {
+    accepted: changes.filter(change => change.deleted || !rejected.has(change.record)),
+    quarantined: quarantined.map(entry => ({ ...entry, reason: `From sync: ${entry.reason}` })),
+  };
+};
+
+const keyOf = (collection, id) => `${collection}:${id}`;
+
+const readJSON = (storage, key, fallback) => {
+  try {
+    return JSON.parse(storage.getItem(key)) || fallback;
+  } catch (error) {
+    return fallback;
+  }
+};
+
+export class SyncClient {
+  constructor({ apiUrl, userId, getAccessToken, store = financeStore, fetchImpl = (...args) => fetch(...args), storage = localStorage }) {
+    this.apiUrl = apiUrl;
+    this.userId = userId;
+    this.queueKey = userStorageKey(SYNC_QUEUE_KEY, userId);
+    this.stateKey = userStorageKey(SYNC_STATE_KEY, userId);
+    this.getAccessToken = getAccessToken;
+    this.store = store;
+    this.fetchImpl = fetchImpl;
+    this.storage = storage;
+    this.listeners = [];
+    this.queue = readJSON(storage, this.queueKey, []);
+    // `cursor` is the last server change pulled; `versions` the server version of each record
+    const state = readJSON(storage, this.stateKey, null);
+    this.firstSync = !state || state.firstSync === true;
+    this.cursor = state?.cursor || 0;
+    this.versions = state?.versions || {};
+    // `failed` lists queued edits the server would not take after a conflict retry
+    this.status = { state: 'idle', pending: this.queue.length, conflicts: [], failed: [], lastSyncedAt: state?.lastSyncedAt || null, error: null };
+    this.applyingRemote = false;
+    this.running = null;
+    this.timer = null;
+    this.detached = false;
+  }
+
+  // --- Status for the UI ---
+  subscribe = (listener) => {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  };
+
+  getStatus = () => this.status;
+
+  setStatus(changes) {
+    this.status = { ...this.status, pending: this.queue.length, ...changes };
+    this.listeners.forEach(listener => listener(this.status));
+  }
+
+  persist() {
+    if (this.detached) return;
+    this.storage.setItem(this.queueKey, JSON.stringify(this.queue));
+    this.storage.setItem(this.stateKey, JSON.stringify({
+      firstSync: this.firstSync,
+      cursor: this.cursor,
+      versions: this.versions,
+      lastSyncedAt: this.status.lastSyncedAt,
+    }));
+  }
+
+  // --- Lifecycle ---
+  start() {
+    this.snapshot = this.pick(this.store.getSnapshot());
+    this.unsubscribe = this.store.subscribe(this.handleStoreChange);
+    window.addEventListener('online', this.handleOnline);
+    window.addEventListener('offline', this.handleOffline);
+    return this.syncNow();
+  }
+
+  stop() {
+    if (this.unsubscribe) this.unsubscribe();
+    window.removeEventListener('online', this.handleOnline);
+    window.removeEventListener('offline', this.handleOffline);
+    clearTimeout(this.timer);
+  }
+
+  // Stop for good and never write the queue or state again, e.g. after the
+  // user's data was cleared from this browser
+  detach() {
+    this.stop();
+    this.detached = true;
+    this.queue = [];
+  }
+
+  handleOnline = () => {
+    this.syncNow();
+  };
+
+  handleOffline = () => {
+    this.setStatus({ state: 'offline' });
+  };
+
+  pick(state) {
+    return Object.fromEntries(SYNCED_COLLECTIONS.map(name => [name, state[name] || []]));
+  }
+
+  // Edits carry the record's modified time; deletes are queued as they happen
+  enqueue(collection, id, record) {
+    const updatedAt = (record && this.store.getModifiedAt(collection, id)) || new Date().toISOString();
+    this.queue = enqueueChange(this.queue, { collection, id, record, updatedAt });
+  }
+
+  // Queue local edits. Changes this client applied from the server are not
+  // echoed back, and changes another tab wrote are queued by that tab.
+  handleStoreChange = () => {
+    const state = this.store.getSnapshot();
+    // Logging out empties the store, and "clear on logout" wipes it; neither
+    // is an edit. Queued edits survive a plain logout for the next login.
+    if (state.userId !== this.userId || this.store.clearingUserData) {
+      if (this.store.clearingUserData) this.detach();
+      else this.stop();
+      return;
+    }
+    const next = this.pick(state);
+    if (!this.applyingRemote && !this.store.fromOtherTab) {
+      let queued = false;
+      SYNCED_COLLECTIONS.forEach(collection => {
+        if (next[collection] === this.snapshot[collection]) return;
+        const { changed, removed } = diffCollection(this.snapshot[collection], next[collection]);
+        changed.forEach(record => this.enqueue(collection, record.id, record));
+        removed.forEach(id => this.enqueue(collection, id, null));
+        queued = queued || changed.length > 0 || removed.length > 0;
+      });
+      if (queued) {
+        this.persist();
+        this.setStatus({});
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.syncNow(), PUSH_DELAY_MS);
+      }
+    }
+    this.snapshot = next;
+  };
+
+  applyRemote(collection, changes) {
+    const { accepted, quarantined } = checkRemoteChanges(collection, changes);
+    this.applyingRemote = true;
+    try {
+      if (quarantined.length) this.store.quarantineRecords(quarantined);
+      if (accepted.length) {
+        this.store.setCollection(collection, prev => applyRemoteChanges(prev, accepted));
+        this.store.setModifiedAt(collection, Object.fromEntries(
+          accepted.filter(change => !change.deleted).map(change => [change.id, change.updatedAt])
+        ));
+      }
+    } finally {
+      this.applyingRemote = false;
+    }
+  }
+
+  // --- Talking to the API ---
+  async request(method, path, body) {
+    const token = await this.getAccessToken();
+    const response = await this.fetchImpl(`${this.apiUrl}${path}`, {
+      method,
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok && response.status !== 409) {
+      throw new SyncError(data.error || `Sync failed (${response.status})`, response.status);
+    }
+    return { status: response.status, data };
+  }
+
+  // Push and then pull. Calls made while a sync is running share it.
+  syncNow() {
+    if (!this.running) {
+      this.running = this.run().finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  async run() {
+    if (this.detached) return;
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+      this.setStatus({ state: 'offline' });
+      return;
+    }
+    this.setStatus({ state: 'syncing', error: null });
+    try {
+      if (this.firstSync) await this.uploadLocalRecords();
+      await this.push();
+      await this.pull();
+      this.setStatus({ state: 'idle', lastSyncedAt: new Date().toISOString() });
+    } catch (error) {
+      // Network failures leave the queue in place for the next attempt
+      this.setStatus({ state: error instanceof SyncError ? 'error' : 'offline', error: error.message });
+    } finally {
+      this.persist();
+    }
+  }
+
+  async push() {
+    for (const entry of [...this.queue]) {
+      const key = keyOf(entry.collection, entry.id);
+      let settled = false;
+      // At most one retry after a conflict the local copy wins
+      for (let attempt = 0; attempt < 2 && !settled; attempt++) {
+        const path = `/api/${entry.collection}/${encodeURIComponent(entry.id)}`;
+        const body = { record: entry.record, baseVersion: this.versions[key] || 0, updatedAt: entry.updatedAt };
+        const { status, data } = entry.record
+          ? await this.request('PUT', path, body)
+          : await this.request('DELETE', path, body);
+        if (status !== 409) {
+          this.versions[key] = data.version;
+          settled = true;
+        } else if (resolveConflict(entry, data.server) === 'local') {
+          this.versions[key] = data.server ? data.server.version : 0;
+          this.recordConflict(entry, 'local');
+        } else {
+          this.versions[key] = data.server.version;
+          this.applyRemote(entry.collection, [data.server]);
+          this.recordConflict(entry, 'server');
+          settled = true;
+        }
+      }
+      const failed = this.status.failed.filter(f => keyOf(f.collection, f.id) !== key);
+      if (settled) {
+        // Drop the entry unless the record was edited again while it was in flight
+        this.queue = this.queue.filter(queued => queued !== entry);
+        this.setStatus({ failed });
+      } else {
+        // Still refused; keep the edit queued for the next sync
+        this.setStatus({ failed: [...failed, { collection: entry.collection, id: entry.id, at: new Date().toISOString() }] });
+      }
+      this.persist();
+    }
+  }
+
+  // First sync from this device: take the server's copies, then queue the
+  // local records it has never seen
+  async uploadLocalRecords() {
+    await this.pull();
+    const queued = new Set(this.queue.map(entry => keyOf(entry.collection, entry.id)));
+    const local = this.pick(this.store.getSnapshot());
+    SYNCED_COLLECTIONS.forEach(collection => {
+      local[collection]
+        .filter(record => !(keyOf(collection, record.id) in this.versions) && !queued.has(keyOf(collection, record.id)))
+        .forEach(record => this.enqueue(collection, record.id, record));
+    });
+    this.firstSync = false;
+    this.persist();
+  }
+
+  async pull() {
+    const { data } = await this.request('GET', `/api/changes?since=${this.cursor}`);
+    const pending = new Set(this.queue.map(entry => keyOf(entry.collection, entry.id)));
+    // Skip our own writes and records with newer local edits still queued
+    const incoming = data.changes.filter(change => {
+      const key = keyOf(change.collection, change.id);
+      return !pending.has(key) && this.versions[key] !== change.version;
+    });
+    SYNCED_COLLECTIONS.forEach(collection => {
+      const changes = incoming.filter(change => change.collection === collection);
+      if (changes.length) this.applyRemote(collection, changes);
+    });
+    incoming.forEach(change => {
+      this.versions[keyOf(change.collection, change.id)] = change.version;
+    });
+    this.cursor = data.cursor;
+  }
+
+  recordConflict(entry, winner) {
+    const conflict = { collection: entry.collection, id: entry.id, winner, at: new Date().toISOString() };
+    this.setStatus({ conflicts: [...this.status.conflicts, conflict].slice(-20) });
+  }
+}
+
+// Run a sync client for the signed-in user (`userId`, null when signed out)
+// and report its status. Sync is off unless the runtime config has a
+// `syncApiUrl` and the `sync` feature is on. `getAccessToken` returns an
+// access token the sync API accepts.
+export function useFinanceSync({ userId, getAccessToken }) {
+  const [status, setStatus] = useState(null);
+  const { syncApiUrl, features } = useConfig();
+  const apiUrl = features.sync ? syncApiUrl.replace(/\/$/, '') : '';
+  // The client always asks for a token through the latest getter
+  const tokenRef = useRef(getAccessToken);
+  useEffect(() => {
+    tokenRef.current = getAccessToken;
+  }, [getAccessToken]);
+
+  useEffect(() => {
+    if (!userId || !apiUrl) {
+      setStatus(null);
+      return undefined;
+    }
+    const client = new SyncClient({ apiUrl, userId, getAccessToken: () => tokenRef.current() });
+    const unsubscribe = client.subscribe(setStatus);
+    setStatus(client.getStatus());
+    client.start();
+    return () => {
+      unsubscribe();
+      client.stop();
+    };
+  }, [userId, apiUrl]);
+
+  return status;
+}
@@ -0,0 +1,204 @@
+// src/syncClient.test.js
+import { diffCollection, enqueueChange, resolveConflict, applyRemoteChanges, SyncClient, SYNC_QUEUE_KEY, SYNC_STATE_KEY } from './syncClient';
+import financeStore, { userStorageKey } from './financeStore';
+import { signOut } from './signOut';
+
+// A minimal stand-in for financeStore; `modified` holds each record's
+// modified time by "collection:id"
+const fakeStore = (initial, modified = {}) => {
+  let state = { userId: 'user-1', accounts: [], transactions: [], ...initial };
+  const listeners = [];
+  return {
+    modified,
+    getSnapshot: () => state,
+    subscribe: (listener) => {
+      listeners.push(listener);
+      return () => listeners.splice(listeners.indexOf(listener), 1);
+    },
+    setCollection: (name, updater) => {
+      state = { ...state, [name]: typeof updater === 'function' ? updater(state[name]) : updater };
+      listeners.forEach(listener => listener());
+    },
+    getModifiedAt: (collection, id) => modified[`${collection}:${id}`] || null,
+    setModifiedAt: (collection, times) => {
+      Object.entries(times).forEach(([id, time]) => { modified[`${collection}:${id}`] = time; });
+    },
+    quarantineRecords: (entries) => {
+      state = { ...state, quarantine: [...(state.quarantine || []), ...entries] };
+    },
+  };
+};
+
+const checking = { id: 'a1', name: 'Checking', accountType: 'debit' };
+const savings = { id: 'a2', name: 'Savings', accountType: 'debit' };
+const coffee = { id: 't1', accountId: 'a1', amount: 3, type: 'debit', date: '2025-01-02' };
+
+const newClient = (store, responses, calls, storage = memoryStorage()) => new SyncClient({
+  apiUrl: 'https://sync.test',
+  userId: 'user-1',
+  getAccessToken: async () => 'token',
+  store,
+  storage,
+  fetchImpl: fakeFetch(responses, calls),
+});
+
+// Storage for a device that has synced before
+const syncedStorage = () => {
+  const storage = memoryStorage();
+  storage.setItem(userStorageKey(SYNC_STATE_KEY, 'user-1'), JSON.stringify({ cursor: 0, versions: {} }));
+  return storage;
+};
+
+// Answers requests from a list of [method, status, body] in order
+const fakeFetch = (responses, calls) => async (url, options) => {
+  calls.push({ url, method: options.method, body: options.body && JSON.parse(options.body) });
+  const [, status, body] = responses.shift();
+  return { ok: status < 400, status, json: async () => body };
+};
+
+const memoryStorage = () => {
+  const data = {};
+  return { getItem: key => data[key] ?? null, setItem: (key, value) => { data[key] = value; } };
+};
+
+test('diffs snapshots and coalesces queued changes', () => {
+  const a = { id: 'a', name: 'A' };
+  const b = { id: 'b', name: 'B' };
+  expect(diffCollection([a, b], [{ ...a }, { id: 'b', name: 'Renamed' }, { id: 'c' }])).toEqual({
+    changed: [{ id: 'b', name: 'Renamed' }, { id: 'c' }],
+    removed: [],
+  });
+  expect(diffCollection([a, b], [b]).removed).toEqual(['a']);
+
+  const queue = enqueueChange([{ collection: 'accounts', id: 'a', record: a }], { collection: 'accounts', id: 'a', record: null });
+  expect(queue).toEqual([{ collection: 'accounts', id: 'a', record: null }]);
+});
+
+test('resolves conflicts by last writer and applies remote changes in place', () => {
+  expect(resolveConflict({ updatedAt: '2024-01-02' }, { updatedAt: '2024-01-01' })).toBe('local');
+  expect(resolveConflict({ updatedAt: '2024-01-02' }, { updatedAt: '2024-01-02' })).toBe('server');
+  expect(applyRemoteChanges([{ id: 'a' }, { id: 'b' }], [
+    { id: 'a', record: { id: 'a', name: 'New' } },
+    { id: 'b', deleted: true },
+    { id: 'c', record: { id: 'c' } },
+  ])).toEqual([{ id: 'a', name: 'New' }, { id: 'c' }]);
+});
+
+test('a first sync takes the server\'s copies and uploads only records it lacks', async () => {
+  const store = fakeStore({ accounts: [checking, savings] }, { 'accounts:a2': '2025-01-01T00:00:00.000Z' });
+  const calls = [];
+  const fromPhone = { ...checking, name: 'From phone' };
+  const client = newClient(store, [
+    ['GET', 200, { cursor: 5, changes: [
+      { collection: 'accounts', id: 'a1', version: 4, deleted: false, updatedAt: '2000-01-01T00:00:00.000Z', record: fromPhone },
+      { collection: 'transactions', id: 't1', version: 5, deleted: false, updatedAt: '2000-01-01T00:00:00.000Z', record: coffee },
+    ] }],
+    ['PUT', 200, { id: 'a2', version: 6 }],
+    ['GET', 200, { cursor: 6, changes: [{ collection: 'accounts', id: 'a2', version: 6, deleted: false, record: savings }] }],
+  ], calls);
+
+  await client.start();
+  client.stop();
+
+  expect(calls.map(call => `${call.method} ${call.url}`)).toEqual([
+    'GET https://sync.test/api/changes?since=0',
+    'PUT https://sync.test/api/accounts/a2',
+    'GET https://sync.test/api/changes?since=5',
+  ]);
+  // The stale local copy of a1 loses even though it was never pushed
+  expect(calls[1].body).toEqual({ baseVersion: 0, record: savings, updatedAt: '2025-01-01T00:00:00.000Z' });
+  expect(store.getSnapshot().accounts).toEqual([fromPhone, savings]);
+  expect(store.getSnapshot().transactions).toEqual([coffee]);
+  expect(store.modified['accounts:a1']).toBe('2000-01-01T00:00:00.000Z');
+  expect(client.getStatus()).toMatchObject({ state: 'idle', pending: 0 });
+});
+
+test('sends when a record was edited, so a newer server copy wins the conflict', async () => {
+  const store = fakeStore({ accounts: [checking] });
+  const calls = [];
+  const fromPhone = { ...checking, name: 'From phone' };
+  const serverCopy = { id: 'a1', version: 4, updatedAt: '2025-06-01T00:00:00.000Z', record: fromPhone };
+  const client = newClient(store, [
+    ['GET', 200, { cursor: 3, changes: [] }],
+    ['PUT', 409, { error: 'Conflict', server: serverCopy }],
+    ['GET', 200, { cursor: 4, changes: [] }],
+  ], calls, syncedStorage());
+
+  await client.start();
+  // Edited offline back in January, queued only now
+  store.modified['accounts:a1'] = '2025-01-15T00:00:00.000Z';
+  store.setCollection('accounts', [{ ...checking, name: 'Old name' }]);
+  await client.syncNow();
+  client.stop();
+
+  expect(calls[1].body.updatedAt).toBe('2025-01-15T00:00:00.000Z');
+  expect(store.getSnapshot().accounts).toEqual([fromPhone]);
+  expect(client.getStatus()).toMatchObject({ pending: 0, conflicts: [expect.objectContaining({ winner: 'server' })] });
+});
+
+test('keeps an edit queued when the server refuses it twice', async () => {
+  const store = fakeStore({ accounts: [checking] }, { 'accounts:a1': '2025-01-15T00:00:00.000Z' });
+  const older = (version) => ({ id: 'a1', version, updatedAt: '2000-01-01T00:00:00Z', record: checking });
+  const client = newClient(store, [
+    ['GET', 200, { cursor: 1, changes: [] }],
+    ['PUT', 409, { error: 'Conflict', server: older(2) }],
+    ['PUT', 409, { error: 'Conflict', server: older(3) }],
+    ['GET', 200, { cursor: 3, changes: [] }],
+  ], [], syncedStorage());
+
+  await client.start();
+  store.setCollection('accounts', [{ ...checking, name: 'Main' }]);
+  await client.syncNow();
+  client.stop();
+
+  expect(client.getStatus()).toMatchObject({ pending: 1, failed: [expect.objectContaining({ collection: 'accounts', id: 'a1' })] });
+});
+
+test('quarantines invalid server records and ignores changes written by another tab', async () => {
+  const store = fakeStore();
+  const calls = [];
+  const client = newClient(store, [
+    ['GET', 200, { cursor: 2, changes: [
+      { collection: 'transactions', id: 't1', version: 1, deleted: false, record: coffee },
+      { collection: 'transactions', id: 'bad', version: 2, deleted: false, record: { id: 'bad', accountId: 'a1', amount: 'lots' } },
+    ] }],
+    ['GET', 200, { cursor: 2, changes: [] }],
+  ], calls);
+
+  await client.start();
+  expect(store.getSnapshot().transactions).toEqual([coffee]);
+  expect(store.getSnapshot().quarantine).toEqual([expect.objectContaining({ collection: 'transactions', reason: 'From sync: Transaction amount is not a number' })]);
+
+  store.fromOtherTab = true;
+  store.setCollection('accounts', [checking]);
+  store.fromOtherTab = false;
+  client.stop();
+  expect(client.getStatus().pending).toBe(0);
+});
+
+test('logging out with "clear on logout" neither syncs the wipe nor keeps a queue', async () => {
+  financeStore.setUser('user-1');
+  financeStore.setAccounts([checking]);
+  financeStore.setClearOnLogout(true);
+  const calls = [];
+  const client = new SyncClient({
+    apiUrl: 'https://sync.test',
+    userId: 'user-1',
+    getAccessToken: async () => 'token',
+    fetchImpl: fakeFetch([
+      ['GET', 200, { cursor: 0, changes: [] }],
+      ['PUT', 200, { id: 'a1', version: 1 }],
+      ['GET', 200, { cursor: 1, changes: [] }],
+    ], calls),
+  });
+  await client.start();
+
+  signOut({ logout: jest.fn() }, 'http://localhost:3000');
+  await client.syncNow();
+  client.stop();
+
+  expect(calls.map(call => call.method)).toEqual(['GET', 'PUT', 'GET']);
+  expect(localStorage.getItem(userStorageKey(SYNC_QUEUE_KEY, 'user-1'))).toBeNull();
+  expect(localStorage.getItem(userStorageKey(SYNC_STATE_KEY, 'user-1'))).toBeNull();
+  financeStore.setClearOnLogout(false);
+});
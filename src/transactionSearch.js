@@ -0,0 +1,65 @@
+// src/transactionSearch.js
+// Search, filters and sorting for the transactions table.
+import { categoryWithDescendants } from './categories';
+
+export const EMPTY_FILTERS = {
+  query: '',
+  accountId: 'all',
+  category: 'all',
+  type: 'all',
+  minAmount: '',
+  maxAmount: '',
+  startDate: '',
+  endDate: '',
+};
+
+export const PAGE_SIZES = [5, 10, 25, 50, 100];
+
+// How many filters differ from the defaults (the search box counts as one)
+export const activeFilterCount = (filters) =>
+  Object.keys(EMPTY_FILTERS).filter(key => String(filters[key] ?? '') !== String(EMPTY_FILTERS[key])).length;
+
+// Transactions matching every filter. The search matches each word against the
+// details, category and account name; a category includes its subcategories.
+// Dates are "YYYY-MM-DD" and inclusive.
+export const searchTransactions = (transactions, filters, { accounts = [], categories = [] } = {}) => {
+  const f = { ...EMPTY_FILTERS, ...filters };
+  const words = f.query.toLowerCase().split(/\s+/).filter(Boolean);
+  const accountNames = Object.fromEntries(accounts.map(a => [a.id, a.name.toLowerCase()]));
+  const categoryNames = f.category === 'all' ? null : new Set(categoryWithDescendants(categories, f.category));
+  const min = f.minAmount === '' ? null : Number(f.minAmount);
+  const max = f.maxAmount === '' ? null : Number(f.maxAmount);
+  const start = f.startDate ? new Date(`${f.startDate}T00:00:00`) : null;
+  const end = f.endDate ? new Date(`${f.endDate}T23:59:59.999`) : null;
+
+  return transactions.filter(t => {
+    if (f.accountId !== 'all' && t.accountId !== f.accountId) return false;
+    if (categoryNames && !categoryNames.has(t.category)) return false;
+    if (f.type !== 'all' && t.type !== f.type) return false;
+    const amount = Number(t.amount);
+    if (min !== null && amount < min) return false;
+    if (max !== null && amount > max) return false;
+    const date = new Date(t.date);
+    if (start && date < start) return false;
+    if (end && date > end) return false;
+    if (!words.length) return true;
+    const haystack = `${t.details || ''} ${t.category || ''} ${accountNames[t.accountId] || ''}`.toLowerCase();
+    return words.every(word => haystack.includes(word));
+  });
+};
+
+// Comparator for a sort field; ascending is oldest, A to Z or smallest first.
+// Categories sort by name, then by details within a category.
+export const compareTransactions = (field, order = 'asc', accounts = []) => {
+  const accountNames = Object.fromEntries(accounts.map(a => [a.id, a.name]));
+  const ascending = (a, b) => {
+    if (field === 'date') return new Date(a.date) - new Date(b.date);
+    if (field === 'account') return (accountNames[a.accountId] || '').localeCompare(accountNames[b.accountId] || '');
+    if (field === 'category') {
+      return (a.category || '').localeCompare(b.category || '') || (a.details || '').localeCompare(b.details || '');
+    }
+    if (field === 'amount') return Number(a.amount) - Number(b.amount);
+    return 0;
+  };
+  return order === 'asc' ? ascending : (a, b) => -ascending(a, b);
+};
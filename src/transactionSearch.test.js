@@ -0,0 +1,30 @@
+import { searchTransactions, compareTransactions, activeFilterCount, EMPTY_FILTERS } from './transactionSearch';
+
+const accounts = [{ id: 'a', name: 'Checking' }, { id: 'b', name: 'Visa' }];
+const categories = [
+  { id: '1', name: 'Food', parentId: null },
+  { id: '2', name: 'Groceries', parentId: '1' },
+  { id: '3', name: 'Utilities', parentId: null },
+];
+const transactions = [
+  { id: 't1', accountId: 'a', amount: 80, type: 'debit', category: 'Groceries', details: 'Trader Joes', date: '2025-03-02T12:00:00.000Z' },
+  { id: 't2', accountId: 'b', amount: 25, type: 'debit', category: 'Food', details: 'Pizza night', date: '2025-03-10T12:00:00.000Z' },
+  { id: 't3', accountId: 'a', amount: 120, type: 'debit', category: 'Utilities', details: 'Electric bill', date: '2025-02-20T12:00:00.000Z' },
+  { id: 't4', accountId: 'a', amount: 2000, type: 'credit', category: 'Other', details: 'Payroll', date: '2025-03-01T12:00:00.000Z' },
+];
+const ids = (list) => list.map(t => t.id);
+const search = (filters) => ids(searchTransactions(transactions, { ...EMPTY_FILTERS, ...filters }, { accounts, categories }));
+
+test('search and filters combine', () => {
+  expect(search({ query: 'visa pizza' })).toEqual(['t2']);
+  expect(search({ category: 'Food' })).toEqual(['t1', 't2']);
+  expect(search({ type: 'debit', minAmount: '50', maxAmount: '100' })).toEqual(['t1']);
+  expect(search({ startDate: '2025-03-01', endDate: '2025-03-02', accountId: 'a' })).toEqual(['t1', 't4']);
+  expect(activeFilterCount({ ...EMPTY_FILTERS, query: 'x', type: 'debit' })).toBe(2);
+});
+
+test('category sort orders by category, not details', () => {
+  expect(ids([...transactions].sort(compareTransactions('category', 'asc')))).toEqual(['t2', 't1', 't4', 't3']);
+  expect(ids([...transactions].sort(compareTransactions('date', 'desc')))).toEqual(['t2', 't1', 't4', 't3']);
+  expect(ids([...transactions].sort(compareTransactions('account', 'asc', accounts)))[3]).toBe('t2');
+});
@@ -0,0 +1,97 @@
+// src/transfers.js
+// Transfers move money between two of the user's accounts. Each transfer is a
+// pair of transactions sharing a `transferId`; the pair is edited and deleted
+// together and left out of spending reports. Between accounts in different
+// currencies each half carries the amount in its own account's currency.
+import { upsertTransaction } from './financeStore';
+import { accountCurrency, convertAmount } from './currency';
+
+export const TRANSFER_CATEGORY = 'Transfer';
+
+export const isTransfer = (transaction) => !!transaction?.transferId;
+
+const isPositiveAmount = (amount) => String(amount ?? '').trim() !== '' && Number(amount) > 0;
+
+// What arrives in the destination account: `toAmount` when given, otherwise
+// `amount` converted at the transfer date. Null when no rate is known.
+export const receivedAmount = ({ fromAccountId, toAccountId, amount, toAmount, date }, accounts, rates = []) => {
+  if (toAmount !== undefined && toAmount !== null && toAmount !== '') return Number(toAmount);
+  const from = accountCurrency(accounts.find(a => a.id === fromAccountId));
+  const to = accountCurrency(accounts.find(a => a.id === toAccountId));
+  return convertAmount(amount, from, to, rates, date || new Date());
+};
+
+// What is wrong with a transfer the user entered, or null if it can be saved
+export const validateTransfer = (transfer, accounts, rates = []) => {
+  const { fromAccountId, toAccountId, amount, toAmount } = transfer;
+  if (!fromAccountId || !toAccountId) return 'Choose both accounts for the transfer.';
+  if (fromAccountId === toAccountId) return 'A transfer needs two different accounts.';
+  const from = accounts.find(a => a.id === fromAccountId);
+  const to = accounts.find(a => a.id === toAccountId);
+  if (!from || !to) return 'That account no longer exists.';
+  if (!isPositiveAmount(amount)) return 'Transfer amount must be a number greater than zero.';
+  if (toAmount !== undefined && toAmount !== null && toAmount !== '' && !isPositiveAmount(toAmount)) {
+    return 'Amount received must be a number greater than zero.';
+  }
+  if (receivedAmount(transfer, accounts, rates) === null) {
+    return `No ${accountCurrency(from)} to ${accountCurrency(to)} exchange rate for the transfer date. Add one in currency settings.`;
+  }
+  return null;
+};
+
+// Build the two linked halves of a transfer: a debit leaving one account and a
+// credit arriving at the other. Paying a card is a credit to it, reducing what is owed.
+// `rates` is the exchange-rate table, used when the accounts' currencies differ.
+export const createTransfer = (transfer, accounts, transferId = Date.now().toString(), rates = []) => {
+  const problem = validateTransfer(transfer, accounts, rates);
+  if (problem) throw new Error(problem);
+  const { fromAccountId, toAccountId, amount, date, details = '' } = transfer;
+  const from = accounts.find(a => a.id === fromAccountId);
+  const to = accounts.find(a => a.id === toAccountId);
+  const shared = {
+    category: TRANSFER_CATEGORY,
+    date: date || new Date().toISOString(),
+    details: details || `Transfer from ${from?.name || 'account'} to ${to?.name || 'account'}`,
+    transferId,
+  };
+  const received = Math.round(receivedAmount(transfer, accounts, rates) * 100) / 100;
+  return [
+    { ...shared, id: `${transferId}-out`, accountId: fromAccountId, amount: Number(amount), type: 'debit', transferSide: 'out' },
+    { ...shared, id: `${transferId}-in`, accountId: toAccountId, amount: received, type: 'credit', transferSide: 'in' },
+  ];
+};
+
+// Both halves of the transfer a transaction belongs to
+export const transferHalves = (transactions, transferId) => ({
+  out: transactions.find(t => t.transferId === transferId && t.transferSide === 'out'),
+  in: transactions.find(t => t.transferId === transferId && t.transferSide === 'in'),
+});
+
+// The form-friendly view of a transfer: { transferId, fromAccountId, toAccountId, amount, date, details }.
+// `amount` is what left the source account; saving converts it again.
+export const describeTransfer = (transactions, transferId) => {
+  const halves = transferHalves(transactions, transferId);
+  const any = halves.out || halves.in;
+  if (!any) return null;
+  return {
+    transferId,
+    fromAccountId: halves.out?.accountId || '',
+    toAccountId: halves.in?.accountId || '',
+    amount: any.amount,
+    date: any.date,
+    details: any.details,
+  };
+};
+
+// Add or update a transfer; edits keep each half's audit history
+export const saveTransfer = (transactions, transfer, accounts, rates = []) => {
+  const halves = createTransfer(transfer, accounts, transfer.transferId || Date.now().toString(), rates);
+  return halves.reduce((list, half) => upsertTransaction(list, half), transactions);
+};
+
+// Remove a transaction, taking its linked half with it
+export const removeTransaction = (transactions, id) => {
+  const target = transactions.find(t => t.id === id);
+  if (!target) return transactions;
+  return transactions.filter(t => t.id !== id && !(isTransfer(target) && t.transferId === target.transferId));
+};
@@ -0,0 +1,51 @@
+import { createTransfer, saveTransfer, removeTransaction, describeTransfer, validateTransfer } from './transfers';
+import { calculateBalance, accountBalance } from './financeStore';
+import { spentInMonth } from './budgets';
+
+const accounts = [
+  { id: 'chk', name: 'Checking', accountType: 'debit' },
+  { id: 'visa', name: 'Visa', accountType: 'credit' },
+];
+const charge = { id: 'c1', accountId: 'visa', amount: 300, type: 'debit', category: 'Food', date: '2025-03-01T12:00:00.000Z' };
+const paycheck = { id: 'p1', accountId: 'chk', amount: 1000, type: 'credit', category: 'Other', date: '2025-03-01T12:00:00.000Z' };
+
+test('paying a card moves money out of checking and reduces what is owed', () => {
+  const pair = createTransfer({ fromAccountId: 'chk', toAccountId: 'visa', amount: 200, date: '2025-03-05T12:00:00.000Z' }, accounts, 't1');
+  expect(pair.map(t => [t.id, t.type, t.transferId])).toEqual([['t1-out', 'debit', 't1'], ['t1-in', 'credit', 't1']]);
+  const transactions = [charge, paycheck, ...pair];
+  expect(calculateBalance('chk', transactions)).toBe(800);
+  expect(accountBalance(accounts[1], transactions)).toBe(100);
+  expect(() => createTransfer({ fromAccountId: 'chk', toAccountId: 'chk', amount: 5 }, accounts)).toThrow();
+});
+
+test('halves are edited and deleted together and are not spending', () => {
+  let transactions = saveTransfer([paycheck], { fromAccountId: 'chk', toAccountId: 'visa', amount: 50, date: '2025-03-05T12:00:00.000Z', transferId: 't2' }, accounts);
+  transactions = saveTransfer(transactions, { ...describeTransfer(transactions, 't2'), amount: 75 }, accounts);
+  expect(transactions.filter(t => t.transferId === 't2').map(t => t.amount)).toEqual([75, 75]);
+  expect(transactions.find(t => t.id === 't2-out').history).toHaveLength(1);
+  expect(spentInMonth('Transfer', transactions, new Date(2025, 2, 10))).toBe(0);
+  expect(removeTransaction(transactions, 't2-in')).toEqual([paycheck]);
+});
+
+test('validateTransfer rejects missing, zero, negative and non-numeric amounts', () => {
+  const transfer = { fromAccountId: 'chk', toAccountId: 'visa' };
+  expect(validateTransfer({ ...transfer, amount: '25.50' }, accounts)).toBeNull();
+  ['', '0', '-5', 'abc', undefined].forEach(amount => {
+    expect(validateTransfer({ ...transfer, amount }, accounts)).toBe('Transfer amount must be a number greater than zero.');
+  });
+  expect(validateTransfer({ ...transfer, toAccountId: 'gone', amount: 5 }, accounts)).toBe('That account no longer exists.');
+  expect(() => createTransfer({ ...transfer, amount: '0' }, accounts)).toThrow('greater than zero');
+});
+
+test('a transfer between currencies credits the converted amount at the transfer date', () => {
+  const withEuros = [...accounts, { id: 'eur', name: 'Euro savings', accountType: 'debit', currency: 'EUR' }];
+  const rates = [
+    { base: 'EUR', quote: 'USD', rate: 1.25, date: '2025-01-01' },
+    { base: 'EUR', quote: 'USD', rate: 1.1, date: '2025-03-01' },
+  ];
+  const transfer = { fromAccountId: 'chk', toAccountId: 'eur', amount: 110, date: '2025-03-05T12:00:00.000Z' };
+  const [out, into] = createTransfer(transfer, withEuros, 't3', rates);
+  expect([out.amount, into.amount]).toEqual([110, 100]);
+  expect(createTransfer({ ...transfer, toAmount: 99.5 }, withEuros, 't3', rates)[1].amount).toBe(99.5);
+  expect(validateTransfer(transfer, withEuros, [])).toBe('No USD to EUR exchange rate for the transfer date. Add one in currency settings.');
+});